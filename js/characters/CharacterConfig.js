@@ -1,10 +1,28 @@
 import { CONFIG, DEFAULT_CHARACTER_STATS, DEFAULT_COMBAT_STATS } from '../config.js';
+import { MotionParser } from '../systems/input/MotionParser.js';
 
 /**
  * Character configuration schema and validation
  */
 export class CharacterConfig {
     constructor() {
+        // Attack definition shared by limb attacks, command moves and supers
+        // Timing is in frames (simulation ticks) - see CONFIG.combat for what each field means
+        this.attackSchema = {
+            dmg: { type: 'number', required: false, min: 0 },
+            cost: { type: 'number', required: false, min: 0 },
+            range: { type: 'number', required: false, min: 0 },
+            startup: { type: 'number', required: false, min: 0, integer: true },
+            active: { type: 'number', required: false, min: 1, integer: true },
+            recovery: { type: 'number', required: false, min: 0, integer: true },
+            hitstun: { type: 'number', required: false, min: 0, integer: true },
+            blockstun: { type: 'number', required: false, min: 0, integer: true },
+            onHit: { type: 'number', required: false, integer: true },
+            onBlock: { type: 'number', required: false, integer: true },
+            tracking: { type: 'boolean', required: false }
+        };
+        this.attackTypes = ['light', 'heavy', 'leftHand', 'rightHand', 'leftLeg', 'rightLeg'];
+
         this.schema = {
             id: { type: 'string', required: true },
             name: { type: 'string', required: true },
@@ -18,32 +36,29 @@ export class CharacterConfig {
                     stamina: { type: 'number', required: false, default: DEFAULT_CHARACTER_STATS.stamina },
                     staminaRegen: { type: 'number', required: false, default: DEFAULT_CHARACTER_STATS.staminaRegen },
                     moveSpeed: { type: 'number', required: false, default: DEFAULT_CHARACTER_STATS.moveSpeed },
-                    jumpHeight: { type: 'number', required: false },
-                    weight: { type: 'number', required: false }
+                    jumpHeight: { type: 'number', required: false, min: 0.5, max: 4, default: DEFAULT_CHARACTER_STATS.jumpHeight },
+                    weight: { type: 'number', required: false, min: 0.5, max: 2, default: DEFAULT_CHARACTER_STATS.weight }
                 }
             },
             combat: {
                 type: 'object',
                 required: false,
                 schema: {
-                    light: {
-                        type: 'object',
-                        required: false,
-                        schema: {
-                            dmg: { type: 'number', required: false, default: DEFAULT_COMBAT_STATS.light.dmg },
-                            cost: { type: 'number', required: false, default: DEFAULT_COMBAT_STATS.light.cost },
-                            range: { type: 'number', required: false, default: DEFAULT_COMBAT_STATS.light.range },
-                            window: { type: 'array', required: false, default: DEFAULT_COMBAT_STATS.light.window }
-                        }
-                    },
-                    heavy: {
+                    // Legacy defaults shared by the hand (light) and leg (heavy) buttons
+                    light: { type: 'object', required: false, schema: this.attackSchema },
+                    heavy: { type: 'object', required: false, schema: this.attackSchema },
+                    leftHand: { type: 'object', required: false, schema: this.attackSchema },
+                    rightHand: { type: 'object', required: false, schema: this.attackSchema },
+                    leftLeg: { type: 'object', required: false, schema: this.attackSchema },
+                    rightLeg: { type: 'object', required: false, schema: this.attackSchema },
+                    // Overrides CONFIG.combat.comboScaling for this character's combos
+                    comboScaling: {
                         type: 'object',
                         required: false,
                         schema: {
-                            dmg: { type: 'number', required: false, default: DEFAULT_COMBAT_STATS.heavy.dmg },
-                            cost: { type: 'number', required: false, default: DEFAULT_COMBAT_STATS.heavy.cost },
-                            range: { type: 'number', required: false, default: DEFAULT_COMBAT_STATS.heavy.range },
-                            window: { type: 'array', required: false, default: DEFAULT_COMBAT_STATS.heavy.window }
+                            startAfter: { type: 'number', required: false, min: 0 },
+                            perHit: { type: 'number', required: false, min: 0, max: 1 },
+                            minimum: { type: 'number', required: false, min: 0, max: 1 }
                         }
                     }
                 }
@@ -59,8 +74,29 @@ export class CharacterConfig {
                     atk1: { type: ['string', 'number'], required: true },
                     atk2: { type: ['string', 'number'], required: true },
                     hit: { type: ['string', 'number'], required: true },
+                    hitHead: { type: ['string', 'number'], required: false },
+                    hitBody: { type: ['string', 'number'], required: false },
                     win: { type: ['string', 'number'], required: false },
-                    die: { type: ['string', 'number'], required: false }
+                    die: { type: ['string', 'number'], required: false },
+                    block: { type: ['string', 'number'], required: false },
+                    throw: { type: ['string', 'number'], required: false },
+                    thrown: { type: ['string', 'number'], required: false },
+                    knockdown: { type: ['string', 'number'], required: false },
+                    getup: { type: ['string', 'number'], required: false }
+                }
+            },
+            // Command moves keyed by id - validated separately in validateMoves()
+            moves: { type: 'object', required: false },
+            // Super move (both leg buttons with a full meter) - validated separately in validateSuper()
+            super: { type: 'object', required: false },
+            // Super meter gain rates (override CONFIG.combat.meter)
+            meter: {
+                type: 'object',
+                required: false,
+                schema: {
+                    max: { type: 'number', required: false, min: 1 },
+                    gainOnHit: { type: 'number', required: false, min: 0 },
+                    gainOnDamaged: { type: 'number', required: false, min: 0 }
                 }
             },
             animationSettings: {
@@ -78,7 +114,16 @@ export class CharacterConfig {
                     head: { type: 'number', required: false },
                     torso: { type: 'number', required: false },
                     attackHands: { type: 'array', required: false },
-                    attackLegs: { type: 'array', required: false }
+                    attackLegs: { type: 'array', required: false },
+                    // Damage taken per hit location (override CONFIG.combat.hitLocation)
+                    damageMultipliers: {
+                        type: 'object',
+                        required: false,
+                        schema: {
+                            head: { type: 'number', required: false, min: 0 },
+                            torso: { type: 'number', required: false, min: 0 }
+                        }
+                    }
                 }
             },
             scale: { type: 'number', required: false },
@@ -89,10 +134,59 @@ export class CharacterConfig {
                 schema: {
                     aggression: { type: 'number', required: false, min: 0, max: 1 },
                     retreatDistance: { type: 'number', required: false },
-                    attackChance: { type: 'number', required: false, min: 0, max: 1 }
+                    attackChance: { type: 'number', required: false, min: 0, max: 1 },
+                    preferredRange: { type: 'number', required: false, min: 0 },
+                    jumpFrequency: { type: 'number', required: false, min: 0, max: 1 },
+                    favouriteAttacks: { type: 'array', required: false },
+                    riskTolerance: { type: 'number', required: false, min: 0, max: 1 }
                 }
             }
         };
+
+        // Schema applied to each entry in `moves`
+        // Projectile fired by a command move (overrides CONFIG.combat.projectile)
+        this.projectileSchema = {
+            speed: { type: 'number', required: false, min: 0 },
+            lifetime: { type: 'number', required: false, min: 0 },
+            dmg: { type: 'number', required: false, min: 0 },
+            radius: { type: 'number', required: false, min: 0 },
+            strength: { type: 'number', required: false, min: 1, integer: true },
+            spawnBone: { type: 'string', required: false },
+            sprite: { type: 'string', required: false },
+            mesh: {
+                type: 'object',
+                required: false,
+                schema: {
+                    color: { type: 'number', required: false },
+                    scale: { type: 'number', required: false, min: 0 }
+                }
+            }
+        };
+        // Bone keys found by BoneDiscovery
+        this.boneNames = ['head', 'spine', 'handLeft', 'handRight', 'footLeft', 'footRight',
+            'forearmLeft', 'forearmRight', 'shinLeft', 'shinRight'];
+
+        this.moveSchema = {
+            ...this.attackSchema,
+            name: { type: 'string', required: false },
+            motion: { type: ['string', 'object'], required: true },
+            button: { type: 'string', required: true },
+            animation: { type: ['string', 'number'], required: false },
+            heavy: { type: 'boolean', required: false },
+            pushback: { type: 'number', required: false, min: 0 },
+            launch: { type: 'boolean', required: false },
+            launchVelocity: { type: 'number', required: false, min: 0 },
+            projectile: { type: 'object', required: false, schema: this.projectileSchema }
+        };
+        // Super moves use the same fields minus the motion, plus meter cost and armor
+        this.superSchema = {
+            ...this.moveSchema,
+            motion: { type: ['string', 'object'], required: false },
+            meterCost: { type: 'number', required: false, min: 0 },
+            armor: { type: 'number', required: false, min: 0 }
+        };
+        this.moveButtons = ['leftHand', 'rightHand', 'leftLeg', 'rightLeg'];
+        this.motionParser = new MotionParser();
     }
 
     /**
@@ -109,6 +203,10 @@ export class CharacterConfig {
         }
 
         this.validateObject(config, this.schema, '', errors);
+        this.validateAttacks(config.combat, errors);
+        this.validateMoves(config.moves, errors);
+        this.validateSuper(config.super, errors);
+        this.validateAi(config.ai, errors);
 
         return {
             valid: errors.length === 0,
@@ -145,6 +243,10 @@ export class CharacterConfig {
                 }
             }
 
+            if (rule.integer && typeof value === 'number' && !Number.isInteger(value)) {
+                errors.push(`Field ${currentPath} must be a whole number`);
+            }
+
             // Range checking for numbers
             if (typeof value === 'number' && (rule.min !== undefined || rule.max !== undefined)) {
                 if (rule.min !== undefined && value < rule.min) {
@@ -171,6 +273,120 @@ export class CharacterConfig {
         }
     }
 
+    /**
+     * Check the frame data of one attack definition beyond what the schema covers
+     * @param {Object} attack - Attack, move or super definition
+     * @param {string} path - Field path for error messages
+     * @param {string[]} errors - Error list to append to
+     */
+    validateFrameData(attack, path, errors) {
+        if (attack.window !== undefined) {
+            errors.push(`Field ${path}.window is no longer supported - use startup/active/recovery frames`);
+        }
+        if (attack.playbackSpeed !== undefined) {
+            errors.push(`Field ${path}.playbackSpeed is no longer supported - animation speed comes from frame data`);
+        }
+
+        // hitstun/onHit and blockstun/onBlock describe the same thing, so they must agree when both are given
+        const { active, recovery } = attack;
+        [['hitstun', 'onHit'], ['blockstun', 'onBlock']].forEach(([stun, advantage]) => {
+            const values = [active, recovery, attack[stun], attack[advantage]];
+            if (values.every(value => typeof value === 'number') &&
+                attack[stun] - (active - 1 + recovery) !== attack[advantage]) {
+                errors.push(`Field ${path}.${advantage} (${attack[advantage]}) doesn't match ${stun} ${attack[stun]} after ${active - 1 + recovery} frames of active/recovery`);
+            }
+        });
+    }
+
+    /**
+     * Validate the frame data of the combat section's attacks
+     * @param {Object} combat - Combat section
+     * @param {string[]} errors - Error list to append to
+     */
+    validateAttacks(combat, errors) {
+        if (!combat || typeof combat !== 'object') return;
+
+        for (const type of this.attackTypes) {
+            if (combat[type] && typeof combat[type] === 'object') {
+                this.validateFrameData(combat[type], `combat.${type}`, errors);
+            }
+        }
+    }
+
+    /**
+     * Check a projectile definition beyond what the schema covers
+     * @param {Object} projectile - Projectile definition (may be undefined)
+     * @param {string} path - Field path for error messages
+     * @param {string[]} errors - Error list to append to
+     */
+    validateProjectile(projectile, path, errors) {
+        if (!projectile || typeof projectile !== 'object') return;
+
+        if (projectile.spawnBone !== undefined && !this.boneNames.includes(projectile.spawnBone)) {
+            errors.push(`Field ${path}.spawnBone must be one of ${this.boneNames.join(', ')}`);
+        }
+    }
+
+    /**
+     * Validate the command moves section
+     * @param {Object} moves - Moves keyed by id
+     * @param {string[]} errors - Error list to append to
+     */
+    validateMoves(moves, errors) {
+        if (!moves || typeof moves !== 'object' || Array.isArray(moves)) return;
+
+        for (const [id, move] of Object.entries(moves)) {
+            const path = `moves.${id}`;
+            if (!move || typeof move !== 'object') {
+                errors.push(`Field ${path} must be an object`);
+                continue;
+            }
+
+            this.validateObject(move, this.moveSchema, path, errors);
+
+            if (move.button !== undefined && !this.moveButtons.includes(move.button)) {
+                errors.push(`Field ${path}.button must be one of ${this.moveButtons.join(', ')}`);
+            }
+            if (move.motion !== undefined && !this.motionParser.parse(move.motion)) {
+                errors.push(`Field ${path}.motion is not a valid motion`);
+            }
+            this.validateFrameData(move, path, errors);
+            this.validateProjectile(move.projectile, `${path}.projectile`, errors);
+        }
+    }
+
+    /**
+     * Validate the super move section
+     * @param {Object} superMove - Super move definition
+     * @param {string[]} errors - Error list to append to
+     */
+    validateSuper(superMove, errors) {
+        if (!superMove || typeof superMove !== 'object' || Array.isArray(superMove)) return;
+
+        this.validateObject(superMove, this.superSchema, 'super', errors);
+
+        if (superMove.button !== undefined && !this.moveButtons.includes(superMove.button)) {
+            errors.push(`Field super.button must be one of ${this.moveButtons.join(', ')}`);
+        }
+        this.validateFrameData(superMove, 'super', errors);
+        this.validateProjectile(superMove.projectile, 'super.projectile', errors);
+    }
+
+    /**
+     * Validate the AI personality beyond what the schema covers
+     * @param {Object} ai - AI section
+     * @param {string[]} errors - Error list to append to
+     */
+    validateAi(ai, errors) {
+        if (!Array.isArray(ai?.favouriteAttacks)) return;
+
+        ai.favouriteAttacks.forEach((button, index) => {
+            if (!this.moveButtons.includes(button)) {
+                errors.push(`Field ai.favouriteAttacks[${index}] must be one of ${this.moveButtons.join(', ')}`);
+            }
+        });
+    }
+
     /**
      * Merge character config with defaults
      * @param {Object} config - Character configuration
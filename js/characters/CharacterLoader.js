@@ -180,7 +180,12 @@ export class CharacterLoader {
             const name = clip.name.toLowerCase();
 
             // Animation name mapping logic (similar to original setupFile)
-            if (name.includes('idle') || name.includes('stand')) {
+            // Knockdown/getup are checked first since their names overlap with idle ('stand') and die ('down')
+            if (name.includes('getup') || name.includes('get up') || name.includes('standup') || name.includes('stand up')) {
+                mapping.getup = index;
+            } else if (name.includes('knockdown') || name.includes('knocked') || name.includes('fall')) {
+                mapping.knockdown = index;
+            } else if (name.includes('idle') || name.includes('stand')) {
                 mapping.idle = index;
             } else if (name.includes('walk') || name.includes('run')) {
                 mapping.walk = index;
@@ -192,6 +197,10 @@ export class CharacterLoader {
                 mapping.atk1 = index;
             } else if (name.includes('kick') || name.includes('heavy')) {
                 mapping.atk2 = index;
+            } else if ((name.includes('hit') || name.includes('damage')) && name.includes('head')) {
+                mapping.hitHead = index;
+            } else if ((name.includes('hit') || name.includes('damage')) && (name.includes('body') || name.includes('gut'))) {
+                mapping.hitBody = index;
             } else if (name.includes('hit') || name.includes('damage')) {
                 mapping.hit = index;
             } else if (name.includes('win') || name.includes('victory') || name.includes('taunt') || name.includes('pose')) {
@@ -2,22 +2,202 @@
 export const CONFIG = {
     cam: { dist: 7.5, height: 2.0, fov: 45 }, // Restore camera framing; sizing handled via model scale instead
     pixelation: { width: 1280, height: 720 }, // Higher internal render resolution to reduce pixelation
+    // Match structure - best-of-N rounds
+    match: {
+        bestOf: 3,            // Rounds in a match (1, 3 or 5); first to a majority wins
+        roundEndDelay: 2.5    // Seconds to hold the round result before the next round starts
+    },
+    // Arena boundary - a round wall every fighter is kept inside (see CollisionSystem.clampToArena)
+    arena: {
+        radius: 15,             // Wall distance from the center (the orange boundary ring)
+        ringOut: false,         // Stage rule: hits that carry a fighter past the wall win the round instead of splatting
+        wallSplat: {
+            duration: 0.9       // Seconds a heavy hit into the wall pins the defender (combos continue)
+        },
+        wallBounce: {
+            restitution: 0.6,   // Fraction of horizontal juggle velocity kept when bouncing off the wall
+            lift: 4.0,          // Minimum upward velocity after the bounce
+            extraHits: 1        // Juggle hits given back to the attacker (once per juggle)
+        }
+    },
+    // Training mode - no timer, refilling HP/stamina and a configurable P2 dummy (see TrainingMode)
+    training: {
+        refill: 'auto',          // 'auto' = refill once a fighter is back in neutral, 'infinite' = always full
+        refillDelay: 1.0,        // Seconds back in neutral before an auto refill
+        dummy: 'stand',          // Starting dummy behaviour: stand, crouch, jump, block, cpu or playback
+        maxRecordingTicks: 600,  // Longest input recording for the playback dummy
+        keys: {
+            reset: 'r',          // Put both fighters back at their spawn positions
+            record: 't'          // Start/stop recording P1's inputs for the playback dummy
+        }
+    },
+    // Match replays - every versus match is logged as per-tick inputs plus the AI seed (see ReplayRecorder)
+    replay: {
+        version: 1,                      // Replay log format; older logs are refused on import
+        maxStored: 10,                   // Recent matches kept in localStorage
+        speeds: [0.25, 0.5, 1, 2, 4]     // Playback speeds offered by the viewer
+    },
+    // CPU difficulty tiers (see AIController.setDifficulty) - picked on the setup screen
+    ai: {
+        difficulty: 'normal',    // Tier used until the player picks one
+        difficulties: {
+            // reactionDelay: seconds before the CPU notices an attack (also added to the pause after each of
+            // its own attacks); decisionInterval: [min, max] seconds between state changes; attackChance:
+            // scales attack rolls; blockChance/techChance/throwChance/superChance: per-roll chances;
+            // mistakeRate: chance an attack comes out on the wrong button; comboChance: chance to chain an
+            // attack that connected into the next one
+            easy: {
+                name: 'Easy', reactionDelay: 0.35, decisionInterval: [0.5, 0.9], attackChance: 0.45,
+                blockChance: 0.15, techChance: 0.05, throwChance: 0.02, superChance: 0.02,
+                mistakeRate: 0.35, comboChance: 0
+            },
+            normal: {
+                name: 'Normal', reactionDelay: 0.2, decisionInterval: [0.3, 0.6], attackChance: 0.7,
+                blockChance: 0.3, techChance: 0.2, throwChance: 0.05, superChance: 0.03,
+                mistakeRate: 0.15, comboChance: 0.2
+            },
+            hard: {
+                name: 'Hard', reactionDelay: 0.05, decisionInterval: [0.15, 0.35], attackChance: 1,
+                blockChance: 0.45, techChance: 0.35, throwChance: 0.08, superChance: 0.05,
+                mistakeRate: 0.05, comboChance: 0.5
+            },
+            nightmare: {
+                name: 'Nightmare', reactionDelay: 0, decisionInterval: [0.08, 0.18], attackChance: 1.2,
+                blockChance: 0.75, techChance: 0.7, throwChance: 0.12, superChance: 0.1,
+                mistakeRate: 0, comboChance: 0.9
+            }
+        }
+    },
+    // Physics jump (MotionController) - apex height is character.json stats.jumpHeight
+    jump: {
+        gravity: 30,                // Downward acceleration while jumping (units/s^2), scaled by weight
+        arcSpeed: 3.5,              // Horizontal speed of forward/back jumps, chosen at takeoff
+        airControl: 0.25,           // Fraction of movement input that can still nudge the arc mid-air
+        landingRecovery: 4,         // Frames locked after landing from a jump
+        attackLandingRecovery: 8    // Frames locked after landing during an air attack
+    },
+    // Command input parsing (durations in simulation ticks unless noted)
+    input: {
+        historyTicks: 60,        // How much direction history InputHandler keeps
+        motionWindowTicks: 24,   // Max time to complete a motion (e.g. down, down-forward, forward)
+        motionBufferTicks: 8,    // Button may come this long after the final direction
+        chargeTime: 0.75,        // Default seconds a charge direction must be held
+        bufferTicks: 6,          // Button presses stay buffered this long, so a press made slightly early (e.g. during recovery) still comes out
+        chordTolerance: 3        // Max ticks between the two presses of a chord (throw, super); a partner this late still upgrades the first button's attack
+    },
+    // Fixed-rate gameplay simulation - all gameplay timers count these ticks
+    simulation: {
+        tickRate: 60,    // Simulation ticks per second
+        maxSubSteps: 5   // Max ticks simulated per rendered frame before dropping time
+    },
     combat: {
         hp: 100,
         stamina: 100,
         regen: 5, // Reduced from 12 to slow down regeneration
         timer: 99,
-        // Separate windows for timing - earlier windows for faster hits
+        // Attack timing is frame data in simulation ticks: startup (frames before the first active frame),
+        // active (frames the hitboxes are live) and recovery. The attack animation is stretched to fit the total.
+        // hitstun/blockstun are frames the defender is locked for; `onHit`/`onBlock` (frame advantage) can be given instead.
+        // Advantage = hitstun (or blockstun) - (active - 1 + recovery) when connecting on the first active frame.
         // Stamina costs: Reduced - ~5-6 kicks deplete full bar (100 stamina / 5-6 = ~17-20 per kick)
-        light: { dmg: 6, cost: 9, range: 2.2, window: [0.1, 0.35] }, // Reduced cost
-        heavy: { dmg: 15, cost: 18, range: 2.8, window: [0.25, 0.55] }, // ~5-6 kicks deplete full bar
-        leftHand: { dmg: 6, cost: 9, range: 2.2, window: [0.1, 0.35] },
-        rightHand: { dmg: 6, cost: 9, range: 2.2, window: [0.1, 0.35] },
-        leftLeg: { dmg: 15, cost: 18, range: 2.8, window: [0.25, 0.55] },
-        rightLeg: { dmg: 15, cost: 18, range: 2.8, window: [0.25, 0.55] },
+        light: { dmg: 6, cost: 9, range: 2.2, startup: 5, active: 3, recovery: 10, hitstun: 16, blockstun: 10 }, // Reduced cost
+        heavy: { dmg: 15, cost: 18, range: 2.8, startup: 9, active: 4, recovery: 16, hitstun: 24, blockstun: 14 }, // ~5-6 kicks deplete full bar
+        leftHand: { dmg: 6, cost: 9, range: 2.2, startup: 5, active: 3, recovery: 10, hitstun: 16, blockstun: 10 },
+        rightHand: { dmg: 6, cost: 9, range: 2.2, startup: 5, active: 3, recovery: 10, hitstun: 16, blockstun: 10 },
+        leftLeg: { dmg: 15, cost: 18, range: 2.8, startup: 9, active: 4, recovery: 16, hitstun: 24, blockstun: 14 },
+        rightLeg: { dmg: 15, cost: 18, range: 2.8, startup: 9, active: 4, recovery: 16, hitstun: 24, blockstun: 14 },
         hitAngle: 0.6,
-        // Combo system configuration
-        comboSpeedMultiplier: 17.1,  // Combo attacks play at 17.1x speed (hands: 3.5 * 17.1 ≈ 60.0x, legs: 3.0 * 17.1 ≈ 51.3x)
+        // Guard configuration - blocked hits deal chip damage and drain stamina instead of stunning
+        block: {
+            chipDamage: 0.2,          // Fraction of attack damage that gets through the guard
+            staminaDrain: 0.6,        // Defender stamina drained per point of blocked damage
+            pushbackMultiplier: 0.5,  // Blocked hits push back less than clean hits (BLOCKSTUN length is the attack's blockstun)
+            guardBreakStun: 1.0,      // Seconds stunned when the guard is broken (stamina empty)
+            guardAngle: 0.3           // Min facing dot product toward attacker to block
+        },
+        // Throw configuration - unblockable close-range grab (both hand buttons together)
+        throw: {
+            dmg: 18,              // Fixed damage, unaffected by guard
+            cost: 12,             // Stamina cost to attempt a throw
+            range: 1.8,           // Max distance between fighters to grab
+            techWindow: 0.3,      // Seconds the victim has to press throw and escape
+            duration: 0.9,        // Seconds the attacker is locked in the throw animation
+            whiffRecovery: 0.45,  // Seconds of recovery when the grab misses
+            techPushback: 0.9,    // Distance both fighters are pushed apart on a tech
+            knockdownTime: 1.0    // Seconds the victim stays down after being thrown
+        },
+        // Sidestep (tap Q/E) - a quick step around the opponent; linear attacks whiff during the evasion frames
+        // Attacks tagged `tracking: true` in character.json follow the sidestep and still hit
+        sidestep: {
+            distance: 1.4,        // Lateral distance covered
+            duration: 16,         // Frames the sidestep lasts
+            evadeStart: 2,        // First frame linear attacks whiff
+            evadeEnd: 12,         // Evasion ends on this frame (exclusive)
+            cost: 5               // Stamina cost
+        },
+        // Projectiles fired by command moves (character.json `moves.<id>.projectile` overrides these)
+        projectile: {
+            speed: 9,             // Units per second
+            lifetime: 1.6,        // Seconds before it fizzles out
+            radius: 0.35,         // Attack sphere radius
+            strength: 1,          // Clash durability - projectiles trade strength and vanish at 0
+            spawnBone: 'handRight', // BoneDiscovery bone it's fired from
+            maxPerFighter: 1      // Projectile moves can't be used while this many are on screen
+        },
+        // Hit location - head hits hurt more and build toward a dizzy
+        hitLocation: {
+            damageMultipliers: { head: 1.25, torso: 1.0 },  // character.json hitboxes.damageMultipliers override
+            dizzy: {
+                threshold: 45,    // Head damage taken in quick succession before getting dizzy
+                decay: 15,        // Buildup lost per second
+                duration: 1.2     // Seconds stunned when dizzy
+            }
+        },
+        // Super meter - filled by dealing and taking damage, spent on EX attacks and super moves
+        meter: {
+            max: 100,
+            gainOnHit: 0.6,           // Meter per point of damage dealt (characters can override)
+            gainOnDamaged: 0.4,       // Meter per point of damage taken
+            exCost: 25,               // Attack + SPACE: EX version of the attack
+            exDamageMultiplier: 1.3,
+            exArmorHits: 1,           // Hits an EX attack absorbs without flinching
+            superCost: 100,           // Both leg buttons: character super move (super.meterCost overrides)
+            cinematicDuration: 1.0    // Seconds the camera holds the super cut-in
+        },
+        // Combo damage scaling - hits landed while the target is still in hitstun/juggle form a combo
+        // Hit n deals max(minimum, 1 - perHit * (n - startAfter)) of its damage (characters can override)
+        comboScaling: {
+            startAfter: 2,   // First hits at full damage
+            perHit: 0.1,     // Damage lost per additional hit
+            minimum: 0.3     // Scaling floor
+        },
+        // Counter-hits (target hit during attack startup) and punishes (target hit in recovery); active frames trade without either
+        counterHit: {
+            damageMultiplier: 1.25,
+            hitstunBonus: 12        // Extra frames of hitstun
+        },
+        punish: {
+            damageMultiplier: 1.15,
+            hitstunBonus: 9
+        },
+        // Airborne juggle - launcher hits (stat `launch: true`) and heavy hits on jumping targets
+        juggle: {
+            gravity: 28,            // Downward acceleration while airborne (units/s^2), scaled by the fighter's weight
+            launchVelocity: 8.5,    // Upward velocity from a launcher (per-attack `launchVelocity` overrides)
+            relaunchVelocity: 4.5,  // Upward velocity when hit again while airborne
+            carry: 1.8,             // Horizontal velocity away from the attacker
+            limit: 3                // Hits allowed in one juggle before the target can't be hit until landing
+        },
+        // Knockdown and wake-up - downed fighters can't be hit
+        knockdown: {
+            groundTime: 0.8,        // Seconds on the ground before rising automatically
+            quickRiseTime: 0.25,    // Quick rise / back roll can start this soon after landing
+            delayedRiseTime: 1.4,   // Delayed rise (hold down) stays on the ground this long
+            getupTime: 0.5,         // Seconds the getup animation locks the fighter
+            backRollTime: 0.45,     // Seconds the back roll takes
+            backRollDistance: 2.2,  // Distance covered by the back roll
+            invulnerability: 0.35   // Seconds of invulnerability once rising
+        },
         // Movement configuration for combo system
         movement: {
             pushback: {
@@ -40,7 +220,11 @@ export const CONFIG = {
             toBase: 0.20,
             withinCombo: 0.05,
             toJump: 0.08,
-            toCrouch: 0.05
+            toCrouch: 0.05,
+            toBlock: 0.06,
+            toThrow: 0.05,
+            toKnockdown: 0.1,
+            toGetup: 0.08
         },
         motion: {
             acceleration: 12.0,
@@ -50,15 +234,20 @@ export const CONFIG = {
         locomotion: {
             minBaseWeight: 0.1,  // Prevents floor clipping
             walkThreshold: 0.1,  // Speed to start blending walk
-            crouchDuration: 0.5, // Unified crouch timing
-            jumpDuration: 0.6,   // Jump animation duration
-            jumpCancelWindow: 0.2 // When jump can be interrupted (20%)
+            crouchDuration: 0.5  // Unified crouch timing
         },
         priorities: {
             DEAD: 100,
+            KNOCKDOWN: 95,
+            JUGGLE: 94,
+            THROWN: 92,
             HIT: 90,
+            WALLSPLAT: 90,
+            WAKEUP: 80,
+            THROW: 60,
             ATK2: 50,
             ATK1: 40,
+            BLOCK: 35,
             JUMP: 30,
             CROUCH: 30,
             LOCOMOTION: 10
@@ -71,7 +260,20 @@ export const DEFAULT_CHARACTER_STATS = {
     hp: 100,
     stamina: 100,
     staminaRegen: 5, // Reduced from 12 to slow down regeneration
-    moveSpeed: 4.0
+    moveSpeed: 4.0,
+    jumpHeight: 1.5, // Jump apex height in units
+    weight: 1.0      // 1 = average; heavier fighters are pushed less, fall faster and lunge less on hit
+};
+
+// Default CPU personality - character.json `ai` overrides it (see AIController.setPersonality)
+export const DEFAULT_AI_PERSONALITY = {
+    aggression: 0.5,        // 0-1: how readily the CPU turns aggressive (needs HP/stamina above 1 - aggression)
+    retreatDistance: 2.0,   // Backs off when the opponent is closer than this while spacing
+    attackChance: 0.5,      // 0-1: scales attack rolls (0.5 leaves them as they are, 1 = 1.5x)
+    preferredRange: 2.5,    // Distance kept while spacing
+    jumpFrequency: 0,       // 0-1: chance per decision to jump in while approaching
+    favouriteAttacks: [],   // Buttons picked twice as often whenever they fit the situation
+    riskTolerance: 0.5      // 0-1: lower turns defensive sooner and attacks into active frames less
 };
 
 // Default combat stats - these can be overridden by character configs
@@ -80,36 +282,60 @@ export const DEFAULT_COMBAT_STATS = {
         dmg: 6,
         cost: 9,
         range: 2.2,
-        window: [0.1, 0.35] // Earlier window for faster hits
+        startup: 5,
+        active: 3,
+        recovery: 10,
+        hitstun: 16,
+        blockstun: 10
     },
     heavy: {
         dmg: 15,
         cost: 18,
         range: 2.8,
-        window: [0.25, 0.55] // Earlier window for faster hits
+        startup: 9,
+        active: 4,
+        recovery: 16,
+        hitstun: 24,
+        blockstun: 14
     },
     leftHand: {
         dmg: 6,
         cost: 9,
         range: 2.2,
-        window: [0.1, 0.35]
+        startup: 5,
+        active: 3,
+        recovery: 10,
+        hitstun: 16,
+        blockstun: 10
     },
     rightHand: {
         dmg: 6,
         cost: 9,
         range: 2.2,
-        window: [0.1, 0.35]
+        startup: 5,
+        active: 3,
+        recovery: 10,
+        hitstun: 16,
+        blockstun: 10
     },
     leftLeg: {
         dmg: 15,
         cost: 18,
         range: 2.8,
-        window: [0.25, 0.55]
+        startup: 9,
+        active: 4,
+        recovery: 16,
+        hitstun: 24,
+        blockstun: 14
     },
     rightLeg: {
         dmg: 15,
         cost: 18,
         range: 2.8,
-        window: [0.25, 0.55]
+        startup: 9,
+        active: 4,
+        recovery: 16,
+        hitstun: 24,
+        blockstun: 14
     }
 };
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { CONFIG } from '../config.js';
 
 export class ArenaBuilder {
     constructor(sceneManager) {
@@ -55,8 +56,10 @@ export class ArenaBuilder {
 
     createBoundaryRings() {
         // Arena boundary rings - Balanced with subtle emissive
+        // The first ring marks the wall fighters are kept inside (CONFIG.arena.radius)
+        const wallRadius = CONFIG.arena.radius;
         const ring1 = new THREE.Mesh(
-            new THREE.RingGeometry(15, 15.3, 64),
+            new THREE.RingGeometry(wallRadius, wallRadius + 0.3, 64),
             new THREE.MeshStandardMaterial({
                 color: 0xffaa00,
                 emissive: 0xffaa00,
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { CONFIG } from '../config.js';
 
 export class CameraController {
@@ -6,12 +7,19 @@ export class CameraController {
         this.sceneManager = sceneManager;
         this.camera = sceneManager.camera;
         this.shake = 0;
+        this.cinematic = null; // { fighter, remaining } while a super cut-in is playing
+        this.freeControls = null; // OrbitControls while the replay viewer's free camera is on
     }
 
     update(dt, fighters, gameState) {
         if (!this.camera) {
             this.camera = this.sceneManager.camera;
         }
+        // Free camera - the mouse is in charge (drag to orbit, wheel to zoom, right-drag to pan)
+        if (this.freeControls) {
+            this.freeControls.update();
+            return;
+        }
         // Handle camera shake
         if (this.shake > 0) {
             this.camera.position.x += (Math.random() - 0.5) * this.shake;
@@ -34,6 +42,25 @@ export class CameraController {
             return;
         }
 
+        // Super cut-in: swing in front of the fighter, then hand back to the gameplay camera
+        if (this.cinematic) {
+            this.cinematic.remaining -= dt;
+            if (this.cinematic.remaining > 0 && gameState === 'FIGHT') {
+                const mesh = this.cinematic.fighter.mesh;
+                const fwd = new THREE.Vector3(0, 0, 1).applyQuaternion(mesh.quaternion);
+                const side = new THREE.Vector3(1, 0, 0).applyQuaternion(mesh.quaternion);
+                const target = mesh.position.clone().add(new THREE.Vector3(0, 1.6, 0));
+                const goal = mesh.position.clone()
+                    .addScaledVector(fwd, 2.8)
+                    .addScaledVector(side, 1.2)
+                    .add(new THREE.Vector3(0, 1.8, 0));
+                this.camera.position.lerp(goal, Math.min(1, dt * 8));
+                this.camera.lookAt(target);
+                return;
+            }
+            this.cinematic = null;
+        }
+
         // Gameplay Camera (Wider & Higher)
         const p1 = fighters[0].mesh.position;
         const p2 = fighters[1].mesh.position;
@@ -48,6 +75,47 @@ export class CameraController {
         this.camera.lookAt(target);
     }
 
+    /**
+     * Cut to a close-up of a fighter for a super move
+     * @param {object} fighter - Fighter performing the super
+     * @param {number} duration - Seconds to hold the shot
+     */
+    startCinematic(fighter, duration) {
+        this.cinematic = { fighter, remaining: duration };
+    }
+
+    stopCinematic() {
+        this.cinematic = null;
+    }
+
+    /**
+     * Hand the camera to the mouse (replay viewer) or give it back to the gameplay camera
+     * @param {boolean} enabled - Whether the free camera is on
+     * @param {Array} fighters - [fighter1, fighter2], orbited around their midpoint
+     */
+    setFreeCamera(enabled, fighters = []) {
+        if (!enabled) {
+            this.freeControls?.dispose();
+            this.freeControls = null;
+            return;
+        }
+        if (this.freeControls || !this.sceneManager.renderer) return;
+
+        this.freeControls = new OrbitControls(this.camera, this.sceneManager.renderer.domElement);
+        this.freeControls.enableDamping = true;
+        if (fighters.length === 2) {
+            this.freeControls.target.addVectors(fighters[0].mesh.position, fighters[1].mesh.position)
+                .multiplyScalar(0.5)
+                .add(new THREE.Vector3(0, 1.5, 0));
+        }
+        this.shake = 0;
+        this.cinematic = null;
+    }
+
+    isFreeCamera() {
+        return this.freeControls !== null;
+    }
+
     addShake(amount) {
         this.shake = Math.max(this.shake, amount);
     }
@@ -0,0 +1,80 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Duration of one simulation tick in seconds
+ */
+export const TICK_DT = 1 / CONFIG.simulation.tickRate;
+
+/**
+ * Convert a duration in seconds to whole simulation ticks
+ * @param {number} seconds - Duration in seconds
+ * @returns {number} Duration in ticks (rounded to the nearest tick)
+ */
+export function secondsToTicks(seconds) {
+    return Math.round(seconds * CONFIG.simulation.tickRate);
+}
+
+/**
+ * Convert a tick count back to seconds (for display/debug)
+ * @param {number} ticks - Duration in ticks
+ * @returns {number} Duration in seconds
+ */
+export function ticksToSeconds(ticks) {
+    return ticks * TICK_DT;
+}
+
+/**
+ * FixedTimestep - Accumulates variable frame time and hands out fixed simulation ticks
+ * Gameplay runs at a constant rate regardless of display refresh rate; the
+ * leftover fraction of a tick is exposed as an interpolation alpha for rendering.
+ */
+export class FixedTimestep {
+    constructor(tickRate = CONFIG.simulation.tickRate, maxSubSteps = CONFIG.simulation.maxSubSteps) {
+        this.tickRate = tickRate;
+        this.tickDt = 1 / tickRate;
+        this.maxSubSteps = maxSubSteps;
+        this.accumulator = 0;
+        this.tick = 0; // Total ticks simulated since last reset
+    }
+
+    /**
+     * Add frame time and return how many ticks should be simulated this frame
+     * Caps the catch-up so a long stall (tab switch, breakpoint) doesn't spiral
+     * @param {number} frameDt - Real elapsed time since last frame (seconds)
+     * @returns {number} Number of ticks to simulate
+     */
+    advance(frameDt) {
+        this.accumulator += Math.max(0, frameDt);
+
+        let steps = Math.floor(this.accumulator / this.tickDt);
+        if (steps > this.maxSubSteps) {
+            steps = this.maxSubSteps;
+            this.accumulator = 0;
+        } else {
+            this.accumulator -= steps * this.tickDt;
+        }
+
+        this.tick += steps;
+        return steps;
+    }
+
+    /**
+     * Fraction of the next tick already elapsed, used to interpolate rendering
+     * @returns {number} Alpha in [0, 1)
+     */
+    getAlpha() {
+        return Math.min(1, this.accumulator / this.tickDt);
+    }
+
+    /**
+     * Drop accumulated time (e.g. while paused) so resuming doesn't burst ticks
+     */
+    clearAccumulator() {
+        this.accumulator = 0;
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.tick = 0;
+    }
+}
@@ -89,7 +89,7 @@ export class RenderSystem {
 
     /**
      * Render the main scene (gameplay) through the pixelation pipeline
-     * @param {number} hitStop - Hit stop duration (freezes frame if > 0)
+     * @param {number} hitStop - Remaining hit stop ticks (freezes frame if > 0)
      */
     render(hitStop = 0) {
         if (!this.scene || !this.camera) {
@@ -0,0 +1,55 @@
+/**
+ * Make a fresh 32-bit seed for a match
+ * @returns {number} Seed
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Read a seed typed by a person (URL parameter, debug menu)
+ * @param {string|number|null} value - Whole number from 0 to 4294967295
+ * @returns {number|null} Seed, or null if the value is empty or not a valid seed
+ */
+export function parseSeed(value) {
+    const text = String(value ?? '').trim();
+    if (!/^\d+$/.test(text)) return null;
+    const seed = Number(text);
+    return seed <= 0xFFFFFFFF ? seed : null;
+}
+
+/**
+ * SeededRandom - Small deterministic PRNG (mulberry32)
+ * The gameplay random source: one instance per match is shared by everything that rolls dice
+ * (AI decisions, random character select), so the same seed plays out the same way.
+ */
+export class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit seed
+     */
+    constructor(seed = createSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next number in the sequence
+     * @returns {number} Float in [0, 1), drop-in for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Pick one item at random
+     * @param {Array} items - Items to choose from
+     * @returns {*} Chosen item (undefined if the array is empty)
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+}
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
-import { CONFIG } from '../config.js';
+import { CONFIG, DEFAULT_AI_PERSONALITY } from '../config.js';
+import { secondsToTicks } from '../core/FixedTimestep.js';
+import { SeededRandom } from '../core/SeededRandom.js';
 
 export class AIController {
     constructor() {
@@ -12,7 +14,7 @@ export class AIController {
         // Current behavioral state
         this.currentState = this.STATE_SPACING;
         
-        // Decision making timers
+        // Decision making timers (simulation ticks; durations below are authored in seconds)
         this.decisionTimer = 0;
         this.reactionTimer = 0;
         this.stateChangeTimer = 0;
@@ -33,42 +35,158 @@ export class AIController {
         
         // Reaction timing
         this.reactionWindow = 0.3; // Time window to react to opponent attacks
-        
+        this.reactionDelay = 0; // Time before a detected attack is noticed, and extra pause between own attacks (per difficulty)
+
+        // Decision pacing and accuracy (per difficulty, see setDifficulty)
+        this.decisionInterval = [0.15, 0.35]; // Seconds between state evaluations, [min, max]
+        this.attackChanceScale = 1; // Scales every attack roll
+        this.mistakeRate = 0; // Chance an attack comes out on a random button
+        this.comboChance = 0; // Chance to chain an attack that connected
+        this.comboRolledAt = 0; // comboCount of the attack already rolled for (0 = none)
+
+        // Guard behavior
+        this.blockChance = 0.45; // Chance to block a detected attack (scaled by stamina)
+        this.blockTimer = 0; // How long to keep holding the guard
+        this.shouldBlock = false; // Block decision, rolled once per detected attack
+
+        // Throw behavior
+        this.throwChance = 0.08; // Per-tick chance to grab a guarding/crouching opponent in range
+        this.techChance = 0.35; // Chance to tech a throw, rolled once per grab
+        this.techTimer = -1; // Ticks until the tech input (-1 = no tech this grab)
+        this.techTimer = -1; // Ticks until the tech input (-1 = no tech this grab)
+        this.techRolled = false;
+
+        // Per-tick chance to spend a full meter on the super when in range
+        this.superChance = 0.05;
+
+        // Wake-up option weights (normal rise gets whatever is left)
+        this.wakeUpWeights = { quick: 0.35, delayed: 0.2, roll: 0.25 };
         // Action cooldowns to prevent spamming
         this.attackCooldown = 0;
         this.jumpCooldown = 0;
+        this.sidestepCooldown = 0;
         this.crouchCooldown = 0;
         
         // Idle behavior
         this.idleTimer = 0;
         this.isIdle = false;
+
+        // Seeded generator for every decision roll - the match injects its own (see setRandom)
+        this.rng = new SeededRandom();
+
+        this.difficulty = null;
+        this.setDifficulty(CONFIG.ai.difficulty);
+
+        // Character's play style from character.json `ai` (see setPersonality)
+        this.personality = { ...DEFAULT_AI_PERSONALITY };
+    }
+
+    /**
+     * Give the AI a character's play style - the difficulty tier decides how well it plays, this how
+     * @param {object|null} ai - character.json `ai` section (missing fields use DEFAULT_AI_PERSONALITY)
+     */
+    setPersonality(ai) {
+        this.personality = { ...DEFAULT_AI_PERSONALITY, ...ai };
+        this.targetDistance = this.personality.preferredRange;
+        // Risk-averse characters turn defensive with more HP/stamina left (20% at the default 0.5)
+        this.lowHealthThreshold = 0.4 * (1 - this.personality.riskTolerance);
+        this.lowStaminaThreshold = this.lowHealthThreshold;
+    }
+
+    /**
+     * Apply a difficulty tier from CONFIG.ai.difficulties
+     * @param {string} id - Tier id ('easy', 'normal', 'hard', 'nightmare'); unknown ids keep the current tier
+     */
+    setDifficulty(id) {
+        const tier = CONFIG.ai.difficulties[id];
+        if (!tier) {
+            console.warn(`Unknown AI difficulty: ${id}`);
+            return;
+        }
+
+        this.difficulty = id;
+        this.reactionDelay = tier.reactionDelay;
+        this.decisionInterval = tier.decisionInterval;
+        this.attackChanceScale = tier.attackChance;
+        this.blockChance = tier.blockChance;
+        this.techChance = tier.techChance;
+        this.throwChance = tier.throwChance;
+        this.superChance = tier.superChance;
+        this.mistakeRate = tier.mistakeRate;
+        this.comboChance = tier.comboChance;
+    }
+
+    /**
+     * Use the match's generator so the same seed replays the same decisions
+     * @param {object} rng - SeededRandom instance
+     */
+    setRandom(rng) {
+        this.rng = rng;
+    }
+
+    /**
+     * Roll a decision
+     * @returns {number} Float in [0, 1)
+     */
+    random() {
+        return this.rng.next();
     }
 
     updateAI(fighter, dt, opponent, collisionSystem) {
         // Don't make decisions if fighter is in a locked state
         const currentState = fighter.stateManager?.getCurrentState() || fighter.state;
-        if (currentState === 'ATTACK' || currentState === 'STUN' || 
+        this.comboRolledAt = 0; // Only called between attacks, so the next chain rolls afresh
+
+        // Being thrown - maybe tech after a human-ish reaction delay
+        if (currentState === 'THROWN') {
+            this.updateThrowTech(fighter);
+            return;
+        }
+        this.techRolled = false;
+
+        // Knocked down - pick a wake-up option once
+        if (currentState === 'KNOCKDOWN') {
+            fighter.desiredVelocity.set(0, 0, 0);
+            if (!fighter.wakeUpOption) {
+                fighter.wakeUpOption = this.chooseWakeUp();
+            }
+            return;
+        }
+
+        if (currentState === 'ATTACK' || currentState === 'STUN' || currentState === 'WALLSPLAT' ||
+            currentState === 'BLOCKSTUN' || currentState === 'LANDING' || currentState === 'SIDESTEP' || currentState === 'THROW' || currentState === 'JUGGLE' || currentState === 'WAKEUP' ||
             currentState === 'DEAD' || currentState === 'WIN') {
             // Clear movement in locked states
             fighter.desiredVelocity.set(0, 0, 0);
             return;
         }
         
+        // Hold guard until the block timer runs out and the opponent stops attacking
+        if (currentState === 'BLOCK') {
+            this.blockTimer--;
+            const opponentState = opponent.stateManager?.getCurrentState() || opponent.state;
+            if (this.blockTimer <= 0 && opponentState !== 'ATTACK') {
+                this.releaseGuard(fighter);
+            }
+            return;
+        }
+        
         // Check animation priority before actions
         const currentPriority = fighter.animationSystem?.getCurrentPriority() || fighter.animationController?.getCurrentPriority() || 0;
         const canInterrupt = currentPriority < 40; // Can interrupt locomotion/jump/crouch
 
         // Update timers
-        this.decisionTimer -= dt;
-        this.reactionTimer -= dt;
-        this.stateChangeTimer -= dt;
-        this.spacingChangeTimer -= dt;
-        this.idleTimer -= dt;
+        this.decisionTimer--;
+        this.reactionTimer--;
+        this.stateChangeTimer--;
+        this.spacingChangeTimer--;
+        this.idleTimer--;
         
         // Update action cooldowns
-        this.attackCooldown = Math.max(0, this.attackCooldown - dt);
-        this.jumpCooldown = Math.max(0, this.jumpCooldown - dt);
-        this.crouchCooldown = Math.max(0, this.crouchCooldown - dt);
+        this.attackCooldown = Math.max(0, this.attackCooldown - 1);
+        this.jumpCooldown = Math.max(0, this.jumpCooldown - 1);
+        this.sidestepCooldown = Math.max(0, this.sidestepCooldown - 1);
+        this.crouchCooldown = Math.max(0, this.crouchCooldown - 1);
 
         // Gather environment data
         const distance = collisionSystem.getDistance(fighter, opponent);
@@ -86,13 +204,16 @@ export class AIController {
         if (opponentState !== this.lastOpponentState) {
             if (opponentState === 'ATTACK' && opponentAnimPriority >= 40) {
                 this.opponentAttackDetected = true;
-                this.reactionTimer = this.reactionWindow;
+                this.reactionTimer = secondsToTicks(this.reactionDelay + this.reactionWindow);
+                // Guarding drains stamina, so block less often when running low
+                this.shouldBlock = this.random() < this.blockChance * (0.5 + fighterStPercent * 0.5);
             }
             this.lastOpponentState = opponentState;
         }
 
-        // High-priority: React to opponent attacks
-        if (this.opponentAttackDetected && this.reactionTimer > 0) {
+        // High-priority: React to opponent attacks (once the reaction delay has passed)
+        const noticed = this.reactionTimer <= secondsToTicks(this.reactionWindow);
+        if (this.opponentAttackDetected && this.reactionTimer > 0 && noticed) {
             this.currentState = this.STATE_REACTION;
             this.handleReaction(fighter, dt, opponent, distance, collisionSystem, opponentAnimState);
             if (this.reactionTimer <= 0) {
@@ -105,7 +226,22 @@ export class AIController {
         if (this.decisionTimer <= 0) {
             this.evaluateState(fighter, opponent, distance, fighterHpPercent, fighterStPercent, 
                              opponentHpPercent, opponentStPercent, opponentState);
-            this.decisionTimer = Math.random() * 0.2 + 0.15; // Decision every 0.15-0.35 seconds
+            const [minInterval, maxInterval] = this.decisionInterval;
+            this.decisionTimer = secondsToTicks(minInterval + this.random() * (maxInterval - minInterval));
+
+            if (this.tryJumpIn(fighter, distance)) {
+                return;
+            }
+        }
+
+        // Grab opponents who are turtling
+        if (this.tryThrow(fighter, opponent, collisionSystem, opponentState)) {
+            return;
+        }
+
+        // Cash in a full meter
+        if (this.trySuper(fighter, distance)) {
+            return;
         }
 
         // PRIORITY: Check for attack opportunities FIRST before movement
@@ -114,7 +250,7 @@ export class AIController {
         if (attackOpportunity.shouldAttack) {
             // Attack opportunity found - execute attack immediately
             fighter.combatSystem.attack(fighter, attackOpportunity.attackType);
-            this.attackCooldown = attackOpportunity.cooldown;
+            this.attackCooldown = secondsToTicks(attackOpportunity.cooldown + this.reactionDelay);
             return; // Don't move this frame
         }
 
@@ -153,10 +289,10 @@ export class AIController {
         }
 
         // Get attack ranges
-        const lightStats = fighter.getCombatStats('light') || CONFIG.combat.light;
-        const heavyStats = fighter.getCombatStats('heavy') || CONFIG.combat.heavy;
-        const lightRange = lightStats.range || 2.2;
-        const heavyRange = heavyStats.range || 2.8;
+        const heavyStats = fighter.getCombatStats('leftLeg') || CONFIG.combat.leftLeg;
+        // Longest reach of the hand (light) and leg (heavy) buttons
+        const lightRange = Math.max(fighter.getCombatStats('leftHand')?.range || 2.2, fighter.getCombatStats('rightHand')?.range || 2.2);
+        const heavyRange = Math.max(fighter.getCombatStats('leftLeg')?.range || 2.8, fighter.getCombatStats('rightLeg')?.range || 2.8);
 
         // Determine attack opportunity based on distance and opponent state
         let attackChance = 0.0;
@@ -164,7 +300,7 @@ export class AIController {
         let cooldown = 0.2;
 
         // Opponent is vulnerable - high attack chance
-        if (opponentState === 'STUN') {
+        if (opponentState === 'STUN' || opponentState === 'WALLSPLAT') {
             attackChance = 0.95; // 95% chance when opponent is stunned
             preferHeavy = true;
             cooldown = 0.15; // Faster attacks when opponent is vulnerable
@@ -181,8 +317,8 @@ export class AIController {
                 preferHeavy = distance < 2.0;
                 cooldown = 0.2;
             } else {
-                // Opponent in active frames - lower chance
-                attackChance = 0.5;
+                // Opponent in active frames - lower chance, trading hits is for risk takers
+                attackChance = this.personality.riskTolerance;
                 preferHeavy = false;
                 cooldown = 0.25;
             }
@@ -209,17 +345,22 @@ export class AIController {
         } else if (this.currentState === this.STATE_SPACING) {
             attackChance = Math.min(0.9, attackChance + 0.1); // +10% in spacing
         }
+        attackChance = Math.min(0.95, attackChance * this.attackChanceScale * (0.5 + this.personality.attackChance));
 
         // Roll for attack
-        if (Math.random() < attackChance) {
+        if (this.random() < attackChance) {
             // Choose attack type
-            let attackType;
-            if (preferHeavy && fighterStPercent >= (heavyStats.cost || 30) / fighter.maxSt) {
-                const heavyAttacks = ['leftLeg', 'rightLeg'];
-                attackType = heavyAttacks[Math.floor(Math.random() * heavyAttacks.length)];
-            } else {
-                const lightAttacks = ['leftHand', 'rightHand'];
-                attackType = lightAttacks[Math.floor(Math.random() * lightAttacks.length)];
+            const canHeavy = distance <= heavyRange && fighterStPercent >= (heavyStats.cost || 30) / fighter.maxSt;
+            const useHeavy = preferHeavy && canHeavy;
+            // The other pair stays in play for a favourite, as long as it reaches (and legs can be paid for)
+            const otherAttacks = useHeavy
+                ? (distance <= lightRange ? ['leftHand', 'rightHand'] : [])
+                : (canHeavy ? ['leftLeg', 'rightLeg'] : []);
+            let attackType = this.pickAttack(useHeavy ? ['leftLeg', 'rightLeg'] : ['leftHand', 'rightHand'], otherAttacks);
+
+            // Fumbled input - a different button than the one the situation called for
+            if (this.mistakeRate > 0 && this.random() < this.mistakeRate) {
+                attackType = this.rng.pick(['leftHand', 'rightHand', 'leftLeg', 'rightLeg']);
             }
 
             return {
@@ -238,28 +379,30 @@ export class AIController {
         if (fighterHpPercent < this.lowHealthThreshold || fighterStPercent < this.lowStaminaThreshold) {
             if (this.currentState !== this.STATE_DEFENSIVE) {
                 this.currentState = this.STATE_DEFENSIVE;
-                this.stateChangeTimer = Math.random() * 1.0 + 0.5;
+                this.stateChangeTimer = secondsToTicks(this.random() * 1.0 + 0.5);
             }
             return;
         }
 
         // Check if opponent is vulnerable (stunned, low health, or low stamina)
-        const opponentVulnerable = opponentState === 'STUN' || 
+        const opponentVulnerable = opponentState === 'STUN' || opponentState === 'WALLSPLAT' ||
                                   opponentHpPercent < this.opponentWeakThreshold ||
                                   opponentStPercent < this.opponentWeakThreshold;
 
         // Be aggressive if:
         // 1. Opponent is vulnerable, OR
-        // 2. We have good resources (HP > 50% and ST > 50%) and opponent is not attacking
-        const hasGoodResources = fighterHpPercent > 0.5 && fighterStPercent > 0.5;
+        // 2. We have good resources and opponent is not attacking nearby
+        //    (aggression 0.5: HP and ST > 50% within 3.5 units; more aggressive characters need less, from further)
+        const { aggression } = this.personality;
+        const hasGoodResources = fighterHpPercent > 1 - aggression && fighterStPercent > 1 - aggression;
         const shouldBeAggressive = opponentVulnerable || 
-                                   (hasGoodResources && opponentState !== 'ATTACK' && distance < 3.5);
+                                   (hasGoodResources && opponentState !== 'ATTACK' && distance < 2.5 + aggression * 2);
 
         if (shouldBeAggressive) {
             // Go aggressive when conditions are met
             if (this.currentState !== this.STATE_AGGRESSIVE) {
                 this.currentState = this.STATE_AGGRESSIVE;
-                this.stateChangeTimer = Math.random() * 1.5 + 0.8;
+                this.stateChangeTimer = secondsToTicks(this.random() * 1.5 + 0.8);
             }
             return;
         }
@@ -267,7 +410,7 @@ export class AIController {
         // Default to spacing behavior
         if (this.currentState !== this.STATE_SPACING) {
             this.currentState = this.STATE_SPACING;
-            this.stateChangeTimer = Math.random() * 2.0 + 1.0;
+            this.stateChangeTimer = secondsToTicks(this.random() * 2.0 + 1.0);
         }
     }
 
@@ -314,13 +457,16 @@ export class AIController {
 
         // React based on attack type and timing
         if (attackTiming < 0.3) {
-            // Early in attack - can dodge
+            // Early in attack - can block or dodge
             const fighterState = fighter.stateManager?.getCurrentState() || fighter.state;
+            if (this.tryBlock(fighter, fighterState)) {
+                return;
+            }
             if (isHeavyAttack) {
                 // Heavy attacks are low (legs) - jump to avoid
                 if ((fighterState === 'IDLE' || fighterState === 'WALK') && fighter.actions['jump'] && this.jumpCooldown <= 0) {
                     fighter.jump();
-                    this.jumpCooldown = 0.5; // Cooldown after jump
+                    this.jumpCooldown = secondsToTicks(0.5); // Cooldown after jump
                 } else {
                     // Can't jump, try to retreat
                     if (fighterState === 'IDLE' || fighterState === 'WALK') {
@@ -330,9 +476,14 @@ export class AIController {
             } else {
                 // TEMPORARILY DISABLED: Crouch feature disabled for both player and AI
                 // Light attacks are high (hands) - crouch to avoid
-                // Can't crouch, try to retreat
+                // Sidestep linear attacks instead, otherwise retreat
                 if (fighterState === 'IDLE' || fighterState === 'WALK') {
-                    this.moveAway(fighter, opponent, dt);
+                    if (!attackStats?.tracking && this.sidestepCooldown <= 0) {
+                        fighter.sidestep(this.random() < 0.5 ? 1 : -1);
+                        this.sidestepCooldown = secondsToTicks(0.8); // Cooldown after sidestep
+                    } else {
+                        this.moveAway(fighter, opponent, dt);
+                    }
                 }
             }
         } else if (attackTiming > 0.7) {
@@ -341,7 +492,7 @@ export class AIController {
                                                                   fighter.st / fighter.maxSt, opponentAnimState);
             if (attackOpportunity.shouldAttack) {
                 fighter.combatSystem.attack(fighter, attackOpportunity.attackType);
-                this.attackCooldown = attackOpportunity.cooldown;
+                this.attackCooldown = secondsToTicks(attackOpportunity.cooldown + this.reactionDelay);
             } else {
                 // Can't counter, retreat
                 const fighterState = fighter.stateManager?.getCurrentState() || fighter.state;
@@ -351,8 +502,11 @@ export class AIController {
             }
         } else {
             // TEMPORARILY DISABLED: Crouch feature disabled for both player and AI
-            // Mid-attack - retreat or exit crouch if crouched
+            // Mid-attack - block, retreat or exit crouch if crouched
             const fighterState = fighter.stateManager?.getCurrentState() || fighter.state;
+            if (this.tryBlock(fighter, fighterState)) {
+                return;
+            }
             if (fighterState === 'CROUCH') {
                 // Exit crouch if attack is in active frames (mid-attack)
                 fighter.exitCrouch();
@@ -362,6 +516,144 @@ export class AIController {
         }
     }
 
+    tryBlock(fighter, fighterState) {
+        // Only block if the roll for this attack said so
+        if (!this.shouldBlock) return false;
+        if (fighterState !== 'IDLE' && fighterState !== 'WALK') return false;
+
+        fighter.block();
+        if (!fighter.isBlocking()) return false;
+
+        fighter.guardHeld = true;
+        this.blockTimer = secondsToTicks(this.reactionWindow + this.random() * 0.2);
+        this.shouldBlock = false;
+        return true;
+    }
+
+    /**
+     * Pick one of the attacks that fit the situation - the character's favourites count twice,
+     * and a favourite from the other pair gets a chance even when the situation didn't call for it
+     * @param {string[]} attacks - Candidate attack types
+     * @param {string[]} otherAttacks - Usable attack types the situation didn't call for (only favourites are picked)
+     * @returns {string} Attack type
+     */
+    pickAttack(attacks, otherAttacks = []) {
+        const favourites = [...attacks, ...otherAttacks].filter(attack => this.personality.favouriteAttacks.includes(attack));
+        return this.rng.pick([...attacks, ...favourites]);
+    }
+
+    /**
+     * Jump in at the opponent, as often as the character's jumpFrequency says (rolled once per decision)
+     * @param {object} fighter - AI fighter
+     * @param {number} distance - Distance to the opponent
+     * @returns {boolean} True if the jump started
+     */
+    tryJumpIn(fighter, distance) {
+        const { jumpFrequency, retreatDistance, preferredRange } = this.personality;
+        if (jumpFrequency <= 0 || this.jumpCooldown > 0 || this.currentState === this.STATE_DEFENSIVE) return false;
+        // Close enough to land next to the opponent, not so close the jump carries past them
+        if (distance < retreatDistance || distance > preferredRange + 1.5) return false;
+        if (this.random() >= jumpFrequency) return false;
+
+        fighter.jump(1);
+        if ((fighter.stateManager?.getCurrentState() || fighter.state) !== 'JUMP') return false;
+
+        this.jumpCooldown = secondsToTicks(1.0);
+        return true;
+    }
+
+    /**
+     * Pick the next attack of a chain while attacking - rolled once per attack, after it connected
+     * @param {object} fighter - Attacking fighter
+     * @returns {string|null} Attack type to queue, or null to let the attack finish
+     */
+    chooseComboFollowUp(fighter) {
+        if (this.comboChance <= 0 || !fighter.hitRegistered) return null;
+        if (fighter.comboQueuedType || this.comboRolledAt === fighter.comboCount) return null;
+
+        this.comboRolledAt = fighter.comboCount;
+        if (this.random() >= this.comboChance) return null;
+
+        // Hands keep the chain going, a leg finishes it (a favourite may cut it short or end it on a hand)
+        const finisher = fighter.comboCount + 1 >= fighter.maxCombo;
+        const hands = ['leftHand', 'rightHand'];
+        const legs = ['leftLeg', 'rightLeg'];
+        return finisher ? this.pickAttack(legs, hands) : this.pickAttack(hands, legs);
+    }
+
+    /**
+     * Roll once per grab whether to tech, then input the tech after a short delay
+     */
+    updateThrowTech(fighter) {
+        fighter.desiredVelocity.set(0, 0, 0);
+        if (!this.techRolled) {
+            this.techRolled = true;
+            this.techTimer = this.random() < this.techChance
+                ? secondsToTicks(this.random() * CONFIG.combat.throw.techWindow)
+                : -1;
+        }
+        if (this.techTimer < 0) return;
+
+        this.techTimer--;
+        if (this.techTimer <= 0) {
+            this.techTimer = -1;
+            fighter.combatSystem.techThrow(fighter);
+        }
+    }
+
+    /**
+     * Roll a wake-up option from wakeUpWeights
+     * @returns {string} 'quick', 'delayed', 'roll' or 'rise' (normal)
+     */
+    chooseWakeUp() {
+        let roll = this.random();
+        for (const [option, weight] of Object.entries(this.wakeUpWeights)) {
+            if (roll < weight) return option;
+            roll -= weight;
+        }
+        return 'rise';
+    }
+
+    /**
+     * Throw an opponent that is holding guard or crouching
+     * @returns {boolean} True if a throw was started
+     */
+    tryThrow(fighter, opponent, collisionSystem, opponentState) {
+        if (this.attackCooldown > 0) return false;
+        if (opponentState !== 'BLOCK' && opponentState !== 'CROUCH') return false;
+        if (collisionSystem.getDistance(fighter, opponent) > CONFIG.combat.throw.range) return false;
+        if (this.random() >= this.throwChance) return false;
+
+        const result = fighter.combatSystem.attemptThrow(fighter, opponent, collisionSystem);
+        if (!result) return false;
+
+        this.attackCooldown = secondsToTicks(0.6);
+        return true;
+    }
+
+    /**
+     * Use the super move when the meter is full and the opponent is in its range
+     * @returns {boolean} True if the super started
+     */
+    trySuper(fighter, distance) {
+        if (this.attackCooldown > 0) return false;
+        if (!fighter.getMove('super') || fighter.meter < fighter.getSuperCost()) return false;
+        if (distance > (fighter.getCombatStats('super')?.range ?? 0)) return false;
+        if (this.random() >= this.superChance) return false;
+
+        const result = fighter.combatSystem.performSuper(fighter);
+        if (!result) return false;
+
+        this.attackCooldown = secondsToTicks(0.8);
+        return true;
+    }
+
+    releaseGuard(fighter) {
+        fighter.guardHeld = false;
+        fighter.releaseBlock();
+        this.blockTimer = 0;
+    }
+
     executeBehavior(fighter, dt, opponent, distance, collisionSystem, 
                     fighterHpPercent, fighterStPercent, opponentHpPercent, opponentStPercent) {
         // TEMPORARILY DISABLED: Crouch feature disabled for both player and AI
@@ -406,7 +698,7 @@ export class AIController {
             // In idle zone - stop moving and observe
             if (!this.isIdle) {
                 this.isIdle = true;
-                this.idleTimer = Math.random() * 1.0 + 0.5; // Idle for 0.5-1.5 seconds
+                this.idleTimer = secondsToTicks(this.random() * 1.0 + 0.5); // Idle for 0.5-1.5 seconds
             }
             
             if (this.idleTimer > 0) {
@@ -417,7 +709,7 @@ export class AIController {
                 this.isIdle = false;
                 if (this.spacingChangeTimer <= 0) {
                     this.spacingDirection *= -1;
-                    this.spacingChangeTimer = Math.random() * 0.8 + 0.4;
+                    this.spacingChangeTimer = secondsToTicks(this.random() * 0.8 + 0.4);
                 }
                 
                 const moveAmount = 0.3; // Very reduced movement speed
@@ -453,7 +745,7 @@ export class AIController {
             // Attacks are handled in checkAttackOpportunity() before this function
             if (!this.isIdle) {
                 this.isIdle = true;
-                this.idleTimer = Math.random() * 0.2 + 0.05; // Very short idle 0.05-0.25 seconds
+                this.idleTimer = secondsToTicks(this.random() * 0.2 + 0.05); // Very short idle 0.05-0.25 seconds
             }
             
             const fighterState = fighter.stateManager?.getCurrentState() || fighter.state;
@@ -476,11 +768,12 @@ export class AIController {
 
     executeSpacing(fighter, dt, opponent, distance, collisionSystem, fighterStPercent) {
         // Spacing behavior: maintain optimal distance, bait attacks, look for openings
-        
-        const minDistance = 2.0;
-        const maxDistance = 3.5;
-        const idleZoneMin = 2.2;
-        const idleZoneMax = 3.0;
+        // (around the character's preferred range: 2.0-3.5 with an idle zone of 2.2-3.0 by default)
+        const { retreatDistance, preferredRange } = this.personality;
+        const minDistance = retreatDistance;
+        const maxDistance = preferredRange + 1.0;
+        const idleZoneMin = Math.max(retreatDistance, preferredRange - 0.3);
+        const idleZoneMax = preferredRange + 0.5;
         
         // Update spacing direction periodically
         if (this.spacingChangeTimer <= 0) {
@@ -491,14 +784,14 @@ export class AIController {
                 this.spacingDirection = 1; // Move toward
             } else {
                 // Randomly change direction for more natural movement
-                this.spacingDirection = Math.random() > 0.5 ? 1 : -1;
+                this.spacingDirection = this.random() > 0.5 ? 1 : -1;
             }
-            this.spacingChangeTimer = Math.random() * 1.2 + 0.6;
+            this.spacingChangeTimer = secondsToTicks(this.random() * 1.2 + 0.6);
         }
 
         // Adjust target distance slightly for variation
-        if (Math.random() < 0.1) {
-            this.targetDistance = 2.0 + Math.random() * 1.5;
+        if (this.random() < 0.1) {
+            this.targetDistance = preferredRange - 0.5 + this.random() * 1.5;
         }
 
         // Movement logic with idle zones
@@ -514,7 +807,7 @@ export class AIController {
             // In idle zone - stop moving and observe
             if (!this.isIdle) {
                 this.isIdle = true;
-                this.idleTimer = Math.random() * 1.5 + 0.5; // Idle for 0.5-2.0 seconds
+                this.idleTimer = secondsToTicks(this.random() * 1.5 + 0.5); // Idle for 0.5-2.0 seconds
             }
             
             if (this.idleTimer > 0) {
@@ -576,13 +869,6 @@ export class AIController {
         }
     }
 
-    keepInBounds(fighter) {
-        // Keep within arena bounds
-        if (fighter.mesh.position.length() > 20) {
-            fighter.mesh.position.setLength(20);
-        }
-    }
-
     // Legacy method for compatibility (if needed)
     makeDecision(fighter, opponent, collisionSystem) {
         const dist = collisionSystem.getDistance(fighter, opponent);
@@ -590,17 +876,17 @@ export class AIController {
         const staminaPercent = fighter.st / CONFIG.combat.stamina;
 
         if (canAttack && staminaPercent > 0.3) {
-            if (dist < 1.5 && Math.random() > 0.4) {
-                return Math.random() > 0.5 ? 'leftLeg' : 'rightLeg';
+            if (dist < 1.5 && this.random() > 0.4) {
+                return this.random() > 0.5 ? 'leftLeg' : 'rightLeg';
             } else {
-                return Math.random() > 0.5 ? 'leftHand' : 'rightHand';
+                return this.random() > 0.5 ? 'leftHand' : 'rightHand';
             }
         } else if (dist < 1.0) {
             return 'retreat';
         } else if (dist > 3.0) {
             return 'approach';
         } else {
-            return Math.random() > 0.5 ? 'approach' : 'retreat';
+            return this.random() > 0.5 ? 'approach' : 'retreat';
         }
     }
 }
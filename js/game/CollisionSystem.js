@@ -10,6 +10,40 @@ export class CollisionSystem {
         if (fighters.length !== 2) return;
 
         this.resolveCharacterCollision(fighters[0], fighters[1]);
+        fighters.forEach(fighter => {
+            // A fighter that was knocked out of the ring keeps flying until the round ends
+            if (!fighter.ringOut && CollisionSystem.clampToArena(fighter)) {
+                fighter.updateCollisionCapsule();
+            }
+        });
+    }
+
+    /**
+     * Keep a fighter's body inside the arena wall (CONFIG.arena.radius)
+     * @param {object} fighter - Fighter to clamp
+     * @returns {boolean} True if the fighter was against the wall and got pushed back inside
+     */
+    static clampToArena(fighter) {
+        const position = fighter.mesh.position;
+        const limit = CONFIG.arena.radius - (fighter.collisionRadius || 0);
+        const horizontal = Math.hypot(position.x, position.z);
+        if (horizontal <= limit) return false;
+
+        position.x *= limit / horizontal;
+        position.z *= limit / horizontal;
+        return true;
+    }
+
+    /**
+     * Check if a fighter is touching the arena wall
+     * @param {object} fighter - Fighter to check
+     * @param {number} tolerance - Distance from the wall that still counts as touching
+     * @returns {boolean} True if the fighter is at the wall
+     */
+    static isAtWall(fighter, tolerance = 0.05) {
+        const position = fighter.mesh.position;
+        const limit = CONFIG.arena.radius - (fighter.collisionRadius || 0);
+        return Math.hypot(position.x, position.z) >= limit - tolerance;
     }
 
     resolveCharacterCollision(p1, p2) {
@@ -45,7 +79,7 @@ export class CollisionSystem {
     // Check if fighter can attack another (within range and facing)
     canAttack(attacker, target) {
         const distance = this.getDistance(attacker, target);
-        const attackTypes = ['leftHand', 'rightHand', 'leftLeg', 'rightLeg', 'light', 'heavy'];
+        const attackTypes = ['leftHand', 'rightHand', 'leftLeg', 'rightLeg'];
         const ranges = attackTypes
             .map(type => attacker.getCombatStats ? attacker.getCombatStats(type) : CONFIG.combat[type])
             .map(stats => stats?.range)
@@ -1,31 +1,49 @@
 import { CONFIG } from '../config.js';
+import { secondsToTicks } from '../core/FixedTimestep.js';
 
 export class CombatSystem {
     constructor() {
         this.shake = 0;
-        this.hitStop = 0;
+        this.hitStopTicks = 0; // Remaining hit stop in simulation ticks
         this.onShake = null; // Callback for screen shake
         this.onHitStop = null; // Callback for hit stop
         this.onDamage = null; // Callback for damage effects
+        this.onComboUpdate = null; // Callback (fighterId, hits, damage) when a combo grows
+        this.onComboEnd = null; // Callback (fighterId) when a combo is dropped or finished
     }
 
+    /**
+     * Per-frame update for visual-only effects
+     * @param {number} dt - Real frame delta time
+     */
     update(dt) {
         // Update shake
         if (this.shake > 0) {
             this.shake -= dt * 2;
             if (this.shake < 0) this.shake = 0;
         }
+    }
 
-        // Update hit stop
-        if (this.hitStop > 0) {
-            this.hitStop -= dt;
-            if (this.hitStop < 0) this.hitStop = 0;
+    /**
+     * Drop hit stop and shake left over from the previous match, so every match starts the same
+     */
+    reset() {
+        this.shake = 0;
+        this.hitStopTicks = 0;
+    }
+
+    /**
+     * Advance gameplay timers by one simulation tick
+     */
+    tick() {
+        if (this.hitStopTicks > 0) {
+            this.hitStopTicks--;
         }
     }
 
     checkCollisions(fighters) {
         const events = [];
-        if (fighters.length !== 2 || this.hitStop > 0) return events;
+        if (fighters.length !== 2 || this.hitStopTicks > 0) return events;
 
         const [fighter1, fighter2] = fighters;
         const hitOne = fighter1.checkHit(fighter2);
@@ -34,20 +52,61 @@ export class CombatSystem {
         if (hitOne) events.push(hitOne);
         if (hitTwo) events.push(hitTwo);
 
+        // Throws resolve once the victim's tech window runs out
+        const throwOne = fighter1.checkThrow(fighter2);
+        const throwTwo = fighter2.checkThrow(fighter1);
+
+        if (throwOne) events.push(throwOne);
+        if (throwTwo) events.push(throwTwo);
+
         return events;
     }
 
-    applyHitEffects(atkType) {
-        const heavyTypes = ['heavy', 'leftLeg', 'rightLeg'];
-        const isHeavy = heavyTypes.includes(atkType);
+    /**
+     * Report combo progress from this tick's hits and end combos the opponent has recovered from
+     * @param {Array} fighters - [fighter1, fighter2]
+     * @param {Array} events - Hit events from checkCollisions
+     */
+    updateCombos(fighters, events = []) {
+        events.forEach(event => {
+            if (event.comboHits >= 2 && this.onComboUpdate) {
+                this.onComboUpdate(event.attacker.id, event.comboHits, event.comboDamage);
+            }
+        });
+
+        if (fighters.length !== 2) return;
+        fighters.forEach((fighter, index) => {
+            if (!fighter.comboHits) return;
+
+            const opponent = fighters[1 - index];
+            const opponentState = opponent.stateManager?.getCurrentState() || opponent.state;
+            if (fighter.combatSystem.isComboable(opponentState)) return;
+
+            // Opponent is free to act again - combo over
+            fighter.comboHits = 0;
+            fighter.comboDamage = 0;
+            if (this.onComboEnd) {
+                this.onComboEnd(fighter.id);
+            }
+        });
+    }
 
-        // Heavy hit FX
-        if (isHeavy) {
+    applyHitEffects(atkType, blocked = false, heavy = null) {
+        const heavyTypes = ['heavy', 'leftLeg', 'rightLeg'];
+        // Command moves report their own weight; plain attacks are classified by type
+        const isHeavy = heavy ?? heavyTypes.includes(atkType);
+
+        // Blocked hits get a light shake and no hit stop
+        if (blocked) {
+            this.shake = isHeavy ? 0.15 : 0.08;
+            this.hitStopTicks = 0;
+        } else if (isHeavy) {
+            // Heavy hit FX
             this.shake = 0.5;
-            this.hitStop = 0.15; // Pause game for impact
+            this.hitStopTicks = secondsToTicks(0.15); // Pause game for impact
         } else {
             this.shake = 0.2;
-            this.hitStop = 0;
+            this.hitStopTicks = 0;
         }
 
         if (this.onShake) {
@@ -55,7 +114,7 @@ export class CombatSystem {
         }
 
         if (this.onHitStop) {
-            this.onHitStop(this.hitStop);
+            this.onHitStop(this.hitStopTicks);
         }
     }
 
@@ -69,12 +128,15 @@ export class CombatSystem {
         return this.shake;
     }
 
+    /**
+     * @returns {number} Remaining hit stop in ticks
+     */
     getHitStop() {
-        return Math.max(0, this.hitStop);
+        return Math.max(0, this.hitStopTicks);
     }
 
     isInHitStop() {
-        return this.hitStop > 0;
+        return this.hitStopTicks > 0;
     }
 }
 
@@ -1,6 +1,6 @@
 import * as THREE from 'three';
 import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
-import { CONFIG } from '../config.js';
+import { CONFIG, DEFAULT_CHARACTER_STATS } from '../config.js';
 import { BoneDiscovery } from '../utils/BoneDiscovery.js';
 import { HitboxSystem } from '../utils/HitboxSystem.js';
 import { AIController } from './AIController.js';
@@ -10,6 +10,9 @@ import { MovementSystem } from '../systems/movement/MovementSystem.js';
 import { AnimationSystem } from '../systems/animation/AnimationSystem.js';
 import { StateManager } from './StateManager.js';
 import { FighterCombatSystem } from './FighterCombatSystem.js';
+import { CollisionSystem } from './CollisionSystem.js';
+import { secondsToTicks, ticksToSeconds } from '../core/FixedTimestep.js';
+import { SeededRandom } from '../core/SeededRandom.js';
 
 export class Fighter {
     constructor(id, pos, isAI, gltf, scene, characterConfig = null) {
@@ -23,7 +26,14 @@ export class Fighter {
         this.st = characterConfig?.stats?.stamina || CONFIG.combat.stamina;
         this.maxHp = this.hp;
         this.maxSt = this.st;
+        this.minHp = 0; // Damage can't take HP below this (training mode keeps fighters alive with 1)
+        // Super meter starts empty and is built during the fight
+        this.maxMeter = characterConfig?.meter?.max || CONFIG.combat.meter.max;
+        this.meter = 0;
         this.moveSpeed = characterConfig?.stats?.moveSpeed || 4.0;
+        // Heavier fighters take less pushback, fall faster (so launches go less high) and lunge less on hit
+        this.weight = characterConfig?.stats?.weight || DEFAULT_CHARACTER_STATS.weight;
+        this.jumpHeight = characterConfig?.stats?.jumpHeight || DEFAULT_CHARACTER_STATS.jumpHeight;
 
         // Setup Mesh - Use SkeletonUtils for correct skinning/animation cloning
         this.mesh = SkeletonUtils.clone(gltf.scene);
@@ -112,6 +122,7 @@ export class Fighter {
         
         // Initialize subsystems
         this.inputController = new InputController();
+        this.inputController.setCommandMoves(characterConfig?.moves);
         this.movementSystem = new MovementSystem(this.motionController);
         this.stateManager = new StateManager({ priorities: CONFIG.animation?.priorities });
         this.combatSystem = new FighterCombatSystem();
@@ -133,24 +144,64 @@ export class Fighter {
         this.atkGroup = null; // 'hands' or 'legs' for active attack
         this.atkLimb = null; // 'left' or 'right' for attack limb
         this.activeAttackIndices = []; // Which attack spheres are active for current attack
-        this.jumpInvulnerabilityTimer = 0;
+        this.attackTicks = 0; // Ticks since the current attack started (compared against its frame data)
+        this.projectileFired = false; // Current projectile move has already fired
+        this.activeProjectiles = 0;   // Own projectiles on screen (maintained by ProjectileSystem)
+        this.onProjectile = null;     // Callback (fighter, moveId) when a projectile move reaches its active frames
+        this.onWallHit = null;        // Callback (fighter, 'splat' | 'bounce') when driven into the arena wall
+        this.landingTicks = 0; // Landing recovery left after a jump (see land)
+        this.sidestepTicks = 0;     // Ticks into the current sidestep (see isEvading)
+        this.sidestepDirection = 0; // 1 = right, -1 = left
         this.comboQueuedType = null;
         this.comboWindowOpen = false;
         this.comboCount = 0;
         this.maxCombo = 3;
+        this.comboHits = 0;   // Hits in the current combo on the opponent (see FighterCombatSystem.isComboable)
+        this.comboDamage = 0; // Damage dealt by the current combo
+        this.exActive = false; // Current attack was powered up with meter
+        this.armorHits = 0;    // Hits the current attack can absorb without flinching
+        this.onSuper = null;   // Callback (fighter, superMove) when a super move starts
         this.comboWindowStart = 0.35;
         this.comboWindowEnd = 0.8;
         this.inputLog = [];
-        // Jump cancel and invulnerability tuning
-        this.jumpCancelStart = 0.35; // Ratio into jump anim when next action can start
-        this.jumpAutoEnd = 0.8;      // Ratio to force return to idle if nothing else happens
-        this.stateTimer = 0;
+        // Gameplay timers are counted in simulation ticks (see FixedTimestep)
+        this.stateTicks = 0;
+        this.stateFailsafeTicks = secondsToTicks(2.5); // Force ATTACK to end if the animation never finishes
         this.prevState = this.state;
-        this.stunTime = 0;
+        this.stunTicks = 0;
+        this.dizzyBuildup = 0; // Head damage taken recently - dizzy when it passes the threshold
+        this.guardHeld = false; // Whether the block input is currently held
+        // Throw state (see FighterCombatSystem.attemptThrow)
+        this.throwTarget = null;     // Fighter we are holding
+        this.thrownBy = null;        // Fighter holding us
+        this.throwTicks = 0;         // Remaining THROW duration (or whiff recovery)
+        this.throwTechTicks = 0;     // Remaining window to tech while THROWN
+        this.throwResolved = false;  // Damage already applied for the current throw
+        // Juggle / knockdown / wake-up state (see FighterCombatSystem.launch)
+        this.airVelocity = new THREE.Vector3();   // Velocity while launched
+        this.juggleCount = 0;                     // Hits taken in the current juggle
+        this.wallBounced = false;                 // Already bounced off the wall in the current juggle
+        this.ringOut = false;                     // Carried out of the arena (CONFIG.arena.ringOut rule)
+        this.knockdownTicks = 0;                  // Ticks left on the ground before rising automatically
+        this.knockdownElapsedTicks = 0;
+        this.wakeUpOption = null;                 // 'quick', 'delayed' or 'roll' chosen while down
+        this.wakeUpTicks = 0;
+        this.invulnerableTicks = 0;               // Strikes can't connect while > 0
+        this.rollVelocity = new THREE.Vector3();
         this.moveDirection = 0; // 1 = forward, -1 = backward, 0 = none
+
+        // Transforms for render interpolation between simulation ticks
+        this.prevPosition = new THREE.Vector3();
+        this.prevQuaternion = new THREE.Quaternion();
+        this.simPosition = new THREE.Vector3();
+        this.simQuaternion = new THREE.Quaternion();
+        this.storePreviousTransform();
         
         // AI Controller (only for AI fighters)
         this.aiController = this.isAI ? new AIController() : null;
+        this.aiController?.setPersonality(characterConfig?.ai);
+        // Gameplay random source, replaced by the match's seeded one (see setRandom)
+        this.random = new SeededRandom();
 
         // Hitbox system - using spheres with character-specific sizes (larger radii for easier hits)
         // Smaller base hurtboxes for tighter collisions
@@ -227,11 +278,30 @@ export class Fighter {
         this.loadAnim('atk2_left', THREE.LoopOnce, false, clips, ['kick out', 'kick l', 'kick left', 'left kick', 'kickl']);
         this.loadAnim('atk2_right', THREE.LoopOnce, false, clips, ['kick r', 'kick right', 'right kick', 'kickr']);
         this.loadAnim('hit', THREE.LoopOnce, false, clips);
+        // Optional location-specific reactions (fall back to hit when missing)
+        this.loadAnim('hitHead', THREE.LoopOnce, false, clips, ['hit head', 'head hit', 'hithead', 'headhit']);
+        this.loadAnim('hitBody', THREE.LoopOnce, false, clips, ['hit body', 'body hit', 'hitbody', 'bodyhit', 'gut']);
         this.loadAnim('jump', THREE.LoopOnce, false, clips);
         this.loadAnim('crouch', THREE.LoopOnce, true, clips); // LoopOnce with clamp to stay at end
+        this.loadAnim('block', THREE.LoopOnce, true, clips, ['block', 'guard']); // Optional guard pose, clamped
         this.loadAnim('breath', THREE.LoopRepeat, false, clips, ['breathingidle', 'breath', 'idle']);
         this.loadAnim('win', THREE.LoopRepeat, false, clips);
         this.loadAnim('die', THREE.LoopOnce, true, clips); // Clamp at end
+        // Optional throw clips (fall back to atk1/hit/die when missing)
+        this.loadAnim('throw', THREE.LoopOnce, true, clips, ['throw', 'grab']);
+        this.loadAnim('thrown', THREE.LoopOnce, true, clips, ['thrown', 'grabbed']);
+        this.loadAnim('knockdown', THREE.LoopOnce, true, clips, ['knockdown', 'knocked', 'fall']);
+        this.loadAnim('getup', THREE.LoopOnce, true, clips, ['getup', 'get up', 'get_up', 'standup', 'stand up']);
+        // Command move clips from character.json (fall back to the button's limb animation if missing)
+        Object.entries(this.characterConfig?.moves || {}).forEach(([id, move]) => {
+            if (move.animation !== undefined) {
+                this.loadAnim(this.getMoveAnimationName(id), THREE.LoopOnce, false, clips, [String(move.animation)]);
+            }
+        });
+        const superMove = this.getMove('super');
+        if (superMove?.animation !== undefined) {
+            this.loadAnim(this.getMoveAnimationName('super'), THREE.LoopOnce, false, clips, [String(superMove.animation)]);
+        }
 
         // Initialize animation system after animations are loaded
         this.initializeAnimationSystem();
@@ -251,13 +321,13 @@ export class Fighter {
      */
     initializeAnimationSystem() {
         // Animation system config
-        // NOTE: Do NOT pass character config playbackSpeed here - handle all speed calculations in FighterCombatSystem
-        // This prevents conflicts with combo speed calculations
+        // NOTE: Do NOT pass character config playbackSpeed here - attack speeds come from frame data
+        // (FighterCombatSystem.attack passes the duration for each attack)
         const animConfig = {
             priorities: CONFIG.animation?.priorities,
             crossfade: CONFIG.animation?.crossfade,
             locomotion: CONFIG.animation?.locomotion,
-            playbackSpeed: {} // Empty - speeds are calculated in FighterCombatSystem and passed via timeScale option
+            playbackSpeed: {} // Empty - attack durations are passed per attack via the desiredDuration option
         };
         
         // Initialize AnimationSystem (unified animation system)
@@ -478,8 +548,8 @@ export class Fighter {
             }
         }
 
-        // Fallback to dropdown selection
-        if (clipIndex === null) {
+        // Fallback to dropdown selection (none when running headless)
+        if (clipIndex === null && typeof document !== 'undefined') {
             const selectEl = document.getElementById(this.id + '-' + name);
             clipIndex = selectEl ? parseInt(selectEl.value) : null;
         }
@@ -528,30 +598,34 @@ export class Fighter {
         // Track state changes
         const currentState = this.stateManager.getCurrentState();
         if (this.prevState !== currentState) {
-            this.stateTimer = 0;
+            this.stateTicks = 0;
             this.prevState = currentState;
             this.state = currentState; // Keep in sync for backward compatibility
+            // EX power and armor only last for the attack they were bought for
+            if (currentState !== 'ATTACK') {
+                this.exActive = false;
+                this.armorHits = 0;
+            }
         } else {
-            this.stateTimer += dt;
+            this.stateTicks++;
         }
         
-        // Update jump invulnerability timer
-        if (currentState === 'JUMP') {
-            const currAnim = this.animationSystem?.getCurrentAnimation() || this.currAct;
-            const clip = currAnim?.getClip();
-            const ratio = clip && clip.duration > 0 ? currAnim.time / clip.duration : 1;
-            const shouldTick = ratio > 0.08; // don't burn invuln before lift-off
-            if (shouldTick) {
-                const decayRate = ratio < 0.8 ? 0.3 : 0.6;
-                this.jumpInvulnerabilityTimer = Math.max(0, this.jumpInvulnerabilityTimer - dt * decayRate);
-            }
-        } else {
-            this.jumpInvulnerabilityTimer = 0;
+        // Head hits wear off over time
+        if (this.dizzyBuildup > 0) {
+            this.dizzyBuildup = Math.max(0, this.dizzyBuildup - CONFIG.combat.hitLocation.dizzy.decay * dt);
         }
 
-        // Queue combo attacks during attack state
-        if (!this.isAI && currentState === 'ATTACK') {
-            const queuedAttack = this.inputController.getAttackType(keys);
+        // Queue combo attacks during attack state from the input buffer
+        // (once the combo is maxed, presses stay buffered for right after recovery)
+        if (!this.isAI && currentState === 'ATTACK' && this.comboCount < this.maxCombo) {
+            const queuedAttack = this.inputController.consumeBufferedAttack(inputHandler);
+            if (queuedAttack) {
+                this.comboQueuedType = queuedAttack;
+            }
+        }
+        // The AI chains by its difficulty's combo chance instead
+        if (this.isAI && gameState === 'FIGHT' && currentState === 'ATTACK' && this.comboCount < this.maxCombo) {
+            const queuedAttack = this.aiController?.chooseComboFollowUp(this);
             if (queuedAttack) {
                 this.comboQueuedType = queuedAttack;
             }
@@ -561,20 +635,52 @@ export class Fighter {
         if (currentState === 'DEAD' || currentState === 'WIN') return;
 
         // 2. Process input (if not AI)
+        let chordUpgrade = false; // A chord took over this tick's attack (see FighterCombatSystem.cancelAttackStartup)
         if (!this.isAI && gameState === 'FIGHT') {
             const inputResult = this.inputController.processInput(
                 dt, keys, inputHandler, currentState, 
                 this.mesh.quaternion, this.moveSpeed
             );
             
+            // Pick a wake-up option while on the ground
+            if (inputResult.wakeUp) {
+                this.wakeUpOption = this.wakeUpOption || inputResult.wakeUp;
+            }
+            // Handle super move input (upgrading a leg attack that's still starting up, if there's meter for it)
+            else if (inputResult.super) {
+                const canSuper = !!this.getMove('super') && this.meter >= this.getSuperCost();
+                chordUpgrade = currentState === 'ATTACK' && canSuper && this.combatSystem.cancelAttackStartup(this);
+                this.combatSystem.performSuper(this);
+                this.desiredVelocity.set(0, 0, 0);
+            }
+            // Handle throw input (tech if we're the one being thrown, upgrade a hand attack that's still starting up)
+            else if (inputResult.throw) {
+                if (currentState === 'THROWN') {
+                    this.combatSystem.techThrow(this);
+                } else {
+                    chordUpgrade = currentState === 'ATTACK' && this.combatSystem.cancelAttackStartup(this);
+                    this.combatSystem.attemptThrow(this, opp, collisionSystem);
+                }
+                this.desiredVelocity.set(0, 0, 0);
+            }
             // Handle attack input
-            if (inputResult.attack) {
-                this.combatSystem.attack(this, inputResult.attack, false);
+            else if (inputResult.attack) {
+                this.combatSystem.attack(this, inputResult.attack, false, { ex: inputResult.ex });
                 this.desiredVelocity.set(0, 0, 0);
             }
             // Handle jump input
             else if (inputResult.jump) {
-                this.jump();
+                this.jump(inputResult.jumpDirection);
+                this.desiredVelocity.set(0, 0, 0);
+            }
+            // Handle sidestep tap
+            else if (inputResult.sidestep) {
+                this.sidestep(inputResult.sidestep);
+                this.desiredVelocity.set(0, 0, 0);
+            }
+            // Handle guard (hold to block)
+            else if (inputResult.block) {
+                this.block();
                 this.desiredVelocity.set(0, 0, 0);
             }
             // Handle crouch exit
@@ -583,13 +689,21 @@ export class Fighter {
             }
             // Handle movement
             else {
+                if (currentState === 'BLOCK') {
+                    this.releaseBlock();
+                }
                 this.desiredVelocity.copy(inputResult.movement);
                 this.moveDirection = inputResult.moveDirection;
             }
+            this.guardHeld = inputResult.block;
         }
 
-        // 3. Update movement (if in IDLE/WALK states)
-        if (currentState === 'IDLE' || currentState === 'WALK') {
+        // 3. Update movement - follow the jump arc while airborne, step around the opponent while sidestepping, walk in IDLE/WALK
+        if (this.isAirborne()) {
+            this.updateAirborne(dt);
+        } else if (this.stateManager.getCurrentState() === 'SIDESTEP') {
+            this.updateSidestep(dt, gameState === 'FIGHT' ? opp : null);
+        } else if (currentState === 'IDLE' || currentState === 'WALK') {
             const targetPos = opp && gameState === 'FIGHT' ? opp.mesh.position : null;
             const movementResult = this.movementSystem.update(
                 dt, this.desiredVelocity, this.mesh.position,
@@ -625,9 +739,9 @@ export class Fighter {
         this.updateCollisionBoxVisualization();
 
         // 4. Handle state-specific logic
-        if (currentState === 'STUN') {
-            this.stunTime -= dt;
-            if (this.stunTime <= 0) {
+        if (currentState === 'STUN' || currentState === 'WALLSPLAT') {
+            this.stunTicks--;
+            if (this.stunTicks <= 0) {
                 this.stateManager.transitionTo('IDLE');
                 this.state = 'IDLE';
                 if (this.animationSystem) {
@@ -637,7 +751,65 @@ export class Fighter {
             return;
         }
 
+        if (currentState === 'BLOCKSTUN') {
+            this.stunTicks--;
+            if (this.stunTicks <= 0) {
+                // Stay in guard if it's still held, otherwise drop it
+                if (this.guardHeld) {
+                    this.stateManager.transitionTo('BLOCK');
+                    this.state = 'BLOCK';
+                } else {
+                    this.stateManager.transitionTo('IDLE');
+                    this.state = 'IDLE';
+                    this.currAct = null;
+                    if (this.animationSystem) {
+                        this.animationSystem.transitionToBase(CONFIG.animation.crossfade.toBase);
+                    }
+                }
+            }
+            return;
+        }
+
+        if (currentState === 'JUGGLE' || currentState === 'KNOCKDOWN' || currentState === 'WAKEUP') {
+            // AI picks its wake-up option while down
+            if (currentState === 'KNOCKDOWN' && gameState === 'FIGHT' && this.isAI) {
+                this.updateAI(dt, opp, collisionSystem);
+            }
+            this.combatSystem.updateKnockdownState(this, dt);
+            return;
+        }
+
+        if (currentState === 'THROW' || currentState === 'THROWN') {
+            // AI gets a chance to tech while held
+            if (currentState === 'THROWN' && gameState === 'FIGHT' && this.isAI) {
+                this.updateAI(dt, opp, collisionSystem);
+            }
+            this.combatSystem.updateThrowState(this);
+            return;
+        }
+
+        // Guarding - no stamina regeneration while the block is held
+        if (currentState === 'BLOCK') {
+            if (gameState === 'FIGHT' && this.isAI) {
+                this.updateAI(dt, opp, collisionSystem);
+            }
+            return;
+        }
+
         if (currentState === 'ATTACK') {
+            // Touched down mid air attack this tick - landing recovery has taken over - or a chord
+            // replaced the attack, which starts counting next tick like one started from neutral
+            if (chordUpgrade || this.stateManager.getCurrentState() === 'LANDING') return;
+
+            this.attackTicks++;
+            // Projectile moves fire on their first active frame instead of using melee hitboxes
+            if (!this.projectileFired && this.getCombatStats(this.atkType)?.projectile &&
+                this.attackTicks >= this.getFrameData(this.atkType).startup) {
+                this.projectileFired = true;
+                if (this.onProjectile) {
+                    this.onProjectile(this, this.atkType);
+                }
+            }
             const currAnim = this.animationSystem?.getCurrentAnimation() || this.currAct;
             const clip = currAnim?.getClip();
             const ratio = clip && clip.duration > 0 ? currAnim.time / clip.duration : 1;
@@ -648,15 +820,16 @@ export class Fighter {
             }
 
             // Check if animation finished (handled by AnimationSystem callback, but check as fallback)
-            if (!currAnim || !currAnim.isRunning() || this.stateTimer > 2.5) {
+            if (!currAnim || !currAnim.isRunning() || this.stateTicks > this.stateFailsafeTicks) {
                 if (this.comboQueuedType && this.comboCount < this.maxCombo) {
                     this.combatSystem.attack(this, this.comboQueuedType, true);
                     return;
                 }
                 // Animation finished - should be handled by callback, but fallback here
                 if (currentState === 'ATTACK') {
-                    this.stateManager.transitionTo('IDLE');
-                    this.state = 'IDLE';
+                    const neutralState = this.getNeutralState();
+                    this.stateManager.transitionTo(neutralState);
+                    this.state = neutralState;
                     this.atkGroup = null;
                     this.atkLimb = null;
                     this.activeAttackIndices = [];
@@ -669,41 +842,19 @@ export class Fighter {
             return;
         }
 
+        // Airborne - updateAirborne ends the jump on touchdown
         if (currentState === 'JUMP') {
-            const currAnim = this.animationSystem?.getCurrentAnimation() || this.currAct;
-            const clip = currAnim?.getClip();
-            const ratio = clip && clip.duration > 0 ? currAnim.time / clip.duration : 1;
-
-            if (ratio >= this.jumpCancelStart) {
-                // Allow buffering next action mid-jump
-                const nextAttack = this.inputController.getAttackType(keys);
-                if (nextAttack) {
-                    this.combatSystem.attack(this, nextAttack, false);
-                    return;
-                }
-                if (this.inputController && this.inputController.keyDown(keys, 's')) {
-                    this.crouch();
-                    return;
-                }
-                if (ratio >= this.jumpAutoEnd) {
-                    this.stateManager.transitionTo('IDLE');
-                    this.state = 'IDLE';
-                    if (this.animationSystem) {
-                        this.animationSystem.transitionToBase(CONFIG.animation.crossfade.toBase);
-                    }
-                    return;
-                }
+            if (!this.isAirborne() && this.stateManager.getCurrentState() === 'JUMP') {
+                this.land(false);
             }
+            return;
+        }
 
-            // Check if animation finished
-            if (!currAnim || !currAnim.isRunning() || this.stateTimer > 2.5) {
-                if (currentState === 'JUMP') {
-                    this.stateManager.transitionTo('IDLE');
-                    this.state = 'IDLE';
-                    if (this.animationSystem) {
-                        this.animationSystem.transitionToBase(CONFIG.animation.crossfade.toBase);
-                    }
-                }
+        if (currentState === 'LANDING') {
+            this.landingTicks--;
+            if (this.landingTicks <= 0) {
+                this.stateManager.transitionTo('IDLE');
+                this.state = 'IDLE';
             }
             return;
         }
@@ -745,6 +896,92 @@ export class Fighter {
         }
     }
 
+    /**
+     * Put the fighter back at a spawn point with full HP/stamina and nothing in progress
+     * Used between rounds by main.js and HeadlessMatch (meter carries over)
+     * @param {THREE.Vector3} position - Spawn point
+     */
+    resetForRound(position) {
+        this.mesh.position.copy(position);
+        this.hp = this.maxHp;
+        this.st = this.maxSt;
+        this.stunTicks = 0;
+        this.dizzyBuildup = 0;
+        this.guardHeld = false;
+        this.comboCount = 0;
+        this.comboQueuedType = null;
+        this.throwTarget = null;
+        this.thrownBy = null;
+        this.throwTicks = 0;
+        this.throwTechTicks = 0;
+        this.knockdownTicks = 0;
+        this.juggleCount = 0;
+        this.wallBounced = false;
+        this.ringOut = false;
+        this.comboHits = 0;
+        this.comboDamage = 0;
+        this.airVelocity.set(0, 0, 0);
+        this.wakeUpOption = null;
+        this.wakeUpTicks = 0;
+        this.invulnerableTicks = 0;
+        this.rollVelocity.set(0, 0, 0);
+        this.desiredVelocity.set(0, 0, 0);
+        this.landingTicks = 0;
+        this.sidestepTicks = 0;
+        this.cancelJump();
+        // Update state through StateManager
+        if (this.stateManager) {
+            this.stateManager.setState('IDLE');
+        }
+        this.state = 'IDLE'; // Keep for backward compatibility
+        // Resume animation mixer if it was frozen
+        if (this.mixer) {
+            this.mixer.timeScale = 1;
+        }
+        // Drop any held pose (KO, hit) and start with idle animation via animation system
+        if (this.animationSystem) {
+            this.animationSystem.transitionToBase(CONFIG.animation.crossfade.toBase);
+            this.animationSystem.updateLocomotionBlend(0, 1);
+        }
+        // Snap interpolation so the reset doesn't render as a slide
+        this.storePreviousTransform();
+        this.updateUI();
+    }
+
+    /**
+     * Snapshot the current transform as the start of the next simulation tick
+     * Called once per tick before anything moves, and after teleports to avoid smearing
+     */
+    storePreviousTransform() {
+        this.prevPosition.copy(this.mesh.position);
+        this.prevQuaternion.copy(this.mesh.quaternion);
+    }
+
+    /**
+     * Move the mesh to a blend between the last two ticks for rendering
+     * Must be paired with restoreSimulationTransform() after the frame is drawn
+     * @param {number} alpha - Fraction of the next tick elapsed (0-1)
+     */
+    applyRenderInterpolation(alpha) {
+        this.simPosition.copy(this.mesh.position);
+        this.simQuaternion.copy(this.mesh.quaternion);
+        this.mesh.position.lerpVectors(this.prevPosition, this.simPosition, alpha);
+        this.mesh.quaternion.slerpQuaternions(this.prevQuaternion, this.simQuaternion, alpha);
+    }
+
+    /**
+     * Put the mesh back on its simulated transform after rendering
+     */
+    restoreSimulationTransform() {
+        this.mesh.position.copy(this.simPosition);
+        this.mesh.quaternion.copy(this.simQuaternion);
+    }
+
+    checkThrow(opp) {
+        if (!opp) return null;
+        return this.combatSystem.checkThrow(this, opp);
+    }
+
     checkHit(opp) {
         // Delegate to combat system
         return this.combatSystem.checkHit(this, opp);
@@ -782,13 +1019,14 @@ export class Fighter {
 
     /**
      * Apply pushback movement when hit
-     * @param {number} amount - Base pushback amount
+     * @param {number} amount - Base pushback amount (divided by this fighter's weight)
      * @param {THREE.Vector3} direction - Normalized pushback direction (away from attacker)
      * @param {Fighter} attacker - The attacking fighter
-     * @returns {number} - Actual pushback amount applied (after friction)
+     * @returns {number} - Actual pushback amount applied (after weight and friction)
      */
     applyPushback(amount, direction, attacker) {
         if (!attacker || !attacker.mesh) return 0;
+        amount /= this.weight;
 
         // Calculate potential new position
         const potentialNewPos = this.mesh.position.clone().add(direction.clone().multiplyScalar(amount));
@@ -810,10 +1048,8 @@ export class Fighter {
         // Apply pushback
         this.mesh.position.add(pushVector);
 
-        // Keep within arena bounds
-        if (this.mesh.position.length() > 20) {
-            this.mesh.position.setLength(20);
-        }
+        // Stop at the arena wall (or leave the ring under the ring-out rule)
+        this.combatSystem.carryToArenaEdge(this);
 
         // Update collision capsule after pushback
         this.updateCollisionCapsule();
@@ -823,13 +1059,14 @@ export class Fighter {
 
     /**
      * Apply forward movement for attacker when hit connects
-     * @param {number} amount - Base forward movement amount
+     * @param {number} amount - Base forward movement amount (divided by this fighter's weight)
      * @param {THREE.Vector3} direction - Normalized forward direction (toward target)
      * @param {Fighter} target - The target fighter
-     * @returns {number} - Actual forward movement amount applied (after friction)
+     * @returns {number} - Actual forward movement amount applied (after weight and friction)
      */
     applyForwardMovement(amount, direction, target) {
         if (!target || !target.mesh) return 0;
+        amount /= this.weight;
 
         // Calculate potential new position
         const potentialNewPos = this.mesh.position.clone().add(direction.clone().multiplyScalar(amount));
@@ -852,9 +1089,7 @@ export class Fighter {
         this.mesh.position.add(forwardVector);
 
         // Keep within arena bounds
-        if (this.mesh.position.length() > 20) {
-            this.mesh.position.setLength(20);
-        }
+        CollisionSystem.clampToArena(this);
 
         // Update collision capsule after forward movement
         this.updateCollisionCapsule();
@@ -862,9 +1097,9 @@ export class Fighter {
         return finalAmount;
     }
 
-    takeDamage(amt, type, attacker) {
+    takeDamage(amt, type, attacker, options = {}) {
         // Delegate to combat system
-        const result = this.combatSystem.takeDamage(this, amt, type, attacker);
+        const result = this.combatSystem.takeDamage(this, amt, type, attacker, options);
         // Update state for backward compatibility
         this.state = this.stateManager.getCurrentState();
         return result;
@@ -875,30 +1110,144 @@ export class Fighter {
             if (c.isMesh) {
                 c.material = new THREE.MeshBasicMaterial({ color: 0xffffff });
                 setTimeout(() => {
-                    if (this.origMats.get(c)) c.material = this.origMats.get(c);
+                    if (this.origMats?.get(c)) c.material = this.origMats.get(c);
                 }, 100);
             }
         });
     }
 
+    /**
+     * Get a command move definition from character.json
+     * @param {string} id - Move id
+     * @returns {object|null} Move definition or null if this isn't a command move
+     */
+    getMove(id) {
+        // The super move lives in its own section of character.json
+        if (id === 'super') return this.characterConfig?.super || null;
+        return this.characterConfig?.moves?.[id] || null;
+    }
+
+    /**
+     * Meter setting from character.json `meter`, falling back to CONFIG.combat.meter
+     * @param {string} key - Setting name (e.g. 'gainOnHit')
+     * @returns {number} Setting value
+     */
+    getMeterStat(key) {
+        return this.characterConfig?.meter?.[key] ?? CONFIG.combat.meter[key];
+    }
+
+    getSuperCost() {
+        return this.getMove('super')?.meterCost ?? CONFIG.combat.meter.superCost;
+    }
+
+    gainMeter(amount) {
+        this.meter = Math.min(this.maxMeter, this.meter + amount);
+    }
+
+    /**
+     * Spend meter if there is enough of it
+     * @param {number} cost - Meter to spend
+     * @returns {boolean} True if the meter was spent
+     */
+    spendMeter(cost) {
+        if (this.meter < cost) return false;
+        this.meter -= cost;
+        this.updateUI();
+        return true;
+    }
+
+    getMoveAnimationName(id) {
+        return `move:${id}`;
+    }
+
     getCombatStats(type) {
+        // Command moves inherit anything they don't override from their button's stats
+        const move = this.getMove(type);
+        if (move) return this.mergeAttackStats(this.getCombatStats(move.button), move);
+
         const combatConfig = this.characterConfig?.combat || {};
         const configCombat = CONFIG.combat || {};
 
-        if (combatConfig[type]) return combatConfig[type];
-        if (configCombat[type]) return configCombat[type];
+        // Layered from least to most specific: global light/heavy, global limb, character light/heavy, character limb
+        const weight = this.isHeavyAttack(type) ? 'heavy' : 'light';
+        return [configCombat[type], combatConfig[weight], combatConfig[type]]
+            .reduce((stats, layer) => this.mergeAttackStats(stats, layer), { ...configCombat[weight] });
+    }
 
-        if (type === 'leftHand' || type === 'rightHand') {
-            return combatConfig.light || configCombat.light;
-        }
-        if (type === 'leftLeg' || type === 'rightLeg') {
-            return combatConfig.heavy || configCombat.heavy;
-        }
+    /**
+     * Overlay attack stats - hitstun/onHit and blockstun/onBlock are two ways to say the same thing,
+     * so declaring one drops the other inherited from the base
+     * @param {object} base - Less specific stats
+     * @param {object} override - More specific stats (may be undefined)
+     * @returns {object} Merged stats
+     */
+    mergeAttackStats(base, override) {
+        if (!override) return base;
+        const merged = { ...base, ...override };
+        [['hitstun', 'onHit'], ['blockstun', 'onBlock']].forEach(([stun, advantage]) => {
+            if (override[advantage] !== undefined && override[stun] === undefined) delete merged[stun];
+            if (override[stun] !== undefined && override[advantage] === undefined) delete merged[advantage];
+        });
+        return merged;
+    }
 
-        return combatConfig.light || configCombat.light || combatConfig.heavy || configCombat.heavy;
+    /**
+     * Frame data for an attack, in simulation ticks
+     * @param {string} type - Attack type or move id
+     * @returns {object} { startup, active, recovery, total, hitstun, blockstun, onHit, onBlock }
+     */
+    getFrameData(type) {
+        const stats = this.getCombatStats(type) || {};
+        const startup = stats.startup ?? 0;
+        const active = stats.active ?? 1;
+        const recovery = stats.recovery ?? 0;
+        // Attacker frames still to play after connecting on the first active frame
+        const afterHit = active - 1 + recovery;
+        const hitstun = stats.hitstun ?? (stats.onHit ?? 0) + afterHit;
+        const blockstun = stats.blockstun ?? (stats.onBlock ?? 0) + afterHit;
+
+        return {
+            startup,
+            active,
+            recovery,
+            total: startup + active + recovery,
+            hitstun,
+            blockstun,
+            onHit: hitstun - afterHit,
+            onBlock: blockstun - afterHit
+        };
+    }
+
+    /**
+     * Frames of the current attack still to play before the fighter can act again
+     * Called after this tick's update, so attackTicks already counts the current frame
+     * @returns {number} Remaining attack frames (0 when not attacking)
+     */
+    getAttackFramesLeft() {
+        const currentState = this.stateManager?.getCurrentState() || this.state;
+        if (currentState !== 'ATTACK' || !this.atkType) return 0;
+        return Math.max(0, this.getFrameData(this.atkType).total - this.attackTicks);
+    }
+
+    /**
+     * Whether the current attack is in its active frames (melee hitboxes live)
+     * Projectile moves never use melee hitboxes
+     * @returns {boolean} True during active frames
+     */
+    isAttackActive() {
+        const currentState = this.stateManager?.getCurrentState() || this.state;
+        if (currentState !== 'ATTACK' || !this.atkType) return false;
+        if (this.getCombatStats(this.atkType)?.projectile) return false;
+
+        const frames = this.getFrameData(this.atkType);
+        return this.attackTicks >= frames.startup && this.attackTicks < frames.startup + frames.active;
     }
 
     isHeavyAttack(type) {
+        const move = this.getMove(type);
+        if (move) {
+            return move.heavy ?? (move.button === 'leftLeg' || move.button === 'rightLeg');
+        }
         return type === 'heavy' || type === 'leftLeg' || type === 'rightLeg';
     }
 
@@ -912,41 +1261,216 @@ export class Fighter {
         return result;
     }
 
-    jump() {
+    /**
+     * Jump along a physics arc peaking at stats.jumpHeight
+     * The arc (forward, back or straight up) is chosen at takeoff; input only nudges it mid-air
+     * @param {number} direction - 1 = forward, -1 = back, 0 = neutral (relative to facing)
+     */
+    jump(direction = 0) {
         const currentState = this.stateManager.getCurrentState();
         if (currentState !== 'IDLE' && currentState !== 'WALK') return;
-        if (!this.actions['jump']) return; // Animation not loaded
+        if (this.isAirborne()) return;
         
         // Check if we can interrupt current animation
         if (this.animationSystem && !this.animationSystem.canInterrupt(CONFIG.animation.priorities.JUMP)) {
             return; // Can't interrupt
         }
+
+        const jumpConfig = CONFIG.jump;
+        const arc = new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
+        arc.y = 0;
+        arc.normalize().multiplyScalar(Math.sign(direction) * jumpConfig.arcSpeed);
+        const airTime = this.motionController.jump(this.jumpHeight, arc, jumpConfig.gravity * this.weight);
         
         this.stateManager.transitionTo('JUMP');
         this.state = 'JUMP';
-        this.jumpInvulnerabilityTimer = 2.5;
         
-        // Use AnimationSystem
-        if (this.animationSystem) {
-            const jumpDuration = CONFIG.animation.locomotion.jumpDuration || 0.6;
-            const jumpCancelWindow = CONFIG.animation.locomotion.jumpCancelWindow || 0.2;
-            
+        // Stretch the jump animation over the time in the air; landing ends the state, not the clip
+        if (this.animationSystem && this.actions['jump']) {
             this.currAct = this.animationSystem.playOneShot('jump', {
                 priority: CONFIG.animation.priorities.JUMP,
                 fadeIn: CONFIG.animation.crossfade.toJump,
                 fadeOut: CONFIG.animation.crossfade.toBase,
-                autoReturn: true,
-                desiredDuration: jumpDuration,
-                cancelWindow: jumpCancelWindow,
-                onFinished: () => {
-                    this.stateManager.transitionTo('IDLE');
-                    this.state = 'IDLE';
-                    this.currAct = null;
-                }
+                autoReturn: false,
+                clamp: true,
+                desiredDuration: airTime
             });
         }
         
-        this.logInput('jump');
+        this.logInput(direction > 0 ? 'jump forward' : direction < 0 ? 'jump back' : 'jump');
+    }
+
+    /**
+     * Whether the fighter is in the air on a jump arc (launched juggles use airVelocity instead)
+     * @returns {boolean} True while jumping
+     */
+    isAirborne() {
+        return this.motionController.airborne;
+    }
+
+    /**
+     * State to return to when an action ends - JUMP while still in the air, otherwise IDLE
+     * @returns {string} 'JUMP' or 'IDLE'
+     */
+    getNeutralState() {
+        return this.isAirborne() ? 'JUMP' : 'IDLE';
+    }
+
+    /**
+     * Advance the jump arc; the body (and with it the hurt spheres) moves with it
+     * Touching down from a jump or air attack starts landing recovery
+     * @param {number} dt - Delta time
+     */
+    updateAirborne(dt) {
+        const landed = this.motionController.updateAirborne(dt, this.desiredVelocity, this.mesh.position);
+        this.mesh.position.copy(this.motionController.position);
+        if (!landed) return;
+
+        const state = this.stateManager.getCurrentState();
+        if (state === 'JUMP' || state === 'ATTACK') {
+            this.land(state === 'ATTACK');
+        }
+    }
+
+    /**
+     * Touch down and play out the landing recovery frames
+     * @param {boolean} duringAttack - Landed mid air attack (the attack is cut short, longer recovery)
+     */
+    land(duringAttack) {
+        const jumpConfig = CONFIG.jump;
+        this.mesh.position.y = 0;
+        this.landingTicks = duringAttack ? jumpConfig.attackLandingRecovery : jumpConfig.landingRecovery;
+        this.atkGroup = null;
+        this.atkLimb = null;
+        this.activeAttackIndices = [];
+        this.comboCount = 0;
+        this.comboQueuedType = null;
+
+        this.stateManager.transitionTo('LANDING');
+        this.state = 'LANDING';
+        if (this.animationSystem) {
+            this.animationSystem.transitionToBase(CONFIG.animation.crossfade.toBase);
+        }
+        this.logInput('land');
+    }
+
+    /**
+     * Drop the jump arc when something else takes over the airborne body (launch, KO, round reset)
+     */
+    cancelJump() {
+        this.motionController.reset();
+    }
+
+    /**
+     * Quick step around the opponent (CONFIG.combat.sidestep)
+     * Linear attacks whiff during the evasion frames; tracking attacks still hit (see isEvading)
+     * @param {number} direction - 1 = right, -1 = left (relative to facing)
+     */
+    sidestep(direction) {
+        const sidestepConfig = CONFIG.combat.sidestep;
+        const currentState = this.stateManager.getCurrentState();
+        if (!direction || this.isAirborne()) return;
+        if (!this.stateManager.canTransition(currentState, 'SIDESTEP')) return;
+        if (this.st < sidestepConfig.cost) return;
+
+        this.st -= sidestepConfig.cost;
+        this.sidestepTicks = 0;
+        this.sidestepDirection = Math.sign(direction);
+        this.desiredVelocity.set(0, 0, 0);
+        this.motionController.reset();
+
+        this.stateManager.transitionTo('SIDESTEP');
+        this.state = 'SIDESTEP';
+
+        this.logInput(direction > 0 ? 'sidestep right' : 'sidestep left');
+        this.updateUI();
+    }
+
+    /**
+     * Advance the sidestep: move along the current right vector while turning toward the
+     * opponent, so the step curves around them
+     * @param {number} dt - Delta time
+     * @param {object|null} opp - Opponent fighter (null outside the fight)
+     */
+    updateSidestep(dt, opp) {
+        const sidestepConfig = CONFIG.combat.sidestep;
+        const speed = sidestepConfig.distance / ticksToSeconds(sidestepConfig.duration);
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.mesh.quaternion);
+        right.y = 0;
+        right.normalize();
+
+        this.mesh.position.addScaledVector(right, this.sidestepDirection * speed * dt);
+        CollisionSystem.clampToArena(this);
+        if (opp) {
+            this.movementSystem.updateRotation(
+                this.mesh.quaternion, this.mesh.position, opp.mesh.position, this.facingOffset, dt
+            );
+        }
+        if (this.animationSystem) {
+            this.animationSystem.updateLocomotionBlend(1, 1);
+        }
+
+        this.sidestepTicks++;
+        if (this.sidestepTicks >= sidestepConfig.duration) {
+            this.sidestepTicks = 0;
+            this.stateManager.transitionTo('IDLE');
+            this.state = 'IDLE';
+        }
+    }
+
+    /**
+     * Whether the fighter is inside the sidestep's evasion frames (linear attacks whiff)
+     * @returns {boolean} True while evading
+     */
+    isEvading() {
+        if (this.stateManager.getCurrentState() !== 'SIDESTEP') return false;
+        const sidestepConfig = CONFIG.combat.sidestep;
+        return this.sidestepTicks >= sidestepConfig.evadeStart && this.sidestepTicks < sidestepConfig.evadeEnd;
+    }
+
+    block() {
+        const currentState = this.stateManager.getCurrentState();
+        if (currentState === 'BLOCK' || currentState === 'BLOCKSTUN') return;
+        if (!this.stateManager.canTransition(currentState, 'BLOCK')) return;
+
+        this.stateManager.transitionTo('BLOCK');
+        this.state = 'BLOCK';
+
+        // Plant feet while guarding
+        this.desiredVelocity.set(0, 0, 0);
+        this.motionController.reset();
+
+        // Hold the guard pose if the model has one, otherwise stand in idle
+        if (this.animationSystem) {
+            this.animationSystem.updateLocomotionBlend(0, 1);
+            if (this.actions['block']) {
+                this.currAct = this.animationSystem.playOneShot('block', {
+                    priority: CONFIG.animation.priorities.BLOCK,
+                    fadeIn: CONFIG.animation.crossfade.toBlock,
+                    fadeOut: CONFIG.animation.crossfade.toBase,
+                    autoReturn: false,
+                    clamp: true
+                });
+            }
+        }
+
+        this.logInput('block');
+    }
+
+    releaseBlock() {
+        if (this.stateManager.getCurrentState() !== 'BLOCK') return;
+
+        this.stateManager.transitionTo('IDLE');
+        this.state = 'IDLE';
+        this.currAct = null;
+        if (this.animationSystem) {
+            this.animationSystem.transitionToBase(CONFIG.animation.crossfade.toBase);
+        }
+    }
+
+    isBlocking() {
+        const currentState = this.stateManager.getCurrentState();
+        return currentState === 'BLOCK' || currentState === 'BLOCKSTUN';
     }
 
     crouch() {
@@ -1019,6 +1543,23 @@ export class Fighter {
         if (this.inputLog.length > 8) this.inputLog.shift();
     }
 
+    /**
+     * Share the match's seeded generator with this fighter and its AI
+     * @param {object} random - SeededRandom instance
+     */
+    setRandom(random) {
+        this.random = random;
+        this.aiController?.setRandom?.(random);
+    }
+
+    /**
+     * Set the CPU difficulty tier (no effect on human-controlled fighters)
+     * @param {string} difficulty - Key of CONFIG.ai.difficulties
+     */
+    setDifficulty(difficulty) {
+        this.aiController?.setDifficulty(difficulty);
+    }
+
     updateAI(dt, opp, collisionSystem) {
         // Delegate to AI Controller if available
         if (this.aiController && collisionSystem) {
@@ -1028,25 +1569,34 @@ export class Fighter {
             console.warn('AI Controller not available, using fallback AI');
             const dist = this.mesh.position.distanceTo(opp.mesh.position);
             const currentState = this.stateManager?.getCurrentState() || this.state;
-            if (dist < 2.5 && currentState === 'IDLE' && Math.random() < 0.3) {
+            if (dist < 2.5 && currentState === 'IDLE' && this.random.next() < 0.3) {
                 const attacks = ['leftHand', 'rightHand', 'leftLeg', 'rightLeg'];
-                const attackType = attacks[Math.floor(Math.random() * attacks.length)];
+                const attackType = this.random.pick(attacks);
                 this.combatSystem.attack(this, attackType);
             } else if (dist > 2.5) {
                 const dir = new THREE.Vector3().subVectors(opp.mesh.position, this.mesh.position).normalize();
                 this.desiredVelocity.copy(dir).multiplyScalar(this.moveSpeed);
             }
-            if (this.mesh.position.length() > 20) this.mesh.position.setLength(20);
         }
     }
 
     updateUI() {
+        // Headless (Node) runs have no HUD to update
+        if (typeof document === 'undefined') return;
+
         const hpPercent = this.maxHp > 0 ? Math.max(0, (this.hp / this.maxHp) * 100) : 0;
         const stPercent = this.maxSt > 0 ? Math.max(0, (this.st / this.maxSt) * 100) : 0;
         const hpEl = document.getElementById(this.id + '-hp');
         const stEl = document.getElementById(this.id + '-st');
         if (hpEl) hpEl.style.width = `${hpPercent}%`;
         if (stEl) stEl.style.width = `${stPercent}%`;
+
+        const meterEl = document.getElementById(this.id + '-meter');
+        if (meterEl) {
+            const meterPercent = this.maxMeter > 0 ? Math.max(0, (this.meter / this.maxMeter) * 100) : 0;
+            meterEl.style.width = `${meterPercent}%`;
+            meterEl.classList.toggle('ready', this.meter >= this.getSuperCost());
+        }
     }
 
     /**
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { CONFIG } from '../config.js';
+import { secondsToTicks, ticksToSeconds } from '../core/FixedTimestep.js';
+import { CollisionSystem } from './CollisionSystem.js';
 
 /**
  * FighterCombatSystem - Handles fighter-specific combat logic
@@ -24,10 +26,11 @@ export class FighterCombatSystem {
      * @param {object} fighter - Fighter instance
      * @param {string} type - Attack type
      * @param {boolean} isChain - Whether this is a combo attack
+     * @param {object} options - { ex: spend meter on the EX version }
      * @returns {object|null} Attack result or null if failed
      */
-    attack(fighter, type, isChain = false) {
-        const attackInfo = this.attackMap[type];
+    attack(fighter, type, isChain = false, options = {}) {
+        const attackInfo = this.attackMap[type] || this.getMoveAttackInfo(fighter, type);
         if (!attackInfo) return null;
 
         // If already attacking and not a chain, queue for combo
@@ -38,6 +41,11 @@ export class FighterCombatSystem {
             return { queued: true };
         }
 
+        // Can't attack out of stun, blockstun, etc.
+        if (fighter.stateManager && !fighter.stateManager.canTransition(currentState, 'ATTACK')) {
+            return null;
+        }
+
         // Get animation candidates first to check if we can play
         const animCandidates = attackInfo.animations || [];
         const chosenAnim = animCandidates.find(name => fighter.actions[name]) || animCandidates[0];
@@ -51,6 +59,11 @@ export class FighterCombatSystem {
         const combatStats = fighter.getCombatStats(type);
         const cost = combatStats?.cost ?? 0;
         if (fighter.st < cost) return null;
+
+        // One projectile on screen at a time
+        if (combatStats?.projectile && fighter.activeProjectiles >= CONFIG.combat.projectile.maxPerFighter) {
+            return null;
+        }
         
         // Set state to ATTACK IMMEDIATELY to prevent multiple simultaneous calls
         if (fighter.stateManager) {
@@ -66,6 +79,7 @@ export class FighterCombatSystem {
         fighter.atkLimb = attackInfo.limb;
         fighter.activeAttackIndices = attackInfo.indices || [];
         fighter.hitRegistered = false;
+        fighter.projectileFired = false;
         fighter.comboQueuedType = null;
         fighter.comboWindowOpen = false;
         fighter.comboCount = isChain ? Math.min(fighter.comboCount + 1, fighter.maxCombo) : 1;
@@ -76,39 +90,23 @@ export class FighterCombatSystem {
             const fadeIn = isChain ? CONFIG.animation.crossfade.withinCombo : CONFIG.animation.crossfade.toAttack;
             const fadeOut = isChain ? CONFIG.animation.crossfade.withinCombo : CONFIG.animation.crossfade.toBase;
             
-            // Calculate playback speed
-            const isLeg = chosenAnim.toLowerCase().includes('kick') || chosenAnim.toLowerCase().includes('atk2');
-            
-            // Base speeds: Initial attacks are 3.5x (hands) and 3.0x (legs)
-            let playbackSpeed = isLeg ? 3.0 : 3.5;
-            
-            // Apply combo multiplier if this is a combo attack
-            if (isChain) {
-                const comboMultiplier = CONFIG.combat.comboSpeedMultiplier || 17.1;
-                playbackSpeed *= comboMultiplier;
-            } else {
-                // For initial attacks only: apply character config as multiplier (if exists)
-                const animVariants = [chosenAnim, type, attackInfo.group === 'hands' ? 'atk1' : 'atk2'];
-                for (const animName of animVariants) {
-                    const charSpeed = fighter.characterConfig?.animationSettings?.playbackSpeed?.[animName];
-                    if (charSpeed !== undefined) {
-                        playbackSpeed *= charSpeed;
-                        break;
-                    }
-                }
-            }
+            // Frame data sets the pace: the clip is stretched to end exactly when recovery does
+            const frames = fighter.getFrameData(type);
+            fighter.attackTicks = 0;
             
             fighter.currAct = fighter.animationSystem.playOneShot(chosenAnim, {
                 priority: priority,
                 fadeIn: fadeIn,
                 fadeOut: fadeOut,
                 autoReturn: true,
-                timeScale: playbackSpeed,
+                desiredDuration: ticksToSeconds(frames.total),
                 onFinished: () => {
+                    // Air attacks that end before landing keep falling in JUMP
+                    const neutralState = fighter.getNeutralState ? fighter.getNeutralState() : 'IDLE';
                     if (fighter.stateManager) {
-                        fighter.stateManager.transitionTo('IDLE');
+                        fighter.stateManager.transitionTo(neutralState);
                     } else {
-                        fighter.state = 'IDLE';
+                        fighter.state = neutralState;
                     }
                     fighter.atkGroup = null;
                     fighter.atkLimb = null;
@@ -134,10 +132,108 @@ export class FighterCombatSystem {
             return null;
         }
         
-        fighter.logInput(`atk${isChain ? ' (chain)' : ''}:${type}`);
+        // EX: pay meter for extra damage and armor (falls back to the normal attack without meter)
+        const meterConfig = CONFIG.combat.meter;
+        fighter.exActive = !!options.ex && fighter.spendMeter(meterConfig.exCost);
+        fighter.armorHits = fighter.exActive ? meterConfig.exArmorHits : 0;
+
+        fighter.logInput(`atk${isChain ? ' (chain)' : ''}${fighter.exActive ? ' (EX)' : ''}:${type}`);
         return { success: true, animation: chosenAnim };
     }
 
+    /**
+     * Take back a single attack that is still starting up, refunding its stamina and EX meter
+     * Used when the partner button of a chord follows the attack's press (see InputController.consumeChordUpgrade)
+     * @param {object} fighter - Attacking fighter
+     * @returns {boolean} True if the attack was cancelled and the fighter is back in neutral
+     */
+    cancelAttackStartup(fighter) {
+        const currentState = fighter.stateManager?.getCurrentState() || fighter.state;
+        if (currentState !== 'ATTACK' || fighter.comboCount > 1 || fighter.atkType === 'super') return false;
+        if (fighter.attackTicks >= fighter.getFrameData(fighter.atkType).startup) return false;
+
+        fighter.st = Math.min(fighter.maxSt, fighter.st + (fighter.getCombatStats(fighter.atkType)?.cost ?? 0));
+        if (fighter.exActive) {
+            fighter.gainMeter(CONFIG.combat.meter.exCost);
+            fighter.exActive = false;
+        }
+        fighter.armorHits = 0;
+        fighter.atkGroup = null;
+        fighter.atkLimb = null;
+        fighter.activeAttackIndices = [];
+        fighter.comboCount = 0;
+        fighter.comboQueuedType = null;
+        fighter.currAct = null;
+        // Drops the one-shot without its onFinished, so nothing sends the fighter back to neutral later
+        if (fighter.animationSystem) {
+            fighter.animationSystem.transitionToBase(CONFIG.animation.crossfade.withinCombo);
+        }
+
+        const neutralState = fighter.getNeutralState ? fighter.getNeutralState() : 'IDLE';
+        fighter.stateManager.transitionTo(neutralState);
+        fighter.state = neutralState;
+        fighter.logInput(`cancel:${fighter.atkType}`);
+        return true;
+    }
+
+    /**
+     * Spend a full super cost on the character's super move (character.json `super`)
+     * @param {object} fighter - Fighter instance
+     * @returns {object|null} Attack result or null if the super couldn't start
+     */
+    performSuper(fighter) {
+        const superMove = fighter.getMove('super');
+        if (!superMove) return null;
+
+        const cost = fighter.getSuperCost();
+        const currentState = fighter.stateManager?.getCurrentState() || fighter.state;
+        if (fighter.meter < cost || currentState === 'ATTACK') return null;
+
+        const result = this.attack(fighter, 'super');
+        if (!result?.success) return null;
+
+        fighter.spendMeter(cost);
+        fighter.armorHits = superMove.armor ?? 0;
+        if (fighter.onSuper) {
+            fighter.onSuper(fighter, superMove);
+        }
+        return result;
+    }
+
+    /**
+     * Build meter for both fighters from damage dealt/taken
+     * @param {object} attacker - Fighter that dealt the damage
+     * @param {object} target - Fighter that took it
+     * @param {number} damage - Damage dealt
+     */
+    awardMeter(attacker, target, damage) {
+        if (!(damage > 0)) return;
+        attacker.gainMeter(damage * attacker.getMeterStat('gainOnHit'));
+        target.gainMeter(damage * target.getMeterStat('gainOnDamaged'));
+        attacker.updateUI();
+        target.updateUI();
+    }
+
+    /**
+     * Build attack info for a command move from character.json
+     * The move uses its button's limb hitboxes and falls back to the limb's animations
+     * @param {object} fighter - Fighter instance
+     * @param {string} moveId - Command move id
+     * @returns {object|null} Attack info or null if the move doesn't exist
+     */
+    getMoveAttackInfo(fighter, moveId) {
+        const move = fighter.getMove ? fighter.getMove(moveId) : null;
+        if (!move) return null;
+
+        const buttonInfo = this.attackMap[move.button];
+        if (!buttonInfo) return null;
+
+        return {
+            ...buttonInfo,
+            animations: [fighter.getMoveAnimationName(moveId), ...buttonInfo.animations]
+        };
+    }
+
     /**
      * Process combo system
      * @param {object} fighter - Fighter instance
@@ -199,14 +295,74 @@ export class FighterCombatSystem {
             : attackSpheres.map((_, i) => i);
 
         const targetState = target.stateManager?.getCurrentState() || target.state;
-        const canHitHead = targetState !== 'CROUCH' && targetState !== 'CROUCH_EXITING';
-        const canHitTorso = !(targetState === 'JUMP' && target.jumpInvulnerabilityTimer > 0);
+        if (!this.isHittable(target, targetState)) return null;
+        // A sidestepped linear attack whiffs but stays live for the rest of its active frames
+        if (this.evadesAttack(target, attacker, attacker.atkType)) return null;
+
+        const hitLocation = this.getHitLocation(activeIndices.map(i => attackSpheres[i]), target, targetState);
+        if (!hitLocation) return null;
+
+        const fwd = new THREE.Vector3(0, 0, 1).applyQuaternion(attacker.mesh.quaternion);
+        const dir = new THREE.Vector3().subVectors(target.mesh.position, attacker.mesh.position).normalize();
+        const dot = fwd.dot(dir);
+
+        if (dot <= CONFIG.combat.hitAngle) return null;
+
+        attacker.hitRegistered = true;
+        return this.resolveHit(attacker, target, targetState, {
+            type: attacker.atkType,
+            location: hitLocation,
+            baseDamage: attacker.getCombatStats(attacker.atkType)?.dmg ?? 0,
+            ex: attacker.exActive,
+            melee: true
+        });
+    }
+
+    /**
+     * Check if a projectile hits a fighter (see ProjectileSystem)
+     * @param {object} projectile - Projectile from ProjectileSystem
+     * @param {object} target - Target fighter
+     * @returns {object|null} Hit result or null
+     */
+    checkProjectileHit(projectile, target) {
+        const targetState = target.stateManager?.getCurrentState() || target.state;
+        if (!this.isHittable(target, targetState)) return null;
+        if (this.evadesAttack(target, projectile.owner, projectile.moveId)) return null;
+
+        try {
+            target.updateHitboxes();
+        } catch (e) {
+            console.error('Error updating hitboxes in checkProjectileHit:', e);
+            return null;
+        }
+
+        const hitLocation = this.getHitLocation([projectile.sphere], target, targetState);
+        if (!hitLocation) return null;
+
+        return this.resolveHit(projectile.owner, target, targetState, {
+            type: projectile.moveId,
+            location: hitLocation,
+            baseDamage: projectile.dmg,
+            ex: projectile.ex,
+            melee: false
+        });
+    }
 
-        let hit = false;
+    /**
+     * Find where attack spheres touch the target's hurt spheres
+     * Crouching hides the head; jumping fighters are hit wherever their airborne body is
+     * @param {THREE.Sphere[]} attackSpheres - Live attack spheres (disabled ones sit at Infinity)
+     * @param {object} target - Target fighter
+     * @param {string} targetState - Target's current state
+     * @returns {string|null} 'head', 'torso' or null if nothing touches
+     */
+    getHitLocation(attackSpheres, target, targetState) {
+        const canHitHead = targetState !== 'CROUCH' && targetState !== 'CROUCH_EXITING';
 
-        for (const i of activeIndices) {
-            const attackSphere = attackSpheres[i];
+        // Head contact wins if any active sphere reaches it
+        let hitLocation = null;
 
+        for (const attackSphere of attackSpheres) {
             if (!attackSphere ||
                 attackSphere.center.x === Infinity ||
                 attackSphere.center.y === Infinity ||
@@ -215,40 +371,72 @@ export class FighterCombatSystem {
             }
 
             const headHit = canHitHead && this.sphereIntersectsSphere(attackSphere, target.hurtSpheres.head);
-            const torsoHit = canHitTorso && this.sphereIntersectsSphere(attackSphere, target.hurtSpheres.torso);
+            const torsoHit = this.sphereIntersectsSphere(attackSphere, target.hurtSpheres.torso);
 
-            if (headHit || torsoHit) {
-                hit = true;
+            if (headHit) {
+                hitLocation = 'head';
                 break;
             }
+            if (torsoHit) {
+                hitLocation = 'torso';
+            }
         }
 
-        if (!hit) return null;
-
-        const fwd = new THREE.Vector3(0, 0, 1).applyQuaternion(attacker.mesh.quaternion);
-        const dir = new THREE.Vector3().subVectors(target.mesh.position, attacker.mesh.position).normalize();
-        const dot = fwd.dot(dir);
-
-        if (dot <= CONFIG.combat.hitAngle) return null;
+        return hitLocation;
+    }
 
-        attacker.hitRegistered = true;
-        const combatStats = attacker.getCombatStats(attacker.atkType);
-        const damage = combatStats?.dmg ?? 0;
+    /**
+     * Apply a landed strike: guard, counter-hit/punish, combo scaling, damage, meter and the hit event
+     * Shared by melee hits and projectiles
+     * @param {object} attacker - Fighter credited with the hit
+     * @param {object} target - Fighter being hit
+     * @param {string} targetState - Target's state when the hit landed
+     * @param {object} hit - { type, location, baseDamage, ex, melee }
+     * @returns {object} Hit event
+     */
+    resolveHit(attacker, target, targetState, hit) {
         const impactPos = target.mesh.position.clone();
         impactPos.y += target.collisionHeight * 0.5;
         
+        // Blocked hits are resolved separately (chip damage, guard drain, reduced pushback)
+        const blocked = this.isGuarding(target, attacker);
+
+        // Catching the target mid-attack or in recovery is rewarded with bonus damage and hitstun
+        const hitContext = blocked ? null : this.getHitContext(target, targetState);
+        const bonus = hitContext ? CONFIG.combat[hitContext] : null;
+        // Hits on a target still reeling extend the attacker's combo; anything else starts a new one
+        if (blocked || !this.isComboable(targetState)) {
+            attacker.comboHits = 0;
+            attacker.comboDamage = 0;
+        }
+        if (!blocked) {
+            attacker.comboHits++;
+        }
+
+        const comboScale = blocked ? 1 : this.getComboScaling(attacker, attacker.comboHits);
+        const exScale = hit.ex ? CONFIG.combat.meter.exDamageMultiplier : 1;
+        const damage = Math.round(hit.baseDamage * comboScale * exScale * (bonus?.damageMultiplier ?? 1));
+        
         // Apply damage and get pushback amount
-        const damageResult = this.takeDamage(target, damage, attacker.atkType, attacker);
+        const damageResult = this.takeDamage(target, damage, hit.type, attacker, {
+            blocked,
+            hitstunBonus: bonus?.hitstunBonus ?? 0,
+            location: hit.location
+        });
         const pushbackAmount = damageResult.pushbackAmount || 0;
+        if (!blocked) {
+            attacker.comboDamage += damageResult.damage ?? damage;
+        }
+        this.awardMeter(attacker, target, damageResult.damage ?? damage);
 
-        // Apply forward movement for attacker to maintain combo range
-        if (pushbackAmount > 0 && target.mesh) {
+        // Apply forward movement for attacker to maintain combo range (projectiles leave the attacker in place)
+        if (hit.melee && pushbackAmount > 0 && target.mesh) {
             const forwardDirection = new THREE.Vector3().subVectors(target.mesh.position, attacker.mesh.position);
             forwardDirection.y = 0;
             if (forwardDirection.lengthSq() > 0) {
                 forwardDirection.normalize();
                 
-                const isHeavy = attacker.isHeavyAttack(attacker.atkType);
+                const isHeavy = attacker.isHeavyAttack(hit.type);
                 const basePushAmount = isHeavy 
                     ? CONFIG.combat.movement.pushback.heavy 
                     : CONFIG.combat.movement.pushback.light;
@@ -266,41 +454,181 @@ export class FighterCombatSystem {
         // Gain stamina when landing a successful hit (proportional to new costs)
         // Light attacks cost 9, so give back 2 (net cost: 7)
         // Heavy attacks cost 18, so give back 4 (net cost: 14)
-        const staminaGain = attacker.isHeavyAttack(attacker.atkType) ? 4 : 2;
-        attacker.st = Math.min(attacker.maxSt, attacker.st + staminaGain);
+        // Blocked hits give nothing back
+        if (!blocked) {
+            const staminaGain = attacker.isHeavyAttack(hit.type) ? 4 : 2;
+            attacker.st = Math.min(attacker.maxSt, attacker.st + staminaGain);
+        }
         attacker.updateUI();
 
         return {
             attacker: attacker,
             target: target,
-            atkType: attacker.atkType,
-            damage,
+            atkType: hit.type,
+            damage: damageResult.damage ?? damage,
+            heavy: attacker.isHeavyAttack(hit.type),
+            blocked,
+            guardBreak: damageResult.guardBreak || false,
+            counterHit: hitContext === 'counterHit',
+            punish: hitContext === 'punish',
+            location: hit.location,
+            projectile: !hit.melee,
+            dizzy: damageResult.dizzy || false,
+            advantage: this.getFrameAdvantage(attacker, target, hit.melee),
+            comboHits: blocked ? 0 : attacker.comboHits,
+            comboDamage: blocked ? 0 : attacker.comboDamage,
             position: impactPos
         };
     }
 
+    /**
+     * Frame advantage after a hit: frames the target stays locked minus the frames the attacker
+     * still has to play. Positive means the attacker acts first; a follow-up whose startup is
+     * within the advantage is a true combo.
+     * @param {object} attacker - Fighter credited with the hit
+     * @param {object} target - Fighter that was hit or blocked
+     * @param {boolean} melee - False for projectile hits, where the attacker's current frames aren't the move's
+     * @returns {number|null} Advantage in frames, or null for projectiles or if the target wasn't left in hitstun/blockstun
+     */
+    getFrameAdvantage(attacker, target, melee = true) {
+        // A projectile lands after its move let go, so the attacker's frames left belong to whatever it does now
+        if (!melee) return null;
+        const targetState = target.stateManager?.getCurrentState() || target.state;
+        if (targetState !== 'STUN' && targetState !== 'WALLSPLAT' && targetState !== 'BLOCKSTUN') return null;
+        return target.stunTicks - attacker.getAttackFramesLeft();
+    }
+
+    /**
+     * States where the target can't act, so a hit continues the current combo
+     * @param {string} state - Target state when the hit landed
+     * @returns {boolean} True if the hit counts toward a combo
+     */
+    isComboable(state) {
+        return state === 'STUN' || state === 'WALLSPLAT' || state === 'JUGGLE';
+    }
+
+    /**
+     * Damage multiplier for the nth hit of a combo
+     * Uses CONFIG.combat.comboScaling, overridden by the attacker's character.json combat.comboScaling
+     * @param {object} attacker - Attacking fighter
+     * @param {number} hitNumber - 1-based hit index within the combo
+     * @returns {number} Damage multiplier (minimum..1)
+     */
+    getComboScaling(attacker, hitNumber) {
+        const scaling = {
+            ...CONFIG.combat.comboScaling,
+            ...(attacker.characterConfig?.combat?.comboScaling || {})
+        };
+        if (hitNumber <= scaling.startAfter) return 1;
+        return Math.max(scaling.minimum, 1 - scaling.perHit * (hitNumber - scaling.startAfter));
+    }
+
+    /**
+     * Classify a clean hit by what the target was doing
+     * Startup counts as a counter-hit; recovery (including a whiffed throw) is a punish; active frames are a trade, neither
+     * @param {object} target - Fighter being hit
+     * @param {string} targetState - Target's state when the hit landed
+     * @returns {string|null} 'counterHit', 'punish' or null
+     */
+    getHitContext(target, targetState) {
+        if (targetState === 'THROW') {
+            return target.throwTarget ? null : 'punish';
+        }
+        if (targetState !== 'ATTACK' || !target.atkType) return null;
+
+        const frames = target.getFrameData(target.atkType);
+        if (target.attackTicks < frames.startup) return 'counterHit';
+        return target.attackTicks >= frames.startup + frames.active ? 'punish' : null;
+    }
+
+    /**
+     * Downed fighters, fighters rising with invulnerability and juggles past the limit can't be hit
+     * @param {object} fighter - Target fighter
+     * @param {string} state - Target's current state
+     * @returns {boolean} True if strikes can connect
+     */
+    isHittable(fighter, state) {
+        if (state === 'KNOCKDOWN') return false;
+        if (fighter.invulnerableTicks > 0) return false;
+        if (state === 'JUGGLE' && fighter.juggleCount >= CONFIG.combat.juggle.limit) return false;
+        return true;
+    }
+
+    /**
+     * Check if a sidestepping fighter evades an attack
+     * Attacks are linear unless their stats are tagged `tracking: true` in character.json
+     * @param {object} fighter - Target fighter
+     * @param {object} attacker - Attacking fighter
+     * @param {string} type - Attack type or move id
+     * @returns {boolean} True if the attack whiffs
+     */
+    evadesAttack(fighter, attacker, type) {
+        if (!fighter.isEvading?.()) return false;
+        return !attacker.getCombatStats(type)?.tracking;
+    }
+
+    /**
+     * Check if a fighter is guarding against an attacker
+     * The guard only works while in BLOCK/BLOCKSTUN and facing the attacker
+     * @param {object} fighter - Defending fighter
+     * @param {object} attacker - Attacking fighter
+     * @returns {boolean} True if the hit should be blocked
+     */
+    isGuarding(fighter, attacker) {
+        const state = fighter.stateManager?.getCurrentState() || fighter.state;
+        if (state !== 'BLOCK' && state !== 'BLOCKSTUN') return false;
+        if (!attacker || !attacker.mesh) return true;
+
+        const fwd = new THREE.Vector3(0, 0, 1).applyQuaternion(fighter.mesh.quaternion);
+        const toAttacker = new THREE.Vector3().subVectors(attacker.mesh.position, fighter.mesh.position);
+        toAttacker.y = 0;
+        if (toAttacker.lengthSq() === 0) return true;
+        toAttacker.normalize();
+
+        return fwd.dot(toAttacker) > (CONFIG.combat.block?.guardAngle ?? 0.3);
+    }
+
     /**
      * Apply damage to fighter
      * @param {object} fighter - Fighter taking damage
      * @param {number} amount - Damage amount
      * @param {string} type - Attack type
      * @param {object} attacker - Attacking fighter
-     * @returns {object} Damage result { state, pushbackAmount }
+     * @param {object} options - Damage options { blocked, hitstunBonus (frames), location }
+     * @returns {object} Damage result { state, pushbackAmount, damage, guardBreak, dizzy, wallSplat }
      */
-    takeDamage(fighter, amount, type, attacker) {
+    takeDamage(fighter, amount, type, attacker, options = {}) {
         // Safety check: ensure fighter is not the attacker (prevent attacker from getting victim's stamina recovery)
         if (attacker && fighter === attacker) {
             console.warn('FighterCombatSystem.takeDamage: fighter and attacker are the same! This should not happen.');
-            return { state: fighter.stateManager?.getCurrentState() || fighter.state, pushbackAmount: 0 };
+            return { state: fighter.stateManager?.getCurrentState() || fighter.state, pushbackAmount: 0, damage: 0 };
         }
         
-        fighter.hp = Math.max(0, fighter.hp - amount);
+        if (options.blocked) {
+            return this.takeBlockedHit(fighter, amount, type, attacker);
+        }
+        
+        // Per-attack hit properties (command moves can override hitstun and pushback)
+        const hitStats = attacker?.getCombatStats ? attacker.getCombatStats(type) : null;
+
+        const stateBeforeHit = fighter.stateManager?.getCurrentState() || fighter.state;
+        const location = options.location || 'torso';
+        amount = Math.round(amount * this.getLocationMultiplier(fighter, location));
+        fighter.hp = Math.max(fighter.minHp, fighter.hp - amount);
         // Gain stamina when getting hit (victim only - attacker should never receive this)
         // Check if the attacker's attack type is heavy, not the victim's
         const isHeavy = attacker && attacker.isHeavyAttack ? attacker.isHeavyAttack(type) : (type === 'heavy' || type === 'leftLeg' || type === 'rightLeg');
         // Balanced proportionally to new costs
         const staminaGainOnHit = isHeavy ? 10 : 7;
         fighter.st = Math.min(fighter.maxSt, fighter.st + staminaGainOnHit);
+
+        // Armored attacks (EX/super) absorb the hit without flinching or being pushed
+        if (fighter.hp > 0 && fighter.armorHits > 0 && stateBeforeHit === 'ATTACK') {
+            fighter.armorHits--;
+            fighter.flashColor();
+            fighter.updateUI();
+            return { state: stateBeforeHit, pushbackAmount: 0, damage: amount, armored: true };
+        }
         
         // Pushback when hit
         let pushbackAmount = 0;
@@ -316,45 +644,662 @@ export class FighterCombatSystem {
                     ? CONFIG.combat.movement.pushback.heavy 
                     : CONFIG.combat.movement.pushback.light;
                 
-                pushbackAmount = fighter.applyPushback(basePushAmount, pushDirection, attacker);
+                pushbackAmount = fighter.applyPushback(basePushAmount * (hitStats?.pushback ?? 1), pushDirection, attacker);
             }
         }
         
+        const juggleConfig = CONFIG.combat.juggle;
+        let launchVelocity = null;
+        if (stateBeforeHit === 'JUGGLE') {
+            // Keep an airborne target up (checkHit already enforces the juggle limit)
+            launchVelocity = juggleConfig.relaunchVelocity;
+        } else if (hitStats?.launch) {
+            launchVelocity = hitStats?.launchVelocity ?? juggleConfig.launchVelocity;
+        } else if (fighter.isAirborne?.()) {
+            // Hit out of a jump - heavy hits launch, light hits just keep them up
+            launchVelocity = isHeavy ? juggleConfig.launchVelocity : juggleConfig.relaunchVelocity;
+        }
+
+        let dizzy = false;
+        let wallSplat = false;
+        if (fighter.hp <= 0) {
+            this.knockOut(fighter);
+        } else if (launchVelocity !== null && this.launch(fighter, attacker, launchVelocity)) {
+            // Launched - a launch the state machine refuses falls through to plain hitstun
+        } else if (launchVelocity === null && isHeavy && stateBeforeHit !== 'WALLSPLAT' && !fighter.ringOut &&
+            CollisionSystem.isAtWall(fighter) && this.wallSplat(fighter)) {
+            // Heavy hit that drove the defender into the wall - pinned long enough for a follow-up
+            wallSplat = true;
+        } else {
+            const hitstun = attacker?.getFrameData ? attacker.getFrameData(type).hitstun : CONFIG.combat.leftHand.hitstun;
+            let stunTicks = hitstun + (options.hitstunBonus ?? 0);
+            if (location === 'head') {
+                dizzy = this.addDizzy(fighter, amount);
+                if (dizzy) {
+                    stunTicks = Math.max(stunTicks, secondsToTicks(CONFIG.combat.hitLocation.dizzy.duration));
+                }
+            }
+            this.applyStun(fighter, stunTicks, location);
+        }
+        fighter.flashColor();
+        fighter.updateUI();
+        
+        return { state: fighter.stateManager?.getCurrentState() || fighter.state, pushbackAmount, damage: amount, dizzy, wallSplat };
+    }
+
+    /**
+     * Damage multiplier for where the hit landed
+     * Uses the defender's character.json hitboxes.damageMultipliers, falling back to CONFIG.combat.hitLocation
+     * @param {object} fighter - Fighter being hit
+     * @param {string} location - 'head' or 'torso'
+     * @returns {number} Damage multiplier
+     */
+    getLocationMultiplier(fighter, location) {
+        return fighter.characterConfig?.hitboxes?.damageMultipliers?.[location] ??
+            CONFIG.combat.hitLocation.damageMultipliers[location] ?? 1;
+    }
+
+    /**
+     * Build up head damage toward a dizzy (buildup decays in Fighter.update)
+     * @param {object} fighter - Fighter hit in the head
+     * @param {number} amount - Damage taken
+     * @returns {boolean} True if this hit made the fighter dizzy
+     */
+    addDizzy(fighter, amount) {
+        fighter.dizzyBuildup += amount;
+        if (fighter.dizzyBuildup < CONFIG.combat.hitLocation.dizzy.threshold) return false;
+
+        fighter.dizzyBuildup = 0;
+        fighter.logInput('dizzy');
+        return true;
+    }
+
+    /**
+     * Apply a blocked hit: chip damage, guard stamina drain and reduced pushback
+     * If the drain empties the defender's stamina the guard breaks into a long stun
+     * @param {object} fighter - Blocking fighter
+     * @param {number} amount - Unblocked damage amount
+     * @param {string} type - Attack type
+     * @param {object} attacker - Attacking fighter
+     * @returns {object} Damage result { state, pushbackAmount, damage, guardBreak }
+     */
+    takeBlockedHit(fighter, amount, type, attacker) {
+        const blockConfig = CONFIG.combat.block || {};
+        const chipDamage = Math.round(amount * (blockConfig.chipDamage ?? 0.2));
+        fighter.hp = Math.max(fighter.minHp, fighter.hp - chipDamage);
+        fighter.st = Math.max(0, fighter.st - amount * (blockConfig.staminaDrain ?? 0.6));
+        const guardBreak = fighter.st <= 0;
+
+        // Reduced pushback through the guard
+        let pushbackAmount = 0;
+        if (attacker && attacker.mesh) {
+            const pushDirection = new THREE.Vector3().subVectors(fighter.mesh.position, attacker.mesh.position);
+            pushDirection.y = 0;
+            if (pushDirection.lengthSq() > 0) {
+                pushDirection.normalize();
+
+                const isHeavy = attacker.isHeavyAttack ? attacker.isHeavyAttack(type) : (type === 'heavy' || type === 'leftLeg' || type === 'rightLeg');
+                const basePushAmount = isHeavy 
+                    ? CONFIG.combat.movement.pushback.heavy 
+                    : CONFIG.combat.movement.pushback.light;
+
+                const hitStats = attacker.getCombatStats ? attacker.getCombatStats(type) : null;
+                const pushScale = (hitStats?.pushback ?? 1) * (blockConfig.pushbackMultiplier ?? 0.5);
+                pushbackAmount = fighter.applyPushback(basePushAmount * pushScale, pushDirection, attacker);
+            }
+        }
+
         if (fighter.hp <= 0) {
+            this.knockOut(fighter);
+        } else if (guardBreak) {
+            // Guard broken - drop the block and leave the defender open
+            this.applyStun(fighter, secondsToTicks(blockConfig.guardBreakStun ?? 1.0));
+        } else {
             if (fighter.stateManager) {
-                fighter.stateManager.transitionTo('DEAD');
+                fighter.stateManager.transitionTo('BLOCKSTUN');
             } else {
-                fighter.state = 'DEAD';
+                fighter.state = 'BLOCKSTUN';
             }
-            if (fighter.animationSystem) {
-                fighter.animationSystem.playOneShot('die', {
-                    priority: CONFIG.animation.priorities.DEAD,
-                    fadeIn: CONFIG.animation.crossfade.toBase,
+            fighter.stunTicks = attacker?.getFrameData ? attacker.getFrameData(type).blockstun : CONFIG.combat.leftHand.blockstun;
+        }
+        fighter.flashColor();
+        fighter.updateUI();
+
+        return { state: fighter.stateManager?.getCurrentState() || fighter.state, pushbackAmount, damage: chipDamage, guardBreak };
+    }
+
+    /**
+     * Put fighter into hit stun and play the hit reaction
+     * Uses the location-specific reaction (hitHead/hitBody) when the character has one
+     * @param {object} fighter - Fighter being stunned
+     * @param {number} stunTicks - Hitstun in frames (simulation ticks)
+     * @param {string} location - 'head', 'torso' or null for a generic reaction
+     * @returns {boolean} False if the fighter's state refused hitstun (nothing was changed)
+     */
+    applyStun(fighter, stunTicks, location = null) {
+        if (fighter.stateManager) {
+            if (!fighter.stateManager.transitionTo('STUN')) return false;
+        }
+        fighter.state = 'STUN';
+        fighter.stunTicks = stunTicks;
+        if (fighter.animationSystem) {
+            const locationAnim = location === 'head' ? 'hitHead' : location === 'torso' ? 'hitBody' : null;
+            const reaction = locationAnim && fighter.actions[locationAnim] ? locationAnim : 'hit';
+            fighter.animationSystem.playOneShot(reaction, {
+                priority: CONFIG.animation.priorities.HIT,
+                fadeIn: CONFIG.animation.crossfade.toHit,
+                fadeOut: CONFIG.animation.crossfade.toBase,
+                autoReturn: true
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Pin fighter against the arena wall - a long hitstun that keeps the combo going
+     * @param {object} fighter - Fighter driven into the wall
+     * @returns {boolean} False if the fighter's state refused the splat (nothing was changed)
+     */
+    wallSplat(fighter) {
+        if (!fighter.stateManager.transitionTo('WALLSPLAT')) return false;
+        fighter.state = 'WALLSPLAT';
+        fighter.stunTicks = secondsToTicks(CONFIG.arena.wallSplat.duration);
+        if (fighter.animationSystem) {
+            fighter.animationSystem.playOneShot(fighter.actions['hitBody'] ? 'hitBody' : 'hit', {
+                priority: CONFIG.animation.priorities.WALLSPLAT,
+                fadeIn: CONFIG.animation.crossfade.toHit,
+                fadeOut: CONFIG.animation.crossfade.toBase,
+                autoReturn: false,
+                clamp: true
+            });
+        }
+        fighter.logInput('wall splat');
+        if (fighter.onWallHit) {
+            fighter.onWallHit(fighter, 'splat');
+        }
+        return true;
+    }
+
+    /**
+     * Transition fighter to DEAD and play the death animation
+     * @param {object} fighter - Fighter that was knocked out
+     */
+    knockOut(fighter) {
+        // KO'd in the air - drop straight to the floor for the death animation
+        fighter.mesh.position.y = 0;
+        fighter.airVelocity.set(0, 0, 0);
+        fighter.cancelJump?.();
+        if (fighter.stateManager) {
+            fighter.stateManager.transitionTo('DEAD');
+        } else {
+            fighter.state = 'DEAD';
+        }
+        if (fighter.animationSystem) {
+            fighter.animationSystem.playOneShot('die', {
+                priority: CONFIG.animation.priorities.DEAD,
+                fadeIn: CONFIG.animation.crossfade.toBase,
+                fadeOut: CONFIG.animation.crossfade.toBase,
+                autoReturn: false,
+                clamp: true
+            });
+        }
+    }
+
+    /**
+     * Attempt a throw on the target
+     * Throws ignore guard, so they are the answer to an opponent turtling in block or crouch.
+     * Out of range (or facing away) the grab whiffs into a short recovery.
+     * @param {object} attacker - Fighter attempting the throw
+     * @param {object} target - Fighter being grabbed
+     * @param {object} collisionSystem - CollisionSystem instance (for distance)
+     * @returns {object|null} { grabbed } or null if the throw couldn't start
+     */
+    attemptThrow(attacker, target, collisionSystem) {
+        const throwConfig = CONFIG.combat.throw;
+        const currentState = attacker.stateManager?.getCurrentState() || attacker.state;
+        if (!attacker.stateManager?.canTransition(currentState, 'THROW')) return null;
+        if (attacker.st < throwConfig.cost) return null;
+
+        attacker.stateManager.transitionTo('THROW');
+        attacker.state = 'THROW';
+        attacker.st -= throwConfig.cost;
+        attacker.desiredVelocity.set(0, 0, 0);
+        attacker.motionController.reset();
+        attacker.throwTarget = null;
+        attacker.throwResolved = false;
+
+        const grabbed = this.canGrab(attacker, target, collisionSystem);
+        if (grabbed) {
+            attacker.throwTarget = target;
+            attacker.throwTicks = secondsToTicks(throwConfig.duration);
+
+            target.stateManager.transitionTo('THROWN');
+            target.state = 'THROWN';
+            target.thrownBy = attacker;
+            target.throwTechTicks = secondsToTicks(throwConfig.techWindow);
+            target.desiredVelocity.set(0, 0, 0);
+            target.motionController.reset();
+            target.guardHeld = false;
+            // Cancel anything the victim was doing
+            target.atkGroup = null;
+            target.atkLimb = null;
+            target.activeAttackIndices = [];
+            target.comboCount = 0;
+            target.comboQueuedType = null;
+
+            this.alignThrowPair(attacker, target);
+            this.playThrowAnimation(target, ['thrown', 'hit'], CONFIG.animation.priorities.THROWN);
+        } else {
+            attacker.throwTicks = secondsToTicks(throwConfig.whiffRecovery);
+        }
+
+        this.playThrowAnimation(attacker, ['throw', 'atk1'], CONFIG.animation.priorities.THROW);
+        attacker.logInput(grabbed ? 'throw' : 'throw (whiff)');
+        return { grabbed };
+    }
+
+    /**
+     * Check throw range and facing (same dot-product test as strikes)
+     * @param {object} attacker - Fighter attempting the throw
+     * @param {object} target - Fighter being grabbed
+     * @param {object} collisionSystem - CollisionSystem instance
+     * @returns {boolean} True if the target can be grabbed
+     */
+    canGrab(attacker, target, collisionSystem) {
+        if (!target || !target.mesh || !target.stateManager) return false;
+
+        const targetState = target.stateManager.getCurrentState();
+        if (!target.stateManager.canTransition(targetState, 'THROWN')) return false;
+
+        const distance = collisionSystem
+            ? collisionSystem.getDistance(attacker, target)
+            : attacker.mesh.position.distanceTo(target.mesh.position);
+        if (distance > CONFIG.combat.throw.range) return false;
+
+        const fwd = new THREE.Vector3(0, 0, 1).applyQuaternion(attacker.mesh.quaternion);
+        const dir = new THREE.Vector3().subVectors(target.mesh.position, attacker.mesh.position);
+        dir.y = 0;
+        if (dir.lengthSq() === 0) return true;
+        dir.normalize();
+
+        return fwd.dot(dir) > CONFIG.combat.hitAngle;
+    }
+
+    /**
+     * Snap the victim in front of the attacker, facing each other, for the paired animation
+     */
+    alignThrowPair(attacker, target) {
+        const dir = new THREE.Vector3().subVectors(target.mesh.position, attacker.mesh.position);
+        dir.y = 0;
+        if (dir.lengthSq() === 0) {
+            dir.set(0, 0, 1).applyQuaternion(attacker.mesh.quaternion);
+        }
+        dir.normalize();
+
+        const holdDistance = attacker.collisionRadius + target.collisionRadius;
+        target.mesh.position.copy(attacker.mesh.position).addScaledVector(dir, holdDistance);
+        target.mesh.position.y = attacker.mesh.position.y;
+
+        attacker.applyFacing(target.mesh.position);
+        target.applyFacing(attacker.mesh.position);
+        attacker.updateCollisionCapsule();
+        target.updateCollisionCapsule();
+    }
+
+    /**
+     * Play the first available clip from a list of candidates as a held one-shot
+     */
+    playThrowAnimation(fighter, candidates, priority) {
+        if (!fighter.animationSystem) return;
+        const name = candidates.find(candidate => fighter.actions[candidate]);
+        if (!name) return;
+
+        fighter.currAct = fighter.animationSystem.playOneShot(name, {
+            priority,
+            fadeIn: CONFIG.animation.crossfade.toThrow,
+            fadeOut: CONFIG.animation.crossfade.toBase,
+            autoReturn: false,
+            clamp: true
+        });
+    }
+
+    /**
+     * Escape a throw during the tech window - both fighters are pushed apart unharmed
+     * @param {object} fighter - Fighter being thrown
+     * @returns {boolean} True if the tech succeeded
+     */
+    techThrow(fighter) {
+        if (fighter.stateManager.getCurrentState() !== 'THROWN') return false;
+        if (fighter.throwTechTicks <= 0) return false;
+
+        const attacker = fighter.thrownBy;
+        this.releaseThrow(fighter);
+        if (attacker && attacker.stateManager.getCurrentState() === 'THROW') {
+            this.releaseThrow(attacker);
+
+            const pushDirection = new THREE.Vector3().subVectors(fighter.mesh.position, attacker.mesh.position);
+            pushDirection.y = 0;
+            if (pushDirection.lengthSq() > 0) {
+                pushDirection.normalize();
+                const push = CONFIG.combat.throw.techPushback * 0.5;
+                fighter.mesh.position.addScaledVector(pushDirection, push);
+                attacker.mesh.position.addScaledVector(pushDirection, -push);
+                fighter.updateCollisionCapsule();
+                attacker.updateCollisionCapsule();
+            }
+        }
+
+        fighter.logInput('throw tech');
+        return true;
+    }
+
+    /**
+     * Return a fighter from a throw state to neutral
+     */
+    releaseThrow(fighter) {
+        fighter.stateManager.transitionTo('IDLE');
+        fighter.state = 'IDLE';
+        fighter.currAct = null;
+        fighter.throwTarget = null;
+        fighter.thrownBy = null;
+        fighter.throwTicks = 0;
+        fighter.throwTechTicks = 0;
+        if (fighter.animationSystem) {
+            fighter.animationSystem.transitionToBase(CONFIG.animation.crossfade.toBase);
+        }
+    }
+
+    /**
+     * Advance throw timers by one tick
+     * @param {object} fighter - Fighter in THROW or THROWN
+     */
+    updateThrowState(fighter) {
+        const state = fighter.stateManager.getCurrentState();
+
+        if (state === 'THROW') {
+            fighter.throwTicks--;
+            if (fighter.throwTicks <= 0) {
+                this.releaseThrow(fighter);
+            }
+        } else if (state === 'THROWN') {
+            fighter.throwTechTicks--;
+            // Thrower got interrupted before resolving the throw
+            if (!fighter.thrownBy || fighter.thrownBy.stateManager.getCurrentState() !== 'THROW') {
+                this.releaseThrow(fighter);
+            }
+        }
+    }
+
+    /**
+     * Resolve a held throw once the victim's tech window has expired
+     * @param {object} attacker - Throwing fighter
+     * @param {object} target - Thrown fighter
+     * @returns {object|null} Hit event (same shape as checkHit) or null
+     */
+    checkThrow(attacker, target) {
+        if (attacker.throwResolved || attacker.throwTarget !== target) return null;
+        if (attacker.stateManager.getCurrentState() !== 'THROW') return null;
+        if (target.stateManager.getCurrentState() !== 'THROWN' || target.throwTechTicks > 0) return null;
+
+        attacker.throwResolved = true;
+        const throwConfig = CONFIG.combat.throw;
+        const damage = throwConfig.dmg;
+
+        target.hp = Math.max(target.minHp, target.hp - damage);
+        target.thrownBy = null;
+        if (target.hp <= 0) {
+            this.knockOut(target);
+        } else {
+            this.applyKnockdown(target, throwConfig.knockdownTime);
+        }
+        target.flashColor();
+        this.awardMeter(attacker, target, damage);
+
+        const impactPos = target.mesh.position.clone();
+        impactPos.y += target.collisionHeight * 0.5;
+
+        return {
+            attacker: attacker,
+            target: target,
+            atkType: 'throw',
+            damage,
+            heavy: true,
+            blocked: false,
+            guardBreak: false,
+            isThrow: true,
+            position: impactPos
+        };
+    }
+
+    /**
+     * Launch fighter into an airborne juggle, carried away from the attacker
+     * @param {object} fighter - Fighter being launched
+     * @param {object} attacker - Attacking fighter
+     * @param {number} upwardVelocity - Initial upward velocity
+     * @returns {boolean} False if the fighter's state refused the launch (nothing was changed)
+     */
+    launch(fighter, attacker, upwardVelocity) {
+        const juggleConfig = CONFIG.combat.juggle;
+        const stateBeforeLaunch = fighter.stateManager.getCurrentState();
+
+        const carry = new THREE.Vector3();
+        if (attacker && attacker.mesh) {
+            carry.subVectors(fighter.mesh.position, attacker.mesh.position);
+            carry.y = 0;
+            if (carry.lengthSq() > 0) {
+                carry.normalize().multiplyScalar(juggleConfig.carry);
+            }
+        }
+
+        if (!fighter.stateManager.transitionTo('JUGGLE')) return false;
+        fighter.state = 'JUGGLE';
+        fighter.cancelJump?.(); // Juggle physics take over from the jump arc
+        fighter.airVelocity.set(carry.x, upwardVelocity, carry.z);
+        fighter.juggleCount++;
+        fighter.wallBounced = fighter.wallBounced && stateBeforeLaunch === 'JUGGLE';
+        fighter.stunTicks = 0;
+        fighter.guardHeld = false;
+        fighter.atkGroup = null;
+        fighter.atkLimb = null;
+        fighter.activeAttackIndices = [];
+        fighter.comboCount = 0;
+        fighter.comboQueuedType = null;
+
+        if (fighter.animationSystem && fighter.actions['hit']) {
+            fighter.animationSystem.playOneShot('hit', {
+                priority: CONFIG.animation.priorities.JUGGLE,
+                fadeIn: CONFIG.animation.crossfade.toHit,
+                fadeOut: CONFIG.animation.crossfade.toBase,
+                autoReturn: false,
+                clamp: true
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Advance juggle, knockdown and wake-up by one tick
+     * @param {object} fighter - Fighter in JUGGLE, KNOCKDOWN or WAKEUP
+     * @param {number} dt - Tick duration in seconds
+     */
+    updateKnockdownState(fighter, dt) {
+        const state = fighter.stateManager.getCurrentState();
+
+        if (state === 'JUGGLE') {
+            this.updateJuggle(fighter, dt);
+        } else if (state === 'KNOCKDOWN') {
+            this.updateKnockdown(fighter);
+        } else if (state === 'WAKEUP') {
+            this.updateWakeUp(fighter, dt);
+        }
+    }
+
+    /**
+     * Airborne physics - gravity until the fighter lands, then knockdown
+     * Gravity scales with weight, so heavy fighters fall faster and the same launch carries them less high
+     * The first time a juggle carries the fighter into the wall they bounce back toward the attacker
+     */
+    updateJuggle(fighter, dt) {
+        fighter.airVelocity.y -= CONFIG.combat.juggle.gravity * (fighter.weight ?? 1) * dt;
+        fighter.mesh.position.addScaledVector(fighter.airVelocity, dt);
+        if (this.carryToArenaEdge(fighter) && !fighter.wallBounced) {
+            this.wallBounce(fighter);
+        }
+
+        if (fighter.mesh.position.y <= 0 && fighter.airVelocity.y <= 0) {
+            fighter.mesh.position.y = 0;
+            this.applyKnockdown(fighter, CONFIG.combat.knockdown.groundTime);
+        }
+        fighter.updateCollisionCapsule();
+    }
+
+    /**
+     * Put fighter on the ground - they rise on their own after `duration`, or earlier/later
+     * depending on the wake-up option chosen while down
+     * @param {object} fighter - Fighter being knocked down
+     * @param {number} duration - Time on the ground in seconds
+     * @returns {boolean} False if the fighter's state refused the knockdown (nothing was changed)
+     */
+    applyKnockdown(fighter, duration) {
+        if (!fighter.stateManager.transitionTo('KNOCKDOWN')) return false;
+        fighter.state = 'KNOCKDOWN';
+        fighter.knockdownTicks = secondsToTicks(duration);
+        fighter.knockdownElapsedTicks = 0;
+        fighter.wakeUpOption = null;
+        fighter.juggleCount = 0;
+        fighter.airVelocity.set(0, 0, 0);
+        this.playThrowAnimation(fighter, ['knockdown', 'die', 'hit'], CONFIG.animation.priorities.KNOCKDOWN);
+        return true;
+    }
+
+    /**
+     * Count down time on the ground and rise according to the chosen wake-up option
+     * quick/roll: rise as soon as quickRiseTime allows; delayed: stay down until delayedRiseTime
+     */
+    updateKnockdown(fighter) {
+        const knockdownConfig = CONFIG.combat.knockdown;
+        fighter.knockdownTicks--;
+        fighter.knockdownElapsedTicks++;
+
+        const option = fighter.wakeUpOption;
+        let rise = false;
+        if (option === 'quick' || option === 'roll') {
+            rise = fighter.knockdownElapsedTicks >= secondsToTicks(knockdownConfig.quickRiseTime);
+        } else if (option === 'delayed') {
+            rise = fighter.knockdownElapsedTicks >= secondsToTicks(knockdownConfig.delayedRiseTime);
+        } else {
+            rise = fighter.knockdownTicks <= 0;
+        }
+
+        if (rise) {
+            this.wakeUp(fighter, option === 'roll' ? 'roll' : 'rise');
+        }
+    }
+
+    /**
+     * Start getting up - brief invulnerability, optionally rolling away from the opponent
+     * @param {object} fighter - Downed fighter
+     * @param {string} option - 'rise' or 'roll'
+     */
+    wakeUp(fighter, option) {
+        const knockdownConfig = CONFIG.combat.knockdown;
+        fighter.stateManager.transitionTo('WAKEUP');
+        fighter.state = 'WAKEUP';
+        fighter.invulnerableTicks = secondsToTicks(knockdownConfig.invulnerability);
+
+        if (option === 'roll') {
+            fighter.wakeUpTicks = secondsToTicks(knockdownConfig.backRollTime);
+            // Roll backwards relative to facing
+            const back = new THREE.Vector3(0, 0, -1).applyQuaternion(fighter.mesh.quaternion);
+            back.y = 0;
+            back.normalize();
+            fighter.rollVelocity.copy(back).multiplyScalar(knockdownConfig.backRollDistance / knockdownConfig.backRollTime);
+        } else {
+            fighter.wakeUpTicks = secondsToTicks(knockdownConfig.getupTime);
+            fighter.rollVelocity.set(0, 0, 0);
+        }
+
+        if (fighter.animationSystem) {
+            // Release the clamped knockdown pose (higher priority) before rising
+            fighter.animationSystem.transitionToBase(CONFIG.animation.crossfade.toGetup);
+            if (fighter.actions['getup']) {
+                fighter.currAct = fighter.animationSystem.playOneShot('getup', {
+                    priority: CONFIG.animation.priorities.WAKEUP,
+                    fadeIn: CONFIG.animation.crossfade.toGetup,
                     fadeOut: CONFIG.animation.crossfade.toBase,
                     autoReturn: false,
                     clamp: true
                 });
             }
-        } else {
-            if (fighter.stateManager) {
-                fighter.stateManager.transitionTo('STUN');
-            } else {
-                fighter.state = 'STUN';
-            }
-            fighter.stunTime = 0.5;
+        }
+        fighter.logInput(option === 'roll' ? 'back roll' : 'wake up');
+    }
+
+    /**
+     * Finish the getup / back roll and return to neutral
+     */
+    updateWakeUp(fighter, dt) {
+        if (fighter.rollVelocity.lengthSq() > 0) {
+            fighter.mesh.position.addScaledVector(fighter.rollVelocity, dt);
+            CollisionSystem.clampToArena(fighter);
+            fighter.updateCollisionCapsule();
+        }
+
+        fighter.invulnerableTicks = Math.max(0, fighter.invulnerableTicks - 1);
+        fighter.wakeUpTicks--;
+        if (fighter.wakeUpTicks <= 0) {
+            fighter.stateManager.transitionTo('IDLE');
+            fighter.state = 'IDLE';
+            fighter.currAct = null;
+            fighter.invulnerableTicks = 0;
+            fighter.rollVelocity.set(0, 0, 0);
             if (fighter.animationSystem) {
-                fighter.animationSystem.playOneShot('hit', {
-                    priority: CONFIG.animation.priorities.HIT,
-                    fadeIn: CONFIG.animation.crossfade.toHit,
-                    fadeOut: CONFIG.animation.crossfade.toBase,
-                    autoReturn: true
-                });
+                fighter.animationSystem.transitionToBase(CONFIG.animation.crossfade.toBase);
             }
         }
-        fighter.flashColor();
-        fighter.updateUI();
-        
-        return { state: fighter.stateManager?.getCurrentState() || fighter.state, pushbackAmount };
+    }
+
+    /**
+     * Resolve a hit or juggle carrying the fighter past the arena wall
+     * With the CONFIG.arena.ringOut rule the fighter is out of the ring, otherwise they stop at the wall
+     * @param {object} fighter - Fighter being carried
+     * @returns {boolean} True if the fighter hit the wall
+     */
+    carryToArenaEdge(fighter) {
+        if (fighter.ringOut) return false;
+
+        if (CONFIG.arena.ringOut) {
+            if (CollisionSystem.isAtWall(fighter, 0)) {
+                fighter.ringOut = true;
+                fighter.logInput('ring out');
+            }
+            return false;
+        }
+        return CollisionSystem.clampToArena(fighter);
+    }
+
+    /**
+     * Bounce a juggled fighter off the wall, back into play
+     * Gives the attacker CONFIG.arena.wallBounce.extraHits more juggle hits (once per juggle)
+     * @param {object} fighter - Fighter in JUGGLE touching the wall
+     */
+    wallBounce(fighter) {
+        const bounceConfig = CONFIG.arena.wallBounce;
+        const normal = new THREE.Vector3(fighter.mesh.position.x, 0, fighter.mesh.position.z).normalize();
+        const horizontal = new THREE.Vector3(fighter.airVelocity.x, 0, fighter.airVelocity.z);
+        const outward = horizontal.dot(normal);
+        if (outward > 0) {
+            horizontal.addScaledVector(normal, -2 * outward);
+        }
+        horizontal.multiplyScalar(bounceConfig.restitution);
+
+        fighter.airVelocity.set(horizontal.x, Math.max(fighter.airVelocity.y, bounceConfig.lift), horizontal.z);
+        fighter.juggleCount = Math.max(0, fighter.juggleCount - bounceConfig.extraHits);
+        fighter.wallBounced = true;
+        fighter.logInput('wall bounce');
+        if (fighter.onWallHit) {
+            fighter.onWallHit(fighter, 'bounce');
+        }
     }
 
     /**
@@ -2,12 +2,19 @@ import { CONFIG } from '../config.js';
 
 export class GameState {
     constructor() {
-        this.state = 'SETUP'; // SETUP, COUNTDOWN, FIGHT, OVER, PAUSED
+        this.state = 'SETUP'; // SETUP, COUNTDOWN, FIGHT, ROUND_OVER, OVER, PAUSED
         this.timer = CONFIG.combat.timer || 99;
-        this.timerInterval = null;
+        this.timerRunning = false;
+        this.timerEnabled = true; // Training mode turns the round timer off
+        this.timerTicks = 0; // Ticks elapsed within the current timer second
         this.onStateChange = null; // Callback for state changes
         this.onTimerUpdate = null; // Callback for timer updates
         this.onTimerEnd = null;
+
+        // Round tracking
+        this.bestOf = CONFIG.match?.bestOf || 1;
+        this.round = 1;
+        this.roundWins = { p1: 0, p2: 0 };
     }
 
     setState(newState) {
@@ -26,6 +33,7 @@ export class GameState {
             case 'FIGHT':
                 this.startTimer();
                 break;
+            case 'ROUND_OVER':
             case 'OVER':
             case 'PAUSED':
                 this.stopTimer();
@@ -34,31 +42,52 @@ export class GameState {
     }
 
     startTimer() {
-        this.stopTimer(); // Clear any existing timer
-        this.timerInterval = setInterval(() => {
-            this.timer--;
-            if (this.onTimerUpdate) {
-                this.onTimerUpdate(this.timer);
-            }
-            if (this.timer <= 0) {
-                if (this.onTimerEnd) {
-                    this.onTimerEnd();
-                } else {
-                    this.endGame(null); // Draw
-                }
-            }
-        }, 1000);
+        this.timerRunning = this.timerEnabled;
+    }
+
+    /**
+     * Turn the round timer on or off (training mode plays without one)
+     * @param {boolean} enabled - Whether the timer counts down during FIGHT
+     */
+    setTimerEnabled(enabled) {
+        this.timerEnabled = enabled;
+        if (!enabled) {
+            this.stopTimer();
+        }
     }
 
     stopTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
+        this.timerRunning = false;
+    }
+
+    /**
+     * Advance the round timer by one simulation tick
+     * The timer counts down one second every CONFIG.simulation.tickRate ticks
+     */
+    tick() {
+        if (!this.timerRunning || this.state !== 'FIGHT') return;
+
+        this.timerTicks++;
+        if (this.timerTicks < CONFIG.simulation.tickRate) return;
+        this.timerTicks = 0;
+
+        this.timer--;
+        if (this.onTimerUpdate) {
+            this.onTimerUpdate(this.timer);
+        }
+        if (this.timer <= 0) {
+            this.stopTimer();
+            if (this.onTimerEnd) {
+                this.onTimerEnd();
+            } else {
+                this.endGame(null); // Draw
+            }
         }
     }
 
     resetTimer() {
         this.timer = CONFIG.combat.timer || 99;
+        this.timerTicks = 0;
         if (this.onTimerUpdate) {
             this.onTimerUpdate(this.timer);
         }
@@ -81,13 +110,98 @@ export class GameState {
         }
     }
 
-    startCountdown(callback) {
+    /**
+     * Set the number of rounds in a match (odd numbers only, e.g. 1, 3, 5)
+     * @param {number} bestOf - Rounds in the match
+     */
+    setBestOf(bestOf) {
+        const rounds = Math.max(1, Math.floor(bestOf) || 1);
+        this.bestOf = rounds % 2 === 0 ? rounds + 1 : rounds;
+    }
+
+    /**
+     * Rounds a fighter needs to take the match
+     * @returns {number} Round wins required
+     */
+    getRoundsToWin() {
+        return Math.floor(this.bestOf / 2) + 1;
+    }
+
+    /**
+     * Reset round counters for a fresh match
+     */
+    resetMatch() {
+        this.round = 1;
+        this.roundWins = { p1: 0, p2: 0 };
+    }
+
+    /**
+     * Record the result of the current round
+     * A drawn round (double KO or time out) counts as a win for both fighters
+     * @param {string|null} winnerId - 'p1', 'p2' or null for a draw
+     * @returns {object} { matchOver, matchWinnerId } - matchWinnerId is null for a drawn match
+     */
+    recordRoundResult(winnerId) {
+        if (winnerId) {
+            this.roundWins[winnerId]++;
+        } else {
+            this.roundWins.p1++;
+            this.roundWins.p2++;
+        }
+
+        const needed = this.getRoundsToWin();
+        const p1Won = this.roundWins.p1 >= needed;
+        const p2Won = this.roundWins.p2 >= needed;
+
+        if (p1Won && p2Won) {
+            return { matchOver: true, matchWinnerId: null };
+        }
+        if (p1Won || p2Won) {
+            return { matchOver: true, matchWinnerId: p1Won ? 'p1' : 'p2' };
+        }
+        return { matchOver: false, matchWinnerId: null };
+    }
+
+    /**
+     * Advance to the next round
+     */
+    nextRound() {
+        this.round++;
+    }
+
+    /**
+     * Whether the next round win decides the match for either fighter
+     * @returns {boolean} True if this is the final round
+     */
+    isFinalRound() {
+        const needed = this.getRoundsToWin();
+        return this.roundWins.p1 === needed - 1 && this.roundWins.p2 === needed - 1;
+    }
+
+    /**
+     * Callout shown before the countdown ("ROUND 2", "FINAL ROUND")
+     * @returns {string|null} Label, or null for single-round matches
+     */
+    getRoundLabel() {
+        if (this.bestOf <= 1) return null;
+        if (this.isFinalRound()) return 'FINAL ROUND';
+        return `ROUND ${this.round}`;
+    }
+
+    getRoundWins() {
+        return { ...this.roundWins };
+    }
+
+    startCountdown(callback, roundLabel = null) {
         console.log('GameState.startCountdown called, current state:', this.state);
         this.setState('COUNTDOWN');
 
-        const overlay = document.getElementById('center-overlay');
+        // Headless (Node) runs have no overlay to count down on
+        const overlay = typeof document !== 'undefined' ? document.getElementById('center-overlay') : null;
         if (!overlay) {
-            console.error('center-overlay element not found!');
+            if (typeof document !== 'undefined') {
+                console.error('center-overlay element not found!');
+            }
             // Still transition to FIGHT state even if overlay is missing
             this.setState('FIGHT');
             if (callback) callback();
@@ -99,8 +213,17 @@ export class GameState {
         overlay.style.visibility = 'visible';
         
         let count = 3;
+        let showLabel = !!roundLabel;
 
         const tick = () => {
+            if (showLabel) {
+                overlay.innerHTML = `<div class="big-text">${roundLabel}</div>`;
+                console.log(`Countdown: ${roundLabel}`);
+                showLabel = false;
+                setTimeout(tick, 1200);
+                return;
+            }
+
             if (count > 0) {
                 overlay.innerHTML = `<div class="big-text">${count}</div>`;
                 console.log(`Countdown: ${count}`);
@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+import { secondsToTicks, TICK_DT } from '../core/FixedTimestep.js';
+import { BoneDiscovery } from '../utils/BoneDiscovery.js';
+
+/**
+ * ProjectileSystem - Projectiles fired by command moves (character.json `moves.<id>.projectile`)
+ * Each projectile carries its own attack sphere that is checked against hurt spheres like a melee hit.
+ * Projectiles from different fighters clash: each trades its strength against the other's and
+ * disappears once it has none left.
+ */
+export class ProjectileSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.projectiles = [];
+        this.showHitboxes = false;
+        this.textureLoader = new THREE.TextureLoader();
+        this.onClash = null; // Callback (position) when two projectiles cancel out
+    }
+
+    /**
+     * Fire the projectile of a command move from the owner's spawn bone
+     * @param {object} owner - Fighter firing the projectile
+     * @param {string} moveId - Command move that defines the projectile
+     * @returns {object|null} The projectile or null if the move has none
+     */
+    spawn(owner, moveId) {
+        const definition = owner.getCombatStats(moveId)?.projectile;
+        if (!definition) return null;
+
+        const settings = { ...CONFIG.combat.projectile, ...definition };
+        const direction = new THREE.Vector3(0, 0, 1).applyQuaternion(owner.mesh.quaternion);
+        direction.y = 0;
+        direction.normalize();
+
+        const position = this.getSpawnPosition(owner, settings.spawnBone, direction);
+        const projectile = {
+            owner,
+            moveId,
+            dmg: settings.dmg ?? owner.getCombatStats(moveId)?.dmg ?? 0,
+            ex: owner.exActive,
+            position,
+            prevPosition: position.clone(),
+            velocity: direction.multiplyScalar(settings.speed),
+            ticksLeft: secondsToTicks(settings.lifetime),
+            strength: settings.strength,
+            sphere: new THREE.Sphere(position.clone(), settings.radius),
+            mesh: this.createMesh(settings),
+            hitboxHelper: this.createHitboxHelper(settings.radius)
+        };
+
+        projectile.mesh.position.copy(position);
+        projectile.hitboxHelper.position.copy(position);
+        this.scene.add(projectile.mesh);
+        this.scene.add(projectile.hitboxHelper);
+
+        this.projectiles.push(projectile);
+        owner.activeProjectiles++;
+        owner.logInput(`projectile:${moveId}`);
+        return projectile;
+    }
+
+    /**
+     * World position of the spawn bone, or in front of the chest if the bone is missing
+     * @param {object} owner - Fighter firing the projectile
+     * @param {string} boneName - BoneDiscovery key (e.g. 'handRight')
+     * @param {THREE.Vector3} direction - Normalized firing direction
+     * @returns {THREE.Vector3} Spawn position
+     */
+    getSpawnPosition(owner, boneName, direction) {
+        const bone = owner.bones?.[boneName];
+        const bonePosition = bone ? BoneDiscovery.getBoneWorldPosition(bone) : null;
+        if (BoneDiscovery.isValidPosition(bonePosition)) return bonePosition;
+
+        const position = owner.mesh.position.clone();
+        position.y += owner.collisionHeight * 0.7;
+        return position.addScaledVector(direction, 0.6);
+    }
+
+    /**
+     * Visual for a projectile: a sprite when `sprite` is set, otherwise a glowing sphere
+     * @param {object} settings - Projectile definition merged with CONFIG.combat.projectile
+     * @returns {THREE.Object3D} Projectile visual
+     */
+    createMesh(settings) {
+        if (settings.sprite) {
+            const material = new THREE.SpriteMaterial({
+                map: this.textureLoader.load(settings.sprite),
+                transparent: true,
+                depthWrite: false
+            });
+            const sprite = new THREE.Sprite(material);
+            const size = settings.radius * 2 * (settings.mesh?.scale ?? 1);
+            sprite.scale.set(size, size, 1);
+            return sprite;
+        }
+
+        const radius = settings.radius * (settings.mesh?.scale ?? 1);
+        return new THREE.Mesh(
+            new THREE.SphereGeometry(radius, 16, 16),
+            new THREE.MeshBasicMaterial({
+                color: settings.mesh?.color ?? 0x66ccff,
+                transparent: true,
+                opacity: 0.85
+            })
+        );
+    }
+
+    /**
+     * Debug wireframe for the projectile's attack sphere
+     * @param {number} radius - Attack sphere radius
+     * @returns {THREE.Mesh} Hitbox helper
+     */
+    createHitboxHelper(radius) {
+        const helper = new THREE.Mesh(
+            new THREE.SphereGeometry(radius, 16, 16),
+            new THREE.MeshBasicMaterial({
+                color: 0xff00ff,
+                wireframe: true,
+                transparent: true,
+                opacity: 0.6
+            })
+        );
+        helper.visible = this.showHitboxes;
+        return helper;
+    }
+
+    /**
+     * Advance all projectiles by one simulation tick and resolve clashes and hits
+     * @param {Array} fighters - [fighter1, fighter2]
+     * @returns {Array} Hit events (same shape as melee hits, with `projectile: true`)
+     */
+    tick(fighters) {
+        const events = [];
+        if (this.projectiles.length === 0) return events;
+
+        this.projectiles.forEach(projectile => {
+            projectile.prevPosition.copy(projectile.position);
+            projectile.position.addScaledVector(projectile.velocity, TICK_DT);
+            projectile.sphere.center.copy(projectile.position);
+            projectile.ticksLeft--;
+        });
+
+        this.resolveClashes();
+
+        this.projectiles.forEach(projectile => {
+            if (projectile.strength <= 0 || projectile.ticksLeft <= 0) return;
+            const target = fighters.find(fighter => fighter !== projectile.owner);
+            if (!target) return;
+
+            const event = projectile.owner.combatSystem.checkProjectileHit(projectile, target);
+            if (event) {
+                events.push(event);
+                projectile.strength = 0;
+            }
+        });
+
+        this.projectiles
+            .filter(projectile => projectile.strength <= 0 || projectile.ticksLeft <= 0)
+            .forEach(projectile => this.remove(projectile));
+
+        return events;
+    }
+
+    /**
+     * Cancel touching projectiles from different fighters against each other
+     */
+    resolveClashes() {
+        for (let i = 0; i < this.projectiles.length; i++) {
+            const a = this.projectiles[i];
+            for (let j = i + 1; j < this.projectiles.length; j++) {
+                const b = this.projectiles[j];
+                if (a.owner === b.owner || a.strength <= 0 || b.strength <= 0) continue;
+                if (!a.sphere.intersectsSphere(b.sphere)) continue;
+
+                const traded = Math.min(a.strength, b.strength);
+                a.strength -= traded;
+                b.strength -= traded;
+                if (this.onClash) {
+                    this.onClash(a.position.clone().lerp(b.position, 0.5));
+                }
+            }
+        }
+    }
+
+    /**
+     * Place visuals between the last two ticks for smooth motion (render only)
+     * @param {number} alpha - Fraction of the next tick elapsed (0-1)
+     */
+    updateVisuals(alpha) {
+        this.projectiles.forEach(projectile => {
+            projectile.mesh.position.lerpVectors(projectile.prevPosition, projectile.position, alpha);
+            projectile.hitboxHelper.position.copy(projectile.mesh.position);
+        });
+    }
+
+    /**
+     * Toggle the debug hitbox wireframes
+     * @param {boolean} visible - Whether to show projectile hitboxes
+     */
+    setHitboxVisibility(visible) {
+        this.showHitboxes = visible;
+        this.projectiles.forEach(projectile => {
+            projectile.hitboxHelper.visible = visible;
+        });
+    }
+
+    /**
+     * Remove a projectile from the scene and free its owner's slot
+     * @param {object} projectile - Projectile to remove
+     */
+    remove(projectile) {
+        const index = this.projectiles.indexOf(projectile);
+        if (index === -1) return;
+
+        this.projectiles.splice(index, 1);
+        projectile.owner.activeProjectiles = Math.max(0, projectile.owner.activeProjectiles - 1);
+        [projectile.mesh, projectile.hitboxHelper].forEach(object => {
+            this.scene.remove(object);
+            // Sprites share one geometry across the renderer, so only meshes own theirs
+            if (object.isMesh) object.geometry.dispose();
+            object.material?.map?.dispose();
+            object.material?.dispose();
+        });
+    }
+
+    /**
+     * Remove all projectiles (round reset, fighters despawned)
+     */
+    clear() {
+        [...this.projectiles].forEach(projectile => this.remove(projectile));
+    }
+}
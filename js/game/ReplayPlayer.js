@@ -0,0 +1,226 @@
+import { CONFIG } from '../config.js';
+import { InputHandler } from '../systems/InputHandler.js';
+import { getMatchRules, hashConfig } from './ReplayRecorder.js';
+
+/**
+ * ReplayPlayer - Steps through a ReplayRecorder log one simulation tick at a time
+ * Human fighters get a virtual InputHandler fed with the recorded keys, so their inputs go through
+ * the same InputController/Fighter.update path as live play; CPU fighters re-roll the same
+ * decisions from the recorded seed. main.js applies each frame's game state and round resets.
+ */
+export class ReplayPlayer {
+    constructor() {
+        this.replay = null;
+        this.active = false;
+        this.playing = false;
+        this.speed = 1;
+        this.tick = 0; // Next tick to play
+
+        this.inputs = []; // Per fighter virtual InputHandler (null for CPU fighters)
+        this.cursors = []; // Per fighter { run, used } position in the run-length encoded track
+        this.eventIndex = 0;
+        this.state = null;
+    }
+
+    /**
+     * Check that a parsed JSON file is a replay this build can play
+     * @param {object} replay - Parsed replay
+     * @returns {string|null} Problem description, or null if it's playable
+     */
+    validate(replay) {
+        if (!replay || typeof replay !== 'object') return 'Not a replay file';
+        if (replay.version !== CONFIG.replay.version) {
+            return `Unsupported replay version ${replay.version} (expected ${CONFIG.replay.version})`;
+        }
+        if (!Array.isArray(replay.fighters) || replay.fighters.length !== 2 ||
+            replay.fighters.some(fighter => !fighter?.character)) {
+            return 'Replay is missing its fighters';
+        }
+        if (!Number.isInteger(replay.ticks) || !Array.isArray(replay.events) || !Array.isArray(replay.inputs)) {
+            return 'Replay log is incomplete';
+        }
+        if (replay.fighters.some((fighter, i) => fighter.control === 'human' && !Array.isArray(replay.inputs[i]))) {
+            return 'Replay is missing a player\'s inputs';
+        }
+        if (!Number.isFinite(replay.seed)) return 'Replay has no AI seed';
+        if (replay.fighters.some(fighter => fighter.control === 'cpu' && !CONFIG.ai.difficulties[fighter.difficulty])) {
+            return 'Replay has no CPU difficulty';
+        }
+        return null;
+    }
+
+    /**
+     * Things that changed since the replay was recorded (playback may drift from the original)
+     * @param {Array} fighters - Spawned [fighter1, fighter2]
+     * @returns {string[]} Human-readable differences, empty if everything matches
+     */
+    getMismatches(fighters) {
+        if (!this.replay) return [];
+        const mismatches = [];
+
+        this.replay.fighters.forEach((recorded, i) => {
+            if (recorded.configHash !== hashConfig(fighters[i]?.characterConfig)) {
+                mismatches.push(`${recorded.name} character data`);
+            }
+        });
+
+        const recordedRules = this.replay.rules || {};
+        const rules = getMatchRules(recordedRules.bestOf);
+        ['timer', 'tickRate', 'ringOut'].forEach(rule => {
+            if (recordedRules[rule] !== rules[rule]) {
+                mismatches.push(`${rule} rule`);
+            }
+        });
+        if (recordedRules.configHash !== rules.configHash) {
+            mismatches.push('combat config');
+        }
+        return mismatches;
+    }
+
+    /**
+     * Load a replay and rewind to its first tick (paused)
+     * @param {object} replay - Replay from ReplayRecorder, storage or an imported file
+     */
+    start(replay) {
+        this.replay = replay;
+        this.active = true;
+        this.playing = false;
+        this.speed = 1;
+        this.rewind();
+    }
+
+    stop() {
+        this.replay = null;
+        this.active = false;
+        this.playing = false;
+        this.inputs = [];
+        this.cursors = [];
+    }
+
+    /**
+     * Back to tick 0 with fresh virtual input (main.js respawns the fighters alongside)
+     */
+    rewind() {
+        this.tick = 0;
+        this.eventIndex = 0;
+        this.state = null;
+        const tracks = this.replay?.inputs || [];
+        this.inputs = tracks.map(track => (track ? new InputHandler({ listen: false }) : null));
+        this.cursors = tracks.map(() => ({ run: 0, used: 0 }));
+    }
+
+    play() {
+        if (this.isFinished()) return;
+        this.playing = true;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    /**
+     * Toggle play/pause
+     * @returns {boolean} True if now playing
+     */
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+        return this.playing;
+    }
+
+    /**
+     * Step to the next speed in CONFIG.replay.speeds (wraps around)
+     * @returns {number} New speed multiplier
+     */
+    cycleSpeed() {
+        const speeds = CONFIG.replay.speeds;
+        const index = speeds.indexOf(this.speed);
+        this.speed = speeds[(index + 1) % speeds.length];
+        return this.speed;
+    }
+
+    isFinished() {
+        return !this.replay || this.tick >= this.replay.ticks;
+    }
+
+    /**
+     * Advance the log by one tick and feed the recorded keys to the virtual InputHandlers
+     * @returns {object|null} { state, round, inputs } - round is true when the fighters reset for
+     *                        the next round before this tick; null once the replay has ended
+     */
+    nextFrame() {
+        if (this.isFinished()) return null;
+
+        let round = false;
+        const events = this.replay.events;
+        while (this.eventIndex < events.length && events[this.eventIndex].tick <= this.tick) {
+            const event = events[this.eventIndex++];
+            if (event.type === 'state') {
+                this.state = event.state;
+            } else if (event.type === 'round') {
+                round = true;
+                // The live reset clears the keyboard, so the virtual handlers start clean too
+                this.inputs.forEach(input => input?.clearKeys());
+            }
+        }
+
+        this.inputs.forEach((input, index) => {
+            if (!input) return;
+            const run = this.readRun(index);
+            if (run) {
+                this.applyKeys(input, run[1], run[2]);
+            }
+            input.tick();
+        });
+
+        this.tick++;
+        return { state: this.state, round, inputs: this.inputs };
+    }
+
+    /**
+     * Take one tick from a fighter's run-length encoded track
+     * @param {number} index - Fighter index
+     * @returns {Array|null} [ticks, heldKeys, newPresses] run covering this tick
+     */
+    readRun(index) {
+        const track = this.replay.inputs[index];
+        const cursor = this.cursors[index];
+        const run = track[cursor.run];
+        if (!run) return null;
+
+        cursor.used++;
+        if (cursor.used >= run[0]) {
+            cursor.run++;
+            cursor.used = 0;
+        }
+        return run;
+    }
+
+    /**
+     * Make a virtual InputHandler match one recorded tick: new presses first (a tap shorter
+     * than a tick is pressed and released again), then the held keys
+     * @param {object} input - Virtual InputHandler
+     * @param {string[]} held - Keys held on this tick
+     * @param {string[]} pressed - Keys newly pressed since the previous tick
+     */
+    applyKeys(input, held, pressed) {
+        pressed.forEach(key => {
+            if (input.isKeyPressed(key)) {
+                input.releaseKey(key);
+            }
+            input.pressKey(key);
+        });
+
+        Object.keys(input.getKeys())
+            .filter(key => input.isKeyPressed(key) && !held.includes(key))
+            .forEach(key => input.releaseKey(key));
+        held.forEach(key => {
+            if (!input.isKeyPressed(key)) {
+                input.pressKey(key);
+            }
+        });
+    }
+}
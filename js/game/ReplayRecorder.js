@@ -0,0 +1,151 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Short stable hash of a JSON-serialisable value (FNV-1a over its JSON)
+ * Lets a replay tell whether character data or rules changed since it was recorded
+ * @param {*} value - Value to hash
+ * @returns {string} 8 hex digits
+ */
+export function hashConfig(value) {
+    const text = JSON.stringify(value) ?? '';
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Rules a match is played under - anything here changing makes old replays diverge
+ * @param {number} bestOf - Rounds in the match
+ * @returns {object} { bestOf, timer, tickRate, ringOut, configHash }
+ */
+export function getMatchRules(bestOf) {
+    return {
+        bestOf,
+        timer: CONFIG.combat.timer,
+        tickRate: CONFIG.simulation.tickRate,
+        ringOut: CONFIG.arena.ringOut,
+        // Everything else the simulation reads from CONFIG
+        configHash: hashConfig({
+            combat: CONFIG.combat,
+            arena: CONFIG.arena,
+            jump: CONFIG.jump,
+            input: CONFIG.input
+        })
+    };
+}
+
+/**
+ * ReplayRecorder - Logs a match so ReplayPlayer can run it again through Fighter.update
+ * The log holds only what the simulation can't reproduce by itself: the AI seed, the game state
+ * on each tick (countdowns run on wall-clock time), round resets and each human fighter's input.
+ * Inputs are run-length encoded per fighter as [ticks, heldKeys, newPresses].
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.replay = null; // Log being recorded, null when idle
+        this.lastState = null;
+    }
+
+    /**
+     * Start logging a new match (call once the fighters are spawned, before the first tick)
+     * @param {object} options - { seed, bestOf, fighters }
+     */
+    start({ seed, bestOf, fighters }) {
+        this.lastState = null;
+        this.replay = {
+            version: CONFIG.replay.version,
+            id: `${Date.now().toString(36)}-${seed.toString(36)}`,
+            recordedAt: new Date().toISOString(),
+            seed,
+            rules: getMatchRules(bestOf),
+            fighters: fighters.map(fighter => ({
+                id: fighter.id,
+                character: fighter.characterConfig?.id || null,
+                name: fighter.characterConfig?.name || fighter.id.toUpperCase(),
+                configHash: hashConfig(fighter.characterConfig),
+                control: fighter.isAI ? 'cpu' : 'human',
+                difficulty: fighter.isAI ? fighter.aiController?.difficulty ?? null : null
+            })),
+            ticks: 0,
+            events: [], // [{ tick, type: 'state', state }] and [{ tick, type: 'round' }]
+            inputs: fighters.map(fighter => (fighter.isAI ? null : [])),
+            result: null
+        };
+    }
+
+    /**
+     * Whether a match is being logged
+     * @returns {boolean} True while recording
+     */
+    isRecording() {
+        return this.replay !== null;
+    }
+
+    /**
+     * Log one simulation tick (call after the InputHandlers have ticked, before fighters update)
+     * @param {string} state - Game state the tick runs in
+     * @param {Array} inputs - Per fighter InputHandler (ignored for CPU fighters)
+     */
+    recordTick(state, inputs) {
+        const replay = this.replay;
+        if (!replay) return;
+
+        if (state !== this.lastState) {
+            replay.events.push({ tick: replay.ticks, type: 'state', state });
+            this.lastState = state;
+        }
+
+        replay.inputs.forEach((track, index) => {
+            const input = inputs[index];
+            if (!track || !input) return;
+
+            const keys = input.getKeys();
+            const held = Object.keys(keys).filter(key => keys[key]).sort();
+            const pressed = input.getNewPresses();
+            const last = track[track.length - 1];
+            if (last && this.sameKeys(last[1], held) && this.sameKeys(last[2], pressed)) {
+                last[0]++;
+            } else {
+                track.push([1, held, pressed]);
+            }
+        });
+
+        replay.ticks++;
+    }
+
+    /**
+     * Log a between-rounds reset (fighters back to their spawns) before the next tick
+     */
+    markRound() {
+        if (!this.replay) return;
+        this.replay.events.push({ tick: this.replay.ticks, type: 'round' });
+    }
+
+    /**
+     * Close the log at the end of the match
+     * @param {string|null} winnerId - Match winner ('p1'/'p2') or null for a draw
+     * @returns {object|null} Finished replay, or null if nothing was being recorded
+     */
+    finish(winnerId) {
+        const replay = this.replay;
+        if (!replay) return null;
+
+        replay.result = { winner: winnerId };
+        this.replay = null;
+        return replay;
+    }
+
+    /**
+     * Drop the current log (match abandoned or restarted)
+     */
+    cancel() {
+        this.replay = null;
+    }
+
+    sameKeys(a, b) {
+        return a.length === b.length && a.every((key, i) => key === b[i]);
+    }
+}
@@ -11,9 +11,16 @@ export class StateManager {
         // Priority system
         this.priorities = config.priorities || CONFIG.animation?.priorities || {
             DEAD: 100,
+            KNOCKDOWN: 95,
+            JUGGLE: 94,
+            THROWN: 92,
             HIT: 90,
+            WALLSPLAT: 90,
+            WAKEUP: 80,
+            THROW: 60,
             ATK2: 50,
             ATK1: 40,
+            BLOCK: 35,
             JUMP: 30,
             CROUCH: 30,
             LOCOMOTION: 10
@@ -34,22 +41,36 @@ export class StateManager {
             // HIT can interrupt most things except DEAD
             HIT: (fromState) => fromState !== 'DEAD',
             
-            // Attacks can interrupt locomotion, jump, crouch
+            // Attacks can interrupt locomotion, jump, crouch and a held guard
             ATTACK: (fromState) => {
                 return fromState === 'LOCOMOTION' || 
                        fromState === 'WALK' || 
                        fromState === 'IDLE' ||
                        fromState === 'JUMP' ||
-                       fromState === 'CROUCH';
+                       fromState === 'CROUCH' ||
+                       fromState === 'BLOCK';
             },
             
-            // Jump can interrupt locomotion
+            // Jump can interrupt locomotion; an air attack that ends before landing falls back to JUMP
             JUMP: (fromState) => {
+                return fromState === 'LOCOMOTION' || 
+                       fromState === 'WALK' || 
+                       fromState === 'IDLE' ||
+                       fromState === 'ATTACK';
+            },
+            
+            // Sidestep starts from neutral footing
+            SIDESTEP: (fromState) => {
                 return fromState === 'LOCOMOTION' || 
                        fromState === 'WALK' || 
                        fromState === 'IDLE';
             },
             
+            // Landing recovery after touching down from a jump or air attack
+            LANDING: (fromState) => {
+                return fromState === 'JUMP' || fromState === 'ATTACK';
+            },
+            
             // Crouch can interrupt locomotion
             CROUCH: (fromState) => {
                 return fromState === 'LOCOMOTION' || 
@@ -57,6 +78,55 @@ export class StateManager {
                        fromState === 'IDLE';
             },
             
+            // Guard can be raised from locomotion, or re-entered after blockstun
+            BLOCK: (fromState) => {
+                return fromState === 'LOCOMOTION' || 
+                       fromState === 'WALK' || 
+                       fromState === 'IDLE' ||
+                       fromState === 'BLOCKSTUN';
+            },
+            
+            // Blockstun only happens while guarding
+            BLOCKSTUN: (fromState) => {
+                return fromState === 'BLOCK' || fromState === 'BLOCKSTUN';
+            },
+            
+            // Throws start from neutral footing
+            THROW: (fromState) => {
+                return fromState === 'LOCOMOTION' || 
+                       fromState === 'WALK' || 
+                       fromState === 'IDLE';
+            },
+            
+            // Grounded, non-stunned fighters can be thrown (guarding doesn't help)
+            THROWN: (fromState) => {
+                return fromState === 'LOCOMOTION' || 
+                       fromState === 'WALK' || 
+                       fromState === 'IDLE' ||
+                       fromState === 'BLOCK' ||
+                       fromState === 'SIDESTEP' ||
+                       fromState === 'CROUCH' ||
+                       fromState === 'CROUCH_EXITING';
+            },
+            
+            // Knockdown can happen from anything except death
+            KNOCKDOWN: (fromState) => fromState !== 'DEAD',
+            
+            // Launched into the air by anything that isn't lying on the ground - a fighter still getting
+            // up once wake-up invulnerability has run out can be launched
+            JUGGLE: (fromState) => {
+                return fromState !== 'DEAD' && 
+                       fromState !== 'KNOCKDOWN';
+            },
+            
+            // Pinned against the arena wall by a heavy hit
+            WALLSPLAT: (fromState) => {
+                return fromState !== 'DEAD' && fromState !== 'KNOCKDOWN';
+            },
+            
+            // Getting up only happens from the ground
+            WAKEUP: (fromState) => fromState === 'KNOCKDOWN',
+            
             // Locomotion can be entered from most states
             LOCOMOTION: (fromState) => {
                 return fromState !== 'DEAD';
@@ -0,0 +1,270 @@
+import { CONFIG } from '../config.js';
+import { secondsToTicks } from '../core/FixedTimestep.js';
+import { InputHandler } from '../systems/InputHandler.js';
+
+/**
+ * TrainingMode - Practice setup for labbing combos and testing balance changes
+ * No round timer, HP/stamina that refill (fighters can't be KO'd) and a P2 dummy whose
+ * behaviour is selectable. The dummy takes the place of P2's AIController (same updateAI
+ * interface); in playback it is driven like a player from a virtual InputHandler instead.
+ */
+export class TrainingMode {
+    constructor() {
+        this.DUMMY_BEHAVIORS = ['stand', 'crouch', 'jump', 'block', 'cpu', 'playback'];
+        this.REFILL_MODES = ['auto', 'infinite'];
+
+        this.active = false;
+        this.dummy = null;
+        this.cpu = null; // The dummy's own AIController, used for the 'cpu' behaviour
+        this.dummyBehavior = CONFIG.training.dummy;
+        this.refillMode = CONFIG.training.refill;
+        this.neutralTicks = new Map(); // Per fighter: ticks spent in neutral since the last refill
+
+        // Recorded P1 input frames [{ held, pressed }] replayed by the playback dummy
+        this.recording = [];
+        this.isRecording = false;
+        this.playbackInput = new InputHandler({ listen: false });
+        this.playbackIndex = 0;
+
+        this.onStatusChange = null; // Callback (status) when the dummy, refill or recording changes
+    }
+
+    /**
+     * Take control of the P2 dummy
+     * @param {object} dummy - P2 fighter
+     */
+    start(dummy) {
+        this.active = true;
+        this.dummy = dummy;
+        this.cpu = dummy.aiController;
+        this.neutralTicks.clear();
+        this.isRecording = false;
+        this.setDummyBehavior(this.dummyBehavior);
+    }
+
+    /**
+     * Give the dummy back its AI and let fighters be KO'd again
+     * @param {Array} fighters - [fighter1, fighter2]
+     */
+    stop(fighters = []) {
+        if (this.dummy) {
+            this.dummy.isAI = true;
+            this.dummy.aiController = this.cpu;
+        }
+        fighters.forEach(fighter => {
+            fighter.minHp = 0;
+        });
+        this.active = false;
+        this.isRecording = false;
+        this.dummy = null;
+        this.cpu = null;
+    }
+
+    /**
+     * Switch what the dummy does
+     * @param {string} behavior - One of DUMMY_BEHAVIORS
+     */
+    setDummyBehavior(behavior) {
+        if (!this.DUMMY_BEHAVIORS.includes(behavior)) {
+            console.warn(`TrainingMode: Unknown dummy behaviour "${behavior}"`);
+            return;
+        }
+        this.dummyBehavior = behavior;
+        if (!this.dummy) return;
+
+        // Let go of whatever the previous behaviour was doing
+        if (this.dummy.guardHeld) {
+            this.dummy.guardHeld = false;
+            this.dummy.releaseBlock();
+        }
+        this.dummy.desiredVelocity.set(0, 0, 0);
+
+        // Playback drives the dummy through the player input path; everything else through updateAI
+        this.dummy.isAI = behavior !== 'playback';
+        this.dummy.aiController = this;
+        this.restartPlayback();
+        this.notifyStatus();
+    }
+
+    /**
+     * Step to the next dummy behaviour (pause menu button)
+     * @returns {string} New behaviour
+     */
+    cycleDummyBehavior() {
+        const behaviors = this.DUMMY_BEHAVIORS;
+        const next = behaviors[(behaviors.indexOf(this.dummyBehavior) + 1) % behaviors.length];
+        this.setDummyBehavior(next);
+        return next;
+    }
+
+    /**
+     * Step to the next refill mode (pause menu button)
+     * @returns {string} New refill mode
+     */
+    cycleRefillMode() {
+        const modes = this.REFILL_MODES;
+        this.refillMode = modes[(modes.indexOf(this.refillMode) + 1) % modes.length];
+        this.neutralTicks.clear();
+        this.notifyStatus();
+        return this.refillMode;
+    }
+
+    /**
+     * Dummy controller - called by Fighter.updateAI in place of the AIController
+     * @param {object} fighter - The dummy
+     * @param {number} dt - Delta time
+     * @param {object} opponent - Player fighter
+     * @param {object} collisionSystem - CollisionSystem instance
+     */
+    updateAI(fighter, dt, opponent, collisionSystem) {
+        if (this.dummyBehavior === 'cpu') {
+            this.cpu?.updateAI(fighter, dt, opponent, collisionSystem);
+            return;
+        }
+
+        fighter.desiredVelocity.set(0, 0, 0);
+        const state = fighter.stateManager?.getCurrentState() || fighter.state;
+        if (state !== 'IDLE' && state !== 'WALK') return;
+
+        switch (this.dummyBehavior) {
+            case 'crouch':
+                fighter.crouch();
+                break;
+            case 'jump':
+                fighter.jump();
+                break;
+            case 'block':
+                fighter.block();
+                fighter.guardHeld = fighter.isBlocking();
+                break;
+        }
+    }
+
+    /**
+     * Combo follow-ups for the CPU dummy - called by Fighter.update in place of the AIController's
+     * @param {object} fighter - The dummy
+     * @returns {string|null} Attack type to queue
+     */
+    chooseComboFollowUp(fighter) {
+        return this.dummyBehavior === 'cpu' ? this.cpu?.chooseComboFollowUp(fighter) ?? null : null;
+    }
+
+    /**
+     * Pass the CPU difficulty on to the dummy's AIController
+     * @param {string} difficulty - Key of CONFIG.ai.difficulties
+     */
+    setDifficulty(difficulty) {
+        this.cpu?.setDifficulty(difficulty);
+    }
+
+    /**
+     * Record one tick of the player's input (call right after InputHandler.tick)
+     * @param {object} inputHandler - Live InputHandler
+     * @param {object} keys - Keys held this tick
+     */
+    recordTick(inputHandler, keys) {
+        if (!this.isRecording) return;
+
+        this.recording.push({
+            held: Object.keys(keys).filter(key => keys[key]),
+            pressed: inputHandler.getNewPresses()
+        });
+        if (this.recording.length >= CONFIG.training.maxRecordingTicks) {
+            this.toggleRecording();
+        }
+    }
+
+    /**
+     * Start a new recording, or stop the current one
+     * @returns {boolean} True if now recording
+     */
+    toggleRecording() {
+        this.isRecording = !this.isRecording;
+        if (this.isRecording) {
+            this.recording = [];
+        }
+        this.restartPlayback();
+        this.notifyStatus();
+        return this.isRecording;
+    }
+
+    /**
+     * Feed the next recorded frame to the playback dummy (loops the recording)
+     * @returns {object|null} Virtual InputHandler for the dummy, or null when it isn't in playback
+     */
+    getPlaybackInput() {
+        if (!this.active || this.dummyBehavior !== 'playback') return null;
+
+        const input = this.playbackInput;
+        if (this.recording.length > 0 && !this.isRecording) {
+            if (this.playbackIndex >= this.recording.length) {
+                this.restartPlayback();
+            }
+            const frame = this.recording[this.playbackIndex++];
+            Object.keys(input.getKeys())
+                .filter(key => !frame.held.includes(key))
+                .forEach(key => input.releaseKey(key));
+            // A tap shorter than a tick is held for just this one
+            frame.pressed.forEach(key => input.releaseKey(key));
+            [...frame.pressed, ...frame.held].forEach(key => input.pressKey(key));
+        }
+        input.tick();
+        return input;
+    }
+
+    /**
+     * Rewind the playback dummy to the start of the recording
+     */
+    restartPlayback() {
+        this.playbackIndex = 0;
+        this.playbackInput.clearKeys();
+    }
+
+    /**
+     * Keep both fighters alive and refill HP and stamina (once per simulation tick)
+     * 'infinite' keeps them full; 'auto' refills after CONFIG.training.refillDelay back in neutral
+     * @param {Array} fighters - [fighter1, fighter2]
+     */
+    refill(fighters) {
+        const refillTicks = secondsToTicks(CONFIG.training.refillDelay);
+        fighters.forEach(fighter => {
+            fighter.minHp = 1;
+            if (fighter.hp >= fighter.maxHp && fighter.st >= fighter.maxSt) {
+                this.neutralTicks.delete(fighter);
+                return;
+            }
+
+            const state = fighter.stateManager?.getCurrentState() || fighter.state;
+            const neutral = state === 'IDLE' || state === 'WALK' || state === 'BLOCK';
+            const ticks = neutral ? (this.neutralTicks.get(fighter) || 0) + 1 : 0;
+            this.neutralTicks.set(fighter, ticks);
+
+            if (this.refillMode === 'infinite' || ticks >= refillTicks) {
+                fighter.hp = fighter.maxHp;
+                fighter.st = fighter.maxSt;
+                this.neutralTicks.delete(fighter);
+                fighter.updateUI();
+            }
+        });
+    }
+
+    /**
+     * Short status line for the HUD ("DUMMY: BLOCK | REFILL: AUTO | REC 2.5s")
+     * @returns {string} Status text
+     */
+    getStatus() {
+        const parts = [`DUMMY: ${this.dummyBehavior.toUpperCase()}`, `REFILL: ${this.refillMode.toUpperCase()}`];
+        if (this.isRecording) {
+            parts.push('REC');
+        } else if (this.recording.length > 0) {
+            parts.push(`RECORDED ${(this.recording.length / CONFIG.simulation.tickRate).toFixed(1)}s`);
+        }
+        return parts.join(' | ');
+    }
+
+    notifyStatus() {
+        if (this.onStatusChange) {
+            this.onStatusChange(this.getStatus());
+        }
+    }
+}
@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+
+/**
+ * FighterFixture - Stand-in for a character's GLB when running headless (no file loading, no WebGL)
+ * A box body skinned to a minimal Mixamo-named skeleton (found by BoneDiscovery) plus one clip per
+ * animation slot. Clips only hold a pose: hands in guard, or the attacking limb reached out toward
+ * the opponent, so hitboxes land where a real attack would put them.
+ */
+
+// Bind pose in model space (model faces +Z once Fighter applies its facing offset), ~1.8 units tall
+// Named the way GLTFLoader leaves Mixamo bones (':' stripped - it isn't allowed in track names)
+const BONES = [
+    { name: 'mixamorigHips', parent: null, position: [0, 0.95, 0] },
+    { name: 'mixamorigSpine2', parent: 'mixamorigHips', position: [0, 0.45, 0] },
+    { name: 'mixamorigHead', parent: 'mixamorigSpine2', position: [0, 0.3, 0] },
+    { name: 'mixamorigLeftForeArm', parent: 'mixamorigSpine2', position: [0.25, 0, 0.2] },
+    { name: 'mixamorigLeftHand', parent: 'mixamorigLeftForeArm', position: [0, 0, 0.25] },
+    { name: 'mixamorigRightForeArm', parent: 'mixamorigSpine2', position: [-0.25, 0, 0.2] },
+    { name: 'mixamorigRightHand', parent: 'mixamorigRightForeArm', position: [0, 0, 0.25] },
+    { name: 'mixamorigLeftLeg', parent: 'mixamorigHips', position: [0.12, -0.5, 0] },
+    { name: 'mixamorigLeftFoot', parent: 'mixamorigLeftLeg', position: [0, -0.4, 0] },
+    { name: 'mixamorigRightLeg', parent: 'mixamorigHips', position: [-0.12, -0.5, 0] },
+    { name: 'mixamorigRightFoot', parent: 'mixamorigRightLeg', position: [0, -0.4, 0] }
+];
+
+// Bone positions that differ from the bind pose while attacking with a limb
+const POSES = {
+    guard: {},
+    leftHand: {
+        mixamorigLeftForeArm: [0.2, 0, 0.45],
+        mixamorigLeftHand: [0, 0, 0.35]
+    },
+    rightHand: {
+        mixamorigRightForeArm: [-0.2, 0, 0.45],
+        mixamorigRightHand: [0, 0, 0.35]
+    },
+    leftLeg: {
+        mixamorigLeftLeg: [0.12, -0.05, 0.45],
+        mixamorigLeftFoot: [0, 0.3, 0.45]
+    },
+    rightLeg: {
+        mixamorigRightLeg: [-0.12, -0.05, 0.45],
+        mixamorigRightFoot: [0, 0.3, 0.45]
+    }
+};
+
+// Animation slots Fighter.loadAnimations looks for, and the limb each one reaches out with
+const SLOT_POSES = {
+    idle: 'guard', walk: 'guard', breath: 'guard', hit: 'guard', hitHead: 'guard', hitBody: 'guard',
+    jump: 'guard', crouch: 'guard', block: 'guard', win: 'guard', die: 'guard', thrown: 'guard',
+    knockdown: 'guard', getup: 'guard',
+    atk1: 'leftHand', atk1_left: 'leftHand', punchL: 'leftHand',
+    atk1_right: 'rightHand', punchR: 'rightHand', throw: 'rightHand',
+    atk2: 'leftLeg', atk2_left: 'leftLeg', kickL: 'leftLeg',
+    atk2_right: 'rightLeg', kickR: 'rightLeg'
+};
+
+const LOOPING_SLOTS = ['idle', 'walk', 'breath', 'win'];
+
+/**
+ * Build a GLTF-like { scene, animations } for a character
+ * Clips are named after the animation slots and after every clip name character.json refers to
+ * (`animations`, `moves.<id>.animation`, `super.animation`), so Fighter.loadAnim resolves them all
+ * @param {object|null} characterConfig - Merged character.json
+ * @returns {object} { scene, animations } accepted by the Fighter constructor and loadAnimations
+ */
+export function createFighterFixture(characterConfig = null) {
+    const bones = new Map();
+    BONES.forEach(({ name, parent, position }) => {
+        const bone = new THREE.Bone();
+        bone.name = name;
+        bone.position.fromArray(position);
+        if (parent) bones.get(parent).add(bone);
+        bones.set(name, bone);
+    });
+
+    // Whole body skinned to the hips - only the bones' world positions matter for hitboxes
+    const geometry = new THREE.BoxGeometry(0.5, 1.8, 0.3);
+    geometry.translate(0, 0.9, 0);
+    const vertexCount = geometry.attributes.position.count;
+    geometry.setAttribute('skinIndex', new THREE.Uint16BufferAttribute(new Array(vertexCount * 4).fill(0), 4));
+    geometry.setAttribute('skinWeight', new THREE.Float32BufferAttribute(
+        Array.from({ length: vertexCount * 4 }, (_, i) => (i % 4 === 0 ? 1 : 0)), 4
+    ));
+
+    const body = new THREE.SkinnedMesh(geometry, new THREE.MeshStandardMaterial());
+    body.name = 'body';
+    const root = bones.get('mixamorigHips');
+    body.add(root);
+    body.bind(new THREE.Skeleton([...bones.values()]));
+
+    const scene = new THREE.Group();
+    scene.name = characterConfig?.id || 'fixture';
+    scene.add(body);
+
+    const clips = new Map();
+    Object.entries(SLOT_POSES).forEach(([slot, pose]) => {
+        clips.set(slot, createPoseClip(slot, pose, LOOPING_SLOTS.includes(slot) ? 1 : 0.5));
+    });
+
+    // Clip names the character asks for by name get the pose of the slot or button they stand in for
+    const named = Object.entries(characterConfig?.animations || {})
+        .map(([slot, clipName]) => [clipName, SLOT_POSES[slot]]);
+    Object.values(characterConfig?.moves || {})
+        .concat(characterConfig?.super ? [characterConfig.super] : [])
+        .forEach(move => named.push([move.animation, move.button]));
+    named.forEach(([clipName, pose]) => {
+        if (typeof clipName !== 'string' || clips.has(clipName)) return;
+        clips.set(clipName, createPoseClip(clipName, POSES[pose] ? pose : 'guard', 0.5));
+    });
+
+    return { scene, animations: [...clips.values()] };
+}
+
+/**
+ * Clip that holds a pose for its whole duration
+ * Only the posed bones get tracks (plus the hips, so every clip has one): the mixer averages clips
+ * that drive the same bone, which would pull a strike halfway back to the idle layer under it
+ * @param {string} name - Clip name
+ * @param {string} pose - Key of POSES
+ * @param {number} duration - Clip length in seconds (attacks are rescaled to their frame data anyway)
+ * @returns {THREE.AnimationClip} Clip
+ */
+function createPoseClip(name, pose, duration) {
+    const [hips] = BONES;
+    const posed = Object.entries(POSES[pose]);
+    const tracks = [[hips.name, hips.position], ...posed].map(([bone, value]) =>
+        new THREE.VectorKeyframeTrack(`${bone}.position`, [0, duration], [...value, ...value])
+    );
+    return new THREE.AnimationClip(name, duration, tracks);
+}
@@ -0,0 +1,386 @@
+import { readFile } from 'node:fs/promises';
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+import { CHARACTERS } from '../characters/characters.js';
+import { CharacterConfig } from '../characters/CharacterConfig.js';
+import { Fighter } from '../game/Fighter.js';
+import { GameState } from '../game/GameState.js';
+import { CombatSystem } from '../game/CombatSystem.js';
+import { CollisionSystem } from '../game/CollisionSystem.js';
+import { ProjectileSystem } from '../game/ProjectileSystem.js';
+import { InputHandler } from '../systems/InputHandler.js';
+import { TICK_DT } from '../core/FixedTimestep.js';
+import { SeededRandom, createSeed } from '../core/SeededRandom.js';
+import { createFighterFixture } from './FighterFixture.js';
+
+/**
+ * HeadlessMatch - Two fighters stepped tick by tick in Node, with no DOM or WebGL
+ * Runs the same per-tick order as main.js simulateTick (input, combat/timer ticks, fighter updates,
+ * collisions, hits, combos, ring-out and KO checks), with character.json data on a FighterFixture
+ * body. Inputs go in through one virtual InputHandler per fighter; HP, stamina, state and hit
+ * events come back out, so combat behaviour can be checked by scripts.
+ */
+export class HeadlessMatch {
+    /**
+     * @param {object} options - { seed: gameplay seed (random if omitted), bestOf: rounds in the match,
+     *                             difficulty: CPU tier (CONFIG.ai.difficulty if omitted) }
+     */
+    constructor({ seed = createSeed(), bestOf = 1, difficulty = CONFIG.ai.difficulty } = {}) {
+        this.seed = seed;
+        this.difficulty = difficulty;
+        this.scene = new THREE.Scene();
+        this.gameState = new GameState();
+        this.combatSystem = new CombatSystem();
+        this.collisionSystem = new CollisionSystem();
+        this.projectileSystem = new ProjectileSystem(this.scene);
+        this.configValidator = new CharacterConfig();
+        this.spawnPositions = [new THREE.Vector3(-3, 0, 0), new THREE.Vector3(3, 0, 0)];
+        this.fighters = [];
+        this.inputs = [];   // Virtual InputHandler per fighter (CPU fighters ignore theirs)
+        this.taps = [];     // [input, key] pressed for a single tick (see tap)
+        this.tickCount = 0;
+        this.events = [];   // { tick, type: 'hit' | 'round' | 'match', ... } oldest first
+        this.winner = undefined; // Match winner id, null for a draw, undefined while running
+        this.onEvent = null;     // Callback (event) as each event is logged
+
+        this.gameState.setBestOf(bestOf);
+        this.gameState.onTimerEnd = () => this.endRound(null, 'timeout');
+        this.projectileSystem.onClash = () => this.combatSystem.applyHitEffects(null, true, false);
+    }
+
+    /**
+     * Read and validate a preset character's character.json straight from disk (fetch can't read files)
+     * @param {string} characterId - Id from CHARACTERS
+     * @returns {Promise<object>} Character config merged with defaults
+     */
+    async loadCharacterConfig(characterId) {
+        const character = CHARACTERS.find(c => c.id === characterId);
+        if (!character) {
+            throw new Error(`Unknown character: ${characterId}`);
+        }
+
+        const config = JSON.parse(await readFile(new URL(`../../${character.configPath}`, import.meta.url), 'utf8'));
+        const validation = this.configValidator.validate(config);
+        if (!validation.valid) {
+            console.warn(`Character config validation errors for ${character.configPath}:`, validation.errors);
+        }
+        return this.configValidator.mergeWithDefaults(config);
+    }
+
+    /**
+     * Spawn both fighters and start the fight (no countdown to sit through headless)
+     * @param {Array<string|object>} characters - [p1, p2] character ids or already loaded configs
+     * @param {object} options - { control: ['human' | 'cpu', 'human' | 'cpu'] }
+     * @returns {Promise<HeadlessMatch>} This match
+     */
+    async start(characters, { control = ['human', 'cpu'] } = {}) {
+        this.dispose();
+
+        const configs = await Promise.all(characters.map(character =>
+            typeof character === 'string' ? this.loadCharacterConfig(character) : character
+        ));
+
+        const random = new SeededRandom(this.seed);
+        this.fighters = configs.map((config, index) => {
+            const fixture = createFighterFixture(config);
+            const fighter = new Fighter(`p${index + 1}`, this.spawnPositions[index].clone(),
+                control[index] === 'cpu', fixture, this.scene, config);
+            fighter.onProjectile = (owner, moveId) => this.projectileSystem.spawn(owner, moveId);
+            fighter.loadAnimations(fixture.animations);
+            fighter.setRandom(random);
+            fighter.setDifficulty(this.difficulty);
+            return fighter;
+        });
+        this.inputs = this.fighters.map(() => new InputHandler({ listen: false }));
+
+        this.gameState.resetTimer();
+        this.gameState.resetMatch();
+        this.gameState.setState('FIGHT');
+        return this;
+    }
+
+    /**
+     * @param {string} fighterId - 'p1' or 'p2'
+     * @returns {Fighter|null} Fighter
+     */
+    getFighter(fighterId) {
+        return this.fighters.find(fighter => fighter.id === fighterId) || null;
+    }
+
+    /**
+     * Virtual keyboard of a fighter, for anything hold/release/tap don't cover
+     * @param {string} fighterId - 'p1' or 'p2'
+     * @returns {InputHandler|null} Input handler
+     */
+    getInput(fighterId) {
+        return this.inputs[this.fighters.findIndex(fighter => fighter.id === fighterId)] || null;
+    }
+
+    /**
+     * Press and keep holding a key (same key names as the keyboard, e.g. 'd', 'ArrowLeft', ' ')
+     * @param {string} fighterId - 'p1' or 'p2'
+     * @param {string} key - Key
+     */
+    hold(fighterId, key) {
+        this.getInput(fighterId)?.pressKey(key);
+    }
+
+    /**
+     * @param {string} fighterId - 'p1' or 'p2'
+     * @param {string} key - Key
+     */
+    release(fighterId, key) {
+        this.getInput(fighterId)?.releaseKey(key);
+    }
+
+    /**
+     * Press a key for the next tick only
+     * @param {string} fighterId - 'p1' or 'p2'
+     * @param {string} key - Key
+     */
+    tap(fighterId, key) {
+        const input = this.getInput(fighterId);
+        if (!input) return;
+        input.pressKey(key);
+        this.taps.push([input, key]);
+    }
+
+    /**
+     * Advance the simulation by one fixed tick (mirrors main.js simulateTick)
+     */
+    tick() {
+        if (this.fighters.length !== 2) return;
+        // A round ended last tick - main.js holds the result for roundEndDelay, headless goes on straight away
+        if (this.gameState.getState() === 'ROUND_OVER') {
+            this.startNextRound();
+        }
+
+        const state = this.gameState.getState();
+        this.tickCount++;
+        this.inputs.forEach(input => input.tick());
+
+        this.combatSystem.tick();
+        this.gameState.tick();
+
+        this.fighters.forEach(fighter => fighter.storePreviousTransform());
+        this.fighters.forEach((fighter, index) => {
+            const input = this.inputs[index];
+            fighter.update(TICK_DT, this.fighters[1 - index], state, input.getKeys(), null, this.collisionSystem, input);
+        });
+
+        this.collisionSystem.resolveCollisions(this.fighters);
+
+        // Projectiles freeze with everything else during hit stop
+        const hits = this.combatSystem.checkCollisions(this.fighters);
+        if (!this.combatSystem.isInHitStop()) {
+            hits.push(...this.projectileSystem.tick(this.fighters));
+        }
+        this.handleHitEvents(hits);
+        this.combatSystem.updateCombos(this.fighters, hits);
+
+        this.checkRingOut();
+        this.checkVictoryByHealth();
+
+        this.taps.forEach(([input, key]) => input.releaseKey(key));
+        this.taps = [];
+    }
+
+    /**
+     * Advance several ticks
+     * @param {number} ticks - Ticks to run
+     * @returns {object} Snapshot after the last tick (see getSnapshot)
+     */
+    step(ticks = 1) {
+        for (let i = 0; i < ticks; i++) {
+            this.tick();
+        }
+        return this.getSnapshot();
+    }
+
+    /**
+     * Tick until a condition holds
+     * @param {Function} predicate - Called with the match after every tick
+     * @param {number} maxTicks - Give up after this many ticks
+     * @returns {boolean} True if the condition was met
+     */
+    runUntil(predicate, maxTicks = CONFIG.simulation.tickRate * 120) {
+        for (let i = 0; i < maxTicks; i++) {
+            this.tick();
+            if (predicate(this)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @returns {boolean} True once the match has a result
+     */
+    isOver() {
+        return this.winner !== undefined;
+    }
+
+    /**
+     * Read back one fighter
+     * @param {string} fighterId - 'p1' or 'p2'
+     * @returns {object|null} { id, hp, maxHp, st, maxSt, meter, state, position, comboHits, comboDamage }
+     */
+    getFighterState(fighterId) {
+        const fighter = this.getFighter(fighterId);
+        if (!fighter) return null;
+
+        const { x, y, z } = fighter.mesh.position;
+        return {
+            id: fighter.id,
+            hp: fighter.hp,
+            maxHp: fighter.maxHp,
+            st: fighter.st,
+            maxSt: fighter.maxSt,
+            meter: fighter.meter,
+            state: fighter.stateManager?.getCurrentState() || fighter.state,
+            position: { x, y, z },
+            comboHits: fighter.comboHits,
+            comboDamage: fighter.comboDamage
+        };
+    }
+
+    /**
+     * Plain-object view of the whole match
+     * @returns {object} { tick, state, round, roundWins, timer, winner, fighters }
+     */
+    getSnapshot() {
+        return {
+            tick: this.tickCount,
+            state: this.gameState.getState(),
+            round: this.gameState.round,
+            roundWins: this.gameState.getRoundWins(),
+            timer: this.gameState.getTimer(),
+            winner: this.winner,
+            fighters: this.fighters.map(fighter => this.getFighterState(fighter.id))
+        };
+    }
+
+    /**
+     * @param {string|null} type - 'hit', 'round' or 'match' (all events if omitted)
+     * @returns {Array} Logged events, oldest first
+     */
+    getEvents(type = null) {
+        return type ? this.events.filter(event => event.type === type) : this.events;
+    }
+
+    /**
+     * @param {object} event - Event without its tick
+     */
+    logEvent(event) {
+        const logged = { tick: this.tickCount, ...event };
+        this.events.push(logged);
+        if (this.onEvent) this.onEvent(logged);
+    }
+
+    /**
+     * Log hit events from FighterCombatSystem (fighters by id, no THREE objects) and end the round on a KO
+     * @param {Array} hits - Hit events from this tick
+     */
+    handleHitEvents(hits) {
+        hits.forEach(hit => {
+            this.combatSystem.applyHitEffects(hit.atkType, hit.blocked, hit.heavy);
+            this.logEvent({
+                type: 'hit',
+                attacker: hit.attacker.id,
+                target: hit.target.id,
+                atkType: hit.atkType,
+                damage: hit.damage,
+                heavy: hit.heavy,
+                blocked: hit.blocked,
+                guardBreak: hit.guardBreak,
+                counterHit: hit.counterHit,
+                punish: hit.punish,
+                location: hit.location,
+                projectile: hit.projectile,
+                dizzy: hit.dizzy,
+                advantage: hit.advantage,
+                comboHits: hit.comboHits,
+                comboDamage: hit.comboDamage
+            });
+            if (hit.target.state === 'DEAD') {
+                this.endRound(hit.attacker.id, 'ko');
+            }
+        });
+    }
+
+    /**
+     * Ring-out rule (CONFIG.arena.ringOut) - a fighter carried past the wall loses the round
+     */
+    checkRingOut() {
+        const ringedOut = this.fighters.filter(fighter => fighter.ringOut);
+        if (ringedOut.length === 1) {
+            this.endRound(this.fighters.find(fighter => fighter !== ringedOut[0]).id, 'ringOut');
+        } else if (ringedOut.length === 2) {
+            this.endRound(null, 'ringOut');
+        }
+    }
+
+    checkVictoryByHealth() {
+        const [p1, p2] = this.fighters;
+        if (p1.hp <= 0 && p2.hp <= 0) {
+            this.endRound(null, 'ko');
+        } else if (p1.hp <= 0) {
+            this.endRound('p2', 'ko');
+        } else if (p2.hp <= 0) {
+            this.endRound('p1', 'ko');
+        }
+    }
+
+    /**
+     * Record a round result and freeze the match in ROUND_OVER for the rest of the tick, like main.js
+     * (the next round starts at the top of the next tick, see startNextRound)
+     * @param {string|null} winnerId - Round winner or null for a draw
+     * @param {string} reason - 'ko', 'ringOut' or 'timeout'
+     */
+    endRound(winnerId, reason) {
+        if (this.gameState.getState() !== 'FIGHT') return;
+
+        const result = this.gameState.recordRoundResult(winnerId);
+        this.logEvent({ type: 'round', round: this.gameState.round, winner: winnerId, reason });
+
+        if (result.matchOver) {
+            this.winner = result.matchWinnerId;
+            this.gameState.setState('OVER');
+            this.logEvent({ type: 'match', winner: this.winner });
+            return;
+        }
+
+        this.gameState.setState('ROUND_OVER');
+        this.fighters.forEach(fighter => {
+            if (fighter.mixer) {
+                fighter.mixer.timeScale = 0;
+            }
+        });
+    }
+
+    /**
+     * Reset the fighters and start the next round (main.js startNextRound, minus the countdown)
+     */
+    startNextRound() {
+        this.inputs.forEach(input => input.clearKeys());
+        this.fighters.forEach((fighter, index) => fighter.resetForRound(this.spawnPositions[index]));
+        this.projectileSystem.clear();
+        this.combatSystem.reset();
+        this.gameState.resetTimer();
+        this.gameState.nextRound();
+        this.gameState.setState('FIGHT');
+    }
+
+    /**
+     * Remove the fighters and anything they left in the scene
+     */
+    dispose() {
+        this.projectileSystem.clear();
+        this.fighters.forEach(fighter => fighter.dispose());
+        this.fighters = [];
+        this.inputs = [];
+        this.taps = [];
+        this.tickCount = 0;
+        this.events = [];
+        this.winner = undefined;
+        this.combatSystem.reset();
+    }
+}
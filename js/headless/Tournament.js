@@ -0,0 +1,241 @@
+import { CONFIG } from '../config.js';
+import { CHARACTERS } from '../characters/characters.js';
+import { SeededRandom, createSeed } from '../core/SeededRandom.js';
+import { hashConfig } from '../game/ReplayRecorder.js';
+import { HeadlessMatch } from './HeadlessMatch.js';
+
+/**
+ * Tournament - AI-vs-AI balance run over every character pairing
+ * Plays a number of seeded CPU-vs-CPU HeadlessMatches per pairing (sides alternate) and reports
+ * win rates, match length, timeouts and damage per hit type, so character.json changes can be
+ * judged by numbers. Every match seed is kept, so any result can be played again.
+ */
+export class Tournament {
+    /**
+     * @param {object} options - { characters: ids (all presets by default), matches: per pairing,
+     *                             seed: seeds every match, bestOf: rounds per match, difficulty: CPU tier for both sides }
+     */
+    constructor({ characters = CHARACTERS.map(c => c.id), matches = 10, seed = createSeed(), bestOf = 1,
+        difficulty = CONFIG.ai.difficulty } = {}) {
+        this.characters = characters;
+        this.matches = matches;
+        this.seed = seed;
+        this.bestOf = bestOf;
+        this.difficulty = difficulty;
+        this.version = 1; // Report format
+    }
+
+    /**
+     * Every pair of different characters, once each
+     * @returns {Array<string[]>} [[a, b], ...]
+     */
+    getPairings() {
+        return this.characters.flatMap((a, index) => this.characters.slice(index + 1).map(b => [a, b]));
+    }
+
+    /**
+     * Play all matches
+     * @param {Function|null} onProgress - Called (done, total) after each match
+     * @returns {Promise<object>} Report (see buildReport)
+     */
+    async run(onProgress = null) {
+        const loader = new HeadlessMatch();
+        const configs = {};
+        for (const id of this.characters) {
+            configs[id] = await loader.loadCharacterConfig(id);
+        }
+
+        const seeds = new SeededRandom(this.seed);
+        const pairings = this.getPairings();
+        const total = pairings.length * this.matches;
+        // Every round can go the distance (drawn rounds count for both, so there are at most bestOf)
+        const maxTicks = this.bestOf * (CONFIG.combat.timer + 1) * CONFIG.simulation.tickRate;
+        const results = [];
+
+        for (const [a, b] of pairings) {
+            for (let i = 0; i < this.matches; i++) {
+                const sides = i % 2 === 0 ? [a, b] : [b, a];
+                const seed = Math.floor(seeds.next() * 0x100000000);
+                const match = new HeadlessMatch({ seed, bestOf: this.bestOf, difficulty: this.difficulty });
+                await match.start(sides.map(id => configs[id]), { control: ['cpu', 'cpu'] });
+                if (!match.runUntil(m => m.isOver(), maxTicks)) {
+                    console.warn(`Tournament: ${sides.join(' vs ')} (seed ${seed}) did not finish`);
+                }
+                results.push(this.summarizeMatch(match, sides));
+                match.dispose();
+
+                if (onProgress) onProgress(results.length, total);
+            }
+        }
+
+        return this.buildReport(results, configs);
+    }
+
+    /**
+     * Outcome of one match with fighters replaced by character ids
+     * @param {HeadlessMatch} match - Finished match
+     * @param {string[]} sides - [p1, p2] character ids
+     * @returns {object} { characters, seed, winner, ticks, rounds, timeouts, damage }
+     */
+    summarizeMatch(match, sides) {
+        const characterOf = fighterId => sides[fighterId === 'p1' ? 0 : 1];
+        const rounds = match.getEvents('round');
+
+        // damage[character][atkType] = { hits, blocked, damage }
+        const damage = Object.fromEntries(sides.map(id => [id, {}]));
+        match.getEvents('hit').forEach(hit => {
+            const byType = damage[characterOf(hit.attacker)];
+            const stats = byType[hit.atkType] || (byType[hit.atkType] = { hits: 0, blocked: 0, damage: 0 });
+            stats.hits++;
+            if (hit.blocked) stats.blocked++;
+            stats.damage += hit.damage;
+        });
+
+        return {
+            characters: sides,
+            seed: match.seed,
+            winner: match.winner ? characterOf(match.winner) : null,
+            ticks: match.tickCount,
+            rounds: rounds.length,
+            timeouts: rounds.filter(round => round.reason === 'timeout').length,
+            damage
+        };
+    }
+
+    /**
+     * Roll match results up per character and per pairing
+     * @param {Array} results - From summarizeMatch
+     * @param {object} configs - Character configs by id
+     * @returns {object} { version, createdAt, seed, matchesPerPairing, bestOf, difficulty, tickRate, characters, pairings, matches }
+     */
+    buildReport(results, configs) {
+        const tickRate = CONFIG.simulation.tickRate;
+        const average = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+        const seconds = (matches) => Math.round(average(matches.map(match => match.ticks)) / tickRate * 10) / 10;
+        const rate = (part, whole) => whole ? Math.round(part / whole * 1000) / 1000 : 0;
+
+        const characters = this.characters.map(id => {
+            const played = results.filter(match => match.characters.includes(id));
+            const wins = played.filter(match => match.winner === id).length;
+            const draws = played.filter(match => match.winner === null).length;
+
+            const damageByType = {};
+            played.forEach(match => {
+                Object.entries(match.damage[id]).forEach(([type, stats]) => {
+                    const total = damageByType[type] || (damageByType[type] = { hits: 0, blocked: 0, damage: 0 });
+                    total.hits += stats.hits;
+                    total.blocked += stats.blocked;
+                    total.damage += stats.damage;
+                });
+            });
+            Object.values(damageByType).forEach(stats => {
+                stats.avgDamage = Math.round(stats.damage / stats.hits * 10) / 10;
+            });
+
+            return {
+                id,
+                name: configs[id]?.name || id,
+                configHash: hashConfig(configs[id]),
+                matches: played.length,
+                wins,
+                losses: played.length - wins - draws,
+                draws,
+                winRate: rate(wins, played.length),
+                avgMatchSeconds: seconds(played),
+                timeouts: played.reduce((sum, match) => sum + match.timeouts, 0),
+                damageByType
+            };
+        });
+
+        const pairings = this.getPairings().map(([a, b]) => {
+            const played = results.filter(match => match.characters.includes(a) && match.characters.includes(b));
+            const winsA = played.filter(match => match.winner === a).length;
+            const winsB = played.filter(match => match.winner === b).length;
+            return {
+                characters: [a, b],
+                matches: played.length,
+                wins: { [a]: winsA, [b]: winsB },
+                draws: played.length - winsA - winsB,
+                winRate: { [a]: rate(winsA, played.length), [b]: rate(winsB, played.length) },
+                avgMatchSeconds: seconds(played),
+                timeouts: played.reduce((sum, match) => sum + match.timeouts, 0)
+            };
+        });
+
+        return {
+            version: this.version,
+            createdAt: new Date().toISOString(),
+            seed: this.seed,
+            matchesPerPairing: this.matches,
+            bestOf: this.bestOf,
+            difficulty: this.difficulty,
+            tickRate,
+            characters,
+            pairings,
+            matches: results
+        };
+    }
+
+    /**
+     * Markdown version of a report: win-rate matrix, per-character table and damage per hit type
+     * @param {object} report - From run
+     * @returns {string} Markdown
+     */
+    formatMarkdown(report) {
+        const percent = value => `${Math.round(value * 100)}%`;
+        const row = cells => `| ${cells.join(' | ')} |`;
+        const lines = [
+            '# AI Tournament',
+            '',
+            `Seed ${report.seed}, ${report.matchesPerPairing} matches per pairing, best of ${report.bestOf}, ${report.difficulty} CPUs (${report.createdAt})`,
+            '',
+            '## Win rate (row vs column)',
+            '',
+            row(['', ...report.characters.map(character => character.name)]),
+            row(['---', ...report.characters.map(() => '---')])
+        ];
+
+        report.characters.forEach(({ id, name }) => {
+            const cells = report.characters.map(opponent => {
+                const pairing = report.pairings.find(p => p.characters.includes(id) && p.characters.includes(opponent.id));
+                return pairing && opponent.id !== id ? percent(pairing.winRate[id]) : '-';
+            });
+            lines.push(row([`**${name}**`, ...cells]));
+        });
+
+        lines.push(
+            '',
+            '## Characters',
+            '',
+            row(['Character', 'Matches', 'Wins', 'Losses', 'Draws', 'Win rate', 'Avg length', 'Timeouts', 'Config']),
+            row(Array(9).fill('---'))
+        );
+        report.characters.forEach(character => {
+            lines.push(row([
+                character.name, character.matches, character.wins, character.losses, character.draws,
+                percent(character.winRate), `${character.avgMatchSeconds}s`, character.timeouts, character.configHash
+            ]));
+        });
+
+        const types = [...new Set(report.characters.flatMap(character => Object.keys(character.damageByType)))];
+        lines.push(
+            '',
+            '## Damage per hit type',
+            '',
+            'Total damage, then hits (blocked) and average damage per hit.',
+            '',
+            row(['Character', ...types]),
+            row(['---', ...types.map(() => '---')])
+        );
+        report.characters.forEach(character => {
+            const cells = types.map(type => {
+                const stats = character.damageByType[type];
+                return stats ? `${stats.damage} - ${stats.hits} (${stats.blocked}) x ${stats.avgDamage}` : '-';
+            });
+            lines.push(row([character.name, ...cells]));
+        });
+
+        lines.push('', `Matches: ${report.matches.length}. Timeouts count rounds that went to time.`, '');
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,52 @@
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { CONFIG } from '../config.js';
+import { parseSeed } from '../core/SeededRandom.js';
+import { Tournament } from './Tournament.js';
+
+/**
+ * AI-vs-AI balance tournament from the command line
+ *
+ *   node js/headless/run-tournament.js --matches 20 --seed 1234 --best-of 1 --out tournament
+ *
+ * Options: --matches per pairing (10), --seed (random), --best-of (1), --difficulty CPU tier (normal),
+ *          --characters comma-separated ids (all presets), --out file name without extension (tournament)
+ * Writes <out>.json and <out>.md
+ */
+const { values } = parseArgs({
+    options: {
+        matches: { type: 'string', default: '10' },
+        seed: { type: 'string' },
+        'best-of': { type: 'string', default: '1' },
+        difficulty: { type: 'string', default: CONFIG.ai.difficulty },
+        characters: { type: 'string' },
+        out: { type: 'string', default: 'tournament' }
+    }
+});
+
+const seed = values.seed === undefined ? undefined : parseSeed(values.seed);
+if (seed === null) {
+    console.error(`Invalid seed: ${values.seed}`);
+    process.exit(1);
+}
+if (!CONFIG.ai.difficulties[values.difficulty]) {
+    console.error(`Unknown difficulty: ${values.difficulty} (${Object.keys(CONFIG.ai.difficulties).join(', ')})`);
+    process.exit(1);
+}
+
+const tournament = new Tournament({
+    characters: values.characters?.split(',').map(id => id.trim()).filter(Boolean),
+    matches: Math.max(1, parseInt(values.matches, 10) || 1),
+    seed,
+    bestOf: Math.max(1, parseInt(values['best-of'], 10) || 1),
+    difficulty: values.difficulty
+});
+
+const report = await tournament.run((done, total) => {
+    process.stderr.write(`\rMatch ${done}/${total}`);
+});
+process.stderr.write('\n');
+
+await writeFile(`${values.out}.json`, JSON.stringify(report, null, 2));
+await writeFile(`${values.out}.md`, tournament.formatMarkdown(report));
+console.log(`Seed ${report.seed}: wrote ${values.out}.json and ${values.out}.md`);
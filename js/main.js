@@ -10,12 +10,18 @@ import { ArenaBuilder } from './core/ArenaBuilder.js';
 import { AppStateManager } from './core/AppStateManager.js';
 import { LoadingOrchestrator } from './core/LoadingOrchestrator.js';
 import { SystemInitializer } from './core/SystemInitializer.js';
+import { FixedTimestep, TICK_DT } from './core/FixedTimestep.js';
+import { SeededRandom, createSeed, parseSeed } from './core/SeededRandom.js';
 
 // Game systems
 import { GameState } from './game/GameState.js';
 import { Fighter } from './game/Fighter.js';
 import { CombatSystem } from './game/CombatSystem.js';
 import { CollisionSystem } from './game/CollisionSystem.js';
+import { ProjectileSystem } from './game/ProjectileSystem.js';
+import { TrainingMode } from './game/TrainingMode.js';
+import { ReplayRecorder } from './game/ReplayRecorder.js';
+import { ReplayPlayer } from './game/ReplayPlayer.js';
 
 // UI systems
 import { UIManager } from './ui/UIManager.js';
@@ -24,6 +30,7 @@ import { PreviewScene } from './ui/PreviewScene.js';
 import { CharacterSelector } from './ui/CharacterSelector.js';
 import { UIStateController } from './ui/UIStateController.js';
 import { LoadingScreen } from './ui/LoadingScreen.js';
+import { ReplayMenu } from './ui/ReplayMenu.js';
 
 // Character systems
 import { CharacterManager } from './characters/CharacterManager.js';
@@ -38,15 +45,23 @@ import { ImagePreloader } from './systems/ImagePreloader.js';
 let fighters = [];
 
 // Global system references (will be set during bootstrap)
-let sceneManager, cameraController, renderSystem, arenaBuilder;
-let gameState, combatSystem, collisionSystem;
-let uiManager, setupScreen, previewScene;
+let sceneManager, cameraController, renderSystem, arenaBuilder, fixedTimestep;
+let gameState, combatSystem, collisionSystem, projectileSystem, trainingMode;
+let replayRecorder, replayPlayer;
+let uiManager, setupScreen, previewScene, replayMenu;
 let storageManager, characterManager, characterSelector;
 let inputHandler, effectsSystem;
 let appStateManager, uiStateController;
 let fireParticleSystem = null;
 let imagePreloader = null;
 let loadingScreen = null;
+let nextRoundTimeout = null; // Pending transition from ROUND_OVER to the next round
+let debugOptionsBeforeTraining = null; // Debug overlays to restore when leaving training mode
+let replaySeeking = false; // Replay is respawning/fast-forwarding to a seek target
+let replayRoundHold = 0; // Seconds the replay has held the current round result on screen
+// Fixed seed from ?seed= or the debug menu, so a reported AI bug can be played again (null = new seed every match)
+let seedOverride = parseSeed(new URLSearchParams(window.location.search).get('seed'));
+let aiDifficulty = CONFIG.ai.difficulty; // CPU tier picked on the setup screen (saved with the game settings)
 
 function setupCallbacks() {
     gameState.onStateChange = (newState, oldState) => {
@@ -58,7 +73,7 @@ function setupCallbacks() {
     };
 
     gameState.onTimerEnd = () => {
-        endGame(null);
+        endRound(null);
     };
 
     combatSystem.onShake = (shake) => {
@@ -69,8 +84,20 @@ function setupCallbacks() {
         // Rendering loop uses hitStop; no-op here
     };
 
-    combatSystem.onDamage = (damage, position, isCritical) => {
-        effectsSystem.spawnDamage(damage, position, isCritical);
+    combatSystem.onDamage = (damage, position, isCritical, isBlocked) => {
+        effectsSystem.spawnDamage(damage, position, isCritical, isBlocked);
+    };
+
+    combatSystem.onComboUpdate = (fighterId, hits, damage) => {
+        uiManager.showCombo(fighterId, hits, damage);
+    };
+
+    projectileSystem.onClash = () => {
+        combatSystem.applyHitEffects(null, true, false);
+    };
+
+    combatSystem.onComboEnd = (fighterId) => {
+        uiManager.endCombo(fighterId);
     };
 
     uiManager.onPauseToggle = () => {
@@ -92,7 +119,7 @@ function setupCallbacks() {
     // Wire debug option changes to debug panel + persistence
     uiManager.pauseMenu.onDebugOptionChange = (options) => {
         uiManager.debugPanel.setOptions(options);
-        storageManager.saveGameSettings({ debug: options });
+        storageManager.saveGameSettings({ ...storageManager.loadGameSettings(), debug: options });
         
         // Update key display visibility
         if (options.keys) {
@@ -108,6 +135,7 @@ function setupCallbacks() {
             fighters[1].setHitboxVisibility(options.hitboxes || false);
             fighters[1].setCollisionBoxVisibility(options.collisionBox || false);
         }
+        projectileSystem.setHitboxVisibility(options.hitboxes || false);
     };
 
     // Character selector callbacks (for logging/extension)
@@ -126,7 +154,111 @@ function setupCallbacks() {
         }
     };
 
+    setupScreen.onDifficultyChange = (difficulty) => {
+        aiDifficulty = difficulty;
+        storageManager.saveGameSettings({ ...storageManager.loadGameSettings(), difficulty });
+    };
+
+    setupScreen.onStartTraining = () => {
+        const selectedCharacters = characterSelector.getSelectedCharacters();
+        if (selectedCharacters.p1 && selectedCharacters.p2) {
+            startCountdown({ training: true });
+        }
+    };
+
+    // Training mode settings and hotkeys
+    trainingMode.onStatusChange = (status) => {
+        uiManager.setTrainingStatus(status);
+        uiManager.pauseMenu.setTrainingOptions({
+            dummy: trainingMode.dummyBehavior,
+            refill: trainingMode.refillMode
+        });
+    };
+
+    uiManager.pauseMenu.onCycleDummy = () => {
+        trainingMode.cycleDummyBehavior();
+    };
+
+    uiManager.pauseMenu.onCycleRefill = () => {
+        trainingMode.cycleRefillMode();
+    };
+
+    uiManager.pauseMenu.onSeedRestart = (seed) => {
+        seedOverride = seed;
+        // Random select follows the new seed too, next time the select screen comes up
+        characterSelector.random = new SeededRandom(seedOverride ?? createSeed());
+        restartFight();
+    };
+
+    inputHandler.setHotkey(CONFIG.training.keys.reset, () => {
+        if (trainingMode.active && gameState.getState() === 'FIGHT') {
+            resetTrainingPositions();
+        }
+    });
+
+    inputHandler.setHotkey(CONFIG.training.keys.record, () => {
+        if (trainingMode.active && gameState.getState() === 'FIGHT') {
+            trainingMode.toggleRecording();
+        }
+    });
+
+    // Recent matches and the replay viewer
+    setupScreen.onShowReplays = () => {
+        replayMenu.show(storageManager.loadReplays());
+    };
+
+    replayMenu.onWatch = (replay) => {
+        startReplay(replay);
+    };
+
+    replayMenu.onImport = (replay) => {
+        const problem = replayPlayer.validate(replay);
+        if (problem) {
+            replayMenu.setStatus(problem);
+            return;
+        }
+        storageManager.saveReplay(replay, CONFIG.replay.maxStored);
+        replayMenu.setReplays(storageManager.loadReplays());
+        replayMenu.setStatus('Replay imported');
+    };
+
+    const replayViewer = uiManager.replayViewer;
+    replayViewer.onTogglePlay = () => {
+        // Play at the end starts over
+        if (replayPlayer.isFinished()) {
+            seekReplay(0).then(() => replayPlayer.play());
+        } else {
+            replayPlayer.togglePlay();
+        }
+    };
+
+    replayViewer.onSeek = (tick) => {
+        seekReplay(tick);
+    };
+
+    replayViewer.onCycleSpeed = () => {
+        replayPlayer.cycleSpeed();
+    };
+
+    replayViewer.onToggleCamera = () => {
+        const free = !cameraController.isFreeCamera();
+        cameraController.setFreeCamera(free, fighters);
+        replayViewer.setCamera(free);
+    };
+
+    replayViewer.onExport = () => {
+        replayMenu.downloadReplay(replayPlayer.replay);
+    };
+
+    replayViewer.onExit = () => {
+        loadNewModels();
+    };
+
     inputHandler.setPauseCallback(() => {
+        if (replayPlayer.active) {
+            replayPlayer.togglePlay();
+            return;
+        }
         if (gameState.getState() === 'FIGHT') {
             gameState.pause();
         } else if (gameState.getState() === 'PAUSED') {
@@ -136,6 +268,11 @@ function setupCallbacks() {
 
     // Handle Escape key in setup screen to cancel selections
     inputHandler.setEscapeSetupCallback(() => {
+        // Escape pauses/resumes a replay instead of opening the pause menu
+        if (replayPlayer.active) {
+            replayPlayer.togglePlay();
+            return;
+        }
         if (gameState.getState() === 'SETUP') {
             const selectedCharacters = characterSelector.getSelectedCharacters();
             
@@ -181,6 +318,7 @@ function handleStateChange(newState) {
         case 'PAUSED':
             uiManager.showPauseMenu();
             break;
+        case 'ROUND_OVER':
         case 'OVER':
             uiManager.hidePauseMenu();
             break;
@@ -198,15 +336,20 @@ function bootstrap() {
     cameraController = new CameraController(sceneManager);
     renderSystem = new RenderSystem(sceneManager);
     arenaBuilder = new ArenaBuilder(sceneManager);
+    fixedTimestep = new FixedTimestep();
 
     // Game systems
     gameState = new GameState();
     combatSystem = new CombatSystem();
     collisionSystem = new CollisionSystem();
+    trainingMode = new TrainingMode();
+    replayRecorder = new ReplayRecorder();
+    replayPlayer = new ReplayPlayer();
 
     // UI systems
     uiManager = new UIManager();
     setupScreen = new SetupScreen();
+    replayMenu = new ReplayMenu();
     loadingScreen = new LoadingScreen();
 
     // Character systems
@@ -221,7 +364,8 @@ function bootstrap() {
     // Preview scene (depends on sceneManager and renderSystem)
     // Note: renderSystem will be created in bootstrap, so we pass it after initialization
     previewScene = new PreviewScene(sceneManager, null); // renderSystem will be set after init
-    characterSelector = new CharacterSelector(characterManager, previewScene, storageManager, imagePreloader);
+    characterSelector = new CharacterSelector(characterManager, previewScene, storageManager, imagePreloader,
+        new SeededRandom(seedOverride ?? createSeed()));
 
     // Utility systems
     inputHandler = new InputHandler();
@@ -261,6 +405,8 @@ async function initializeSystems() {
     
     arenaBuilder.buildArena();
     effectsSystem.setCamera(sceneManager.camera);
+    // Projectiles live in the scene, so they are created once it exists
+    projectileSystem = new ProjectileSystem(sceneManager.scene);
 
     // Initialize character system (async)
     await characterManager.initialize();
@@ -268,6 +414,7 @@ async function initializeSystems() {
     // Initialize UI systems
     uiManager.init();
     setupScreen.init();
+    replayMenu.init();
     previewScene.init();
     loadingScreen.init();
 
@@ -281,6 +428,10 @@ async function initializeSystems() {
             uiManager.showKeyDisplay();
         }
     }
+    if (CONFIG.ai.difficulties[savedSettings?.difficulty]) {
+        aiDifficulty = savedSettings.difficulty;
+    }
+    setupScreen.setDifficulty(aiDifficulty);
 
     // Setup all callbacks
     setupCallbacks();
@@ -562,13 +713,19 @@ async function init() {
 }
 
 
-async function startCountdown() {
+/**
+ * Spawn the selected fighters and count in the first round
+ * @param {object} options - { training: start in training mode }
+ */
+async function startCountdown(options = {}) {
     console.log('startCountdown called');
     
     // Clear any stuck inputs before fight begins
     if (inputHandler) {
         inputHandler.clearKeys();
     }
+    // An unfinished match isn't kept
+    replayRecorder.cancel();
 
     // Hide setup screen using the setupScreen method (which also triggers state change)
     setupScreen.hide();
@@ -591,8 +748,16 @@ async function startCountdown() {
         loadNewModels();
         return;
     }
-    
-    gameState.resetTimer();
+
+    const seed = seedOverride ?? createSeed();
+    console.log(`Match seed: ${seed}`);
+    prepareMatch(seed);
+
+    if (options.training) {
+        enterTrainingMode();
+    } else {
+        replayRecorder.start({ seed, bestOf: gameState.bestOf, fighters });
+    }
     console.log('Starting countdown...');
     
     // Ensure center-overlay is visible and ready
@@ -604,14 +769,83 @@ async function startCountdown() {
     
     gameState.startCountdown(() => {
         console.log('Countdown completed, game should be in FIGHT state');
+    }, gameState.getRoundLabel());
+}
+
+/**
+ * Reset match-wide state so every match starts from the same place (replays rely on it)
+ * @param {number} seed - Seed for this match's AI decisions
+ * @param {string} difficulty - CPU difficulty tier
+ */
+function prepareMatch(seed, difficulty = aiDifficulty) {
+    // One generator for all of the match's gameplay randomness
+    const random = new SeededRandom(seed);
+    fighters.forEach(fighter => {
+        fighter.setRandom(random);
+        fighter.setDifficulty(difficulty);
+    });
+    uiManager.pauseMenu.setSeed(seed);
+
+    combatSystem.reset();
+    cameraController.stopCinematic();
+    uiManager.clearCombos();
+    gameState.resetTimer();
+    gameState.resetMatch();
+    uiManager.updateRoundPips(gameState.getRoundWins(), gameState.getRoundsToWin());
+    fixedTimestep.reset();
+}
+
+/**
+ * Switch the spawned fighters into training mode: P2 becomes the dummy, the timer stops,
+ * HP/stamina refill and the hitbox, collision box and frame data overlays come on
+ */
+function enterTrainingMode() {
+    // Restarting training keeps the overlays the player had before training
+    if (!trainingMode.active) {
+        debugOptionsBeforeTraining = uiManager.pauseMenu.getDebugOptions();
+    }
+    trainingMode.start(fighters[1]);
+    gameState.setTimerEnabled(false);
+
+    uiManager.pauseMenu.setDebugOptions({
+        ...debugOptionsBeforeTraining,
+        hitboxes: true,
+        collisionBox: true,
+        timer: true
     });
 }
 
+/**
+ * Leave training mode and put the debug overlays back how the player had them
+ */
+function exitTrainingMode() {
+    if (!trainingMode.active) return;
+
+    trainingMode.stop(fighters);
+    gameState.setTimerEnabled(true);
+    uiManager.setTrainingStatus(null);
+    uiManager.pauseMenu.setTrainingOptions(null);
+
+    if (debugOptionsBeforeTraining) {
+        uiManager.pauseMenu.setDebugOptions(debugOptionsBeforeTraining);
+        debugOptionsBeforeTraining = null;
+    }
+}
+
+/**
+ * Training mode reset hotkey - both fighters back to their spawn positions, playback from the top
+ */
+function resetTrainingPositions() {
+    resetFightersForRound();
+    trainingMode.restartPlayback();
+}
+
 /**
  * Clean up all existing fighters and dispose of their resources
  * This prevents duplicate characters, hitboxes, and memory leaks
  */
 function cleanupFighters() {
+    projectileSystem.clear();
     if (fighters && fighters.length > 0) {
         fighters.forEach(fighter => {
             if (fighter && typeof fighter.dispose === 'function') {
@@ -622,23 +856,32 @@ function cleanupFighters() {
     }
 }
 
-async function spawnFighters() {
+/**
+ * Create both fighters
+ * @param {string[]|null} characterIds - [p1, p2] character ids (replays); defaults to the setup screen selection
+ */
+async function spawnFighters(characterIds = null) {
     // Clean up any existing fighters before spawning new ones
     cleanupFighters();
 
     const selectedCharacters = characterSelector.getSelectedCharacters();
-    const p1Config = selectedCharacters.p1;
-    const p2Config = selectedCharacters.p2;
-    if (!p1Config || !p2Config) return;
+    const [p1Id, p2Id] = characterIds || [selectedCharacters.p1?.id, selectedCharacters.p2?.id];
+    if (!p1Id || !p2Id) return;
 
-    const p1Data = await characterManager.loadCharacter(p1Config.id);
-    const p2Data = await characterManager.loadCharacter(p2Config.id);
+    const p1Data = await characterManager.loadCharacter(p1Id);
+    const p2Data = await characterManager.loadCharacter(p2Id);
 
     fighters = [
         new Fighter('p1', new THREE.Vector3(-3, 0, 0), false, p1Data.model, sceneManager.scene, p1Data.config),
         new Fighter('p2', new THREE.Vector3(3, 0, 0), true, p2Data.model, sceneManager.scene, p2Data.config)
     ];
 
+    fighters.forEach(fighter => {
+        fighter.onSuper = handleSuperStart;
+        fighter.onProjectile = (owner, moveId) => projectileSystem.spawn(owner, moveId);
+        fighter.onWallHit = handleWallHit;
+    });
+
     fighters[0].loadAnimations(p1Data.model.animations || []);
     fighters[1].loadAnimations(p2Data.model.animations || []);
     fighters[0].updateUI();
@@ -651,10 +894,21 @@ async function spawnFighters() {
         fighters[0].setCollisionBoxVisibility(savedSettings.debug.collisionBox || false);
         fighters[1].setHitboxVisibility(savedSettings.debug.hitboxes || false);
         fighters[1].setCollisionBoxVisibility(savedSettings.debug.collisionBox || false);
+        projectileSystem.setHitboxVisibility(savedSettings.debug.hitboxes || false);
     }
 }
 
-function restartFight() {
+/**
+ * Super move started - camera cut-in and name callout
+ * @param {Fighter} fighter - Fighter performing the super
+ * @param {object} superMove - Super definition from character.json
+ */
+function handleSuperStart(fighter, superMove) {
+    cameraController.startCinematic(fighter, CONFIG.combat.meter.cinematicDuration);
+    uiManager.showHitCallout(fighter.id, (superMove.name || 'SUPER').toUpperCase());
+}
+
+async function restartFight() {
     // Hide end screen and remove keyboard handler
     const endScreen = document.getElementById('end-screen');
     if (endScreen) {
@@ -678,38 +932,60 @@ function restartFight() {
         return;
     }
 
+    cancelNextRound();
+    // Respawn rather than reset in place, so a rematch starts from the same fresh fighters
+    // (meter, AI state, animation) as its replay will
+    await startCountdown({ training: trainingMode.active });
+}
+
+/**
+ * Put both fighters back at their spawn points with full HP/stamina
+ * Shared by rematches and between-round resets
+ */
+function resetFightersForRound() {
     if (inputHandler) {
         inputHandler.clearKeys();
     }
 
-    fighters[0].mesh.position.set(-3, 0, 0);
-    fighters[1].mesh.position.set(3, 0, 0);
+    fighters[0].resetForRound(new THREE.Vector3(-3, 0, 0));
+    fighters[1].resetForRound(new THREE.Vector3(3, 0, 0));
 
-    fighters.forEach(f => {
-        f.hp = f.maxHp;
-        f.st = f.maxSt;
-        // Update state through StateManager
-        if (f.stateManager) {
-            f.stateManager.setState('IDLE');
-        }
-        f.state = 'IDLE'; // Keep for backward compatibility
-        // Resume animation mixer if it was frozen
-        if (f.mixer) {
-            f.mixer.timeScale = 1;
-        }
-        // Start with idle animation via animation system
-        if (f.animationSystem) {
-            f.animationSystem.updateLocomotionBlend(0, 1);
-        }
-        f.updateUI();
-    });
-
-    document.getElementById('center-overlay').innerHTML = '';
+    const overlay = document.getElementById('center-overlay');
+    if (overlay) overlay.innerHTML = '';
+    uiManager.clearCombos();
+    projectileSystem.clear();
+    cameraController.stopCinematic();
     gameState.resetTimer();
-    gameState.startCountdown(() => {});
+    fixedTimestep.reset();
+}
+
+/**
+ * Start the next round of the current match after a round result
+ */
+function startNextRound() {
+    nextRoundTimeout = null;
+    if (gameState.getState() !== 'ROUND_OVER') return;
+    if (fighters.length !== 2 || !fighters[0]?.mesh || !fighters[1]?.mesh) return;
+
+    replayRecorder.markRound();
+    resetFightersForRound();
+    gameState.nextRound();
+    gameState.startCountdown(() => {}, gameState.getRoundLabel());
+}
+
+function cancelNextRound() {
+    if (nextRoundTimeout) {
+        clearTimeout(nextRoundTimeout);
+        nextRoundTimeout = null;
+    }
 }
 
 function loadNewModels() {
+    cancelNextRound();
+    exitTrainingMode();
+    stopReplay();
+    replayRecorder.cancel();
+
     // Stop any active random flicker
     if (characterSelector && typeof characterSelector.stopRandomFlicker === 'function') {
         characterSelector.stopRandomFlicker();
@@ -761,12 +1037,69 @@ function loadNewModels() {
     gameState.resetTimer();
 }
 
+/**
+ * Finish the current round and either end the match or queue the next round
+ * @param {string|null} winnerId - Round winner ('p1'/'p2') or null for a draw
+ */
+function endRound(winnerId) {
+    const state = gameState.getState();
+    if (state === 'OVER' || state === 'ROUND_OVER') return;
+
+    const result = gameState.recordRoundResult(winnerId);
+    uiManager.updateRoundPips(gameState.getRoundWins(), gameState.getRoundsToWin());
+
+    if (result.matchOver) {
+        endGame(result.matchWinnerId);
+        return;
+    }
+
+    // Freeze the round result on screen
+    gameState.setState('ROUND_OVER');
+    fighters.forEach(fighter => {
+        if (fighter.mixer) {
+            fighter.mixer.timeScale = 0;
+        }
+    });
+
+    showResult(winnerId);
+
+    cancelNextRound();
+    // Replays start the next round from their own log
+    if (!replayPlayer.active) {
+        nextRoundTimeout = setTimeout(startNextRound, (CONFIG.match?.roundEndDelay ?? 2.5) * 1000);
+    }
+}
+
+/**
+ * Show "<NAME> WINS" (or DRAW) in the center overlay
+ * @param {string|null} winnerId - Winner ('p1'/'p2') or null for a draw
+ */
+function showResult(winnerId) {
+    const overlay = document.getElementById('center-overlay');
+    if (!overlay) return;
+
+    let text = 'DRAW';
+    if (winnerId) {
+        const winner = fighters.find(f => f.id === winnerId);
+        const name = winner?.characterConfig?.name || (winnerId === 'p1' ? 'PLAYER 1' : 'CPU');
+        text = `${name} WINS`;
+    }
+    overlay.style.display = 'block';
+    overlay.style.visibility = 'visible';
+    overlay.innerHTML = `<div class="big-text">${text}</div>`;
+}
+
 function endGame(winnerId) {
     if (gameState.getState() === 'OVER') return;
 
     // Freeze the game state - don't play win/die animations, just freeze current state
     gameState.setState('OVER');
 
+    const replay = replayRecorder.finish(winnerId);
+    if (replay) {
+        storageManager.saveReplay(replay, CONFIG.replay.maxStored);
+    }
+
     // Stop all animation mixers to freeze the frame
     if (fighters.length === 2) {
         fighters.forEach(fighter => {
@@ -795,31 +1128,296 @@ function endGame(winnerId) {
         // Don't change state or play animations - just freeze current state
     }
 
+    // The replay viewer stays up instead of the victory screen
+    if (replayPlayer.active) {
+        showResult(winnerId);
+        return;
+    }
     uiManager.showVictory(winnerId, winnerFighter, loserFighter);
 }
 
 function handleHitEvents(events) {
     events.forEach(event => {
-        combatSystem.applyHitEffects(event.atkType);
+        combatSystem.applyHitEffects(event.atkType, event.blocked, event.heavy);
+        uiManager.recordDebugHit(event);
+        const isCritical = !!(event.counterHit || event.punish);
         if (combatSystem.onDamage) {
-            combatSystem.onDamage(event.damage, event.position, false);
+            combatSystem.onDamage(event.damage, event.position, isCritical, event.blocked);
+        }
+        if (isCritical) {
+            uiManager.showHitCallout(event.attacker.id, event.counterHit ? 'COUNTER' : 'PUNISH');
+        }
+        if (event.dizzy) {
+            uiManager.showHitCallout(event.target.id, 'DIZZY');
         }
         if (event.target.state === 'DEAD') {
-            endGame(event.attacker.id);
+            endRound(event.attacker.id);
         }
     });
 }
 
+/**
+ * Wall splat / wall bounce callout on the side of the fighter who drove the opponent into the wall
+ * @param {object} fighter - Fighter that hit the wall
+ * @param {string} kind - 'splat' or 'bounce'
+ */
+function handleWallHit(fighter, kind) {
+    const attacker = fighters.find(f => f !== fighter);
+    if (attacker) {
+        uiManager.showHitCallout(attacker.id, kind === 'bounce' ? 'WALL BOUNCE' : 'WALL SPLAT');
+    }
+}
+
+/**
+ * Ring-out rule (CONFIG.arena.ringOut) - a fighter carried past the wall loses the round
+ */
+function checkRingOut() {
+    const ringedOut = fighters.filter(f => f.ringOut);
+    if (ringedOut.length === 0) return;
+
+    // Training never ends a round - start over from the spawn positions instead
+    if (trainingMode.active) {
+        uiManager.showHitCallout(ringedOut[0].id, 'RING OUT');
+        resetTrainingPositions();
+        return;
+    }
+
+    if (ringedOut.length === 1) {
+        uiManager.showHitCallout(ringedOut[0].id, 'RING OUT');
+        endRound(fighters.find(f => f !== ringedOut[0]).id);
+    } else {
+        endRound(null);
+    }
+}
+
 function checkVictoryByHealth() {
     if (fighters.length !== 2) return;
     const [p1, p2] = fighters;
     if (p1.hp <= 0 && p2.hp <= 0) {
-        endGame(null);
+        endRound(null);
     } else if (p1.hp <= 0) {
-        endGame('p2');
+        endRound('p2');
     } else if (p2.hp <= 0) {
-        endGame('p1');
+        endRound('p1');
+    }
+}
+
+/**
+ * Advance gameplay by exactly one fixed simulation tick
+ * Everything that affects match outcome runs here so results don't depend on frame rate
+ * @param {string} state - Game state for this tick
+ * @param {object|null} replayFrame - ReplayPlayer frame whose recorded inputs replace the keyboard
+ */
+function simulateTick(state, replayFrame = null) {
+    let p1Input = inputHandler;
+    let p2Input = null;
+
+    if (replayFrame) {
+        // Already ticked by ReplayPlayer
+        [p1Input, p2Input] = replayFrame.inputs;
+    } else {
+        // Sample directions before fighters read input so motions include this tick
+        inputHandler.tick();
+        trainingMode.recordTick(inputHandler, inputHandler.getKeys());
+        // The training dummy in playback reads its recorded inputs instead of the keyboard
+        p2Input = trainingMode.getPlaybackInput();
+        replayRecorder.recordTick(state, [inputHandler, p2Input]);
+    }
+    // A CPU P2 doesn't read input, but gets P1's like it always has
+    p2Input = p2Input || p1Input;
+
+    combatSystem.tick();
+    gameState.tick();
+
+    fighters.forEach(fighter => fighter.storePreviousTransform());
+
+    fighters[0].update(TICK_DT, fighters[1], state, p1Input.getKeys(), sceneManager.camera, collisionSystem, p1Input);
+    fighters[1].update(TICK_DT, fighters[0], state, p2Input.getKeys(), sceneManager.camera, collisionSystem, p2Input);
+
+    collisionSystem.resolveCollisions(fighters);
+
+    // Projectiles freeze with everything else during hit stop
+    const hits = combatSystem.checkCollisions(fighters);
+    if (!combatSystem.isInHitStop()) {
+        hits.push(...projectileSystem.tick(fighters));
+    }
+    handleHitEvents(hits);
+    combatSystem.updateCombos(fighters, hits);
+
+    if (trainingMode.active) {
+        trainingMode.refill(fighters);
+    }
+
+    checkRingOut();
+    checkVictoryByHealth();
+}
+
+/**
+ * Watch a replay: spawn its fighters and play the log through the normal simulation
+ * @param {object} replay - Replay from the recent matches list or an imported file
+ */
+async function startReplay(replay) {
+    const problem = replayPlayer.validate(replay);
+    if (problem) {
+        console.warn(`Replay: ${problem}`);
+        replayMenu.setStatus(problem);
+        return;
+    }
+
+    replayMenu.hide();
+    setupScreen.hide();
+    inputHandler.clearKeys();
+    uiManager.showHUD();
+
+    replayPlayer.start(replay);
+    replaySeeking = true;
+    try {
+        await beginReplayMatch(replay);
+    } catch (error) {
+        console.error('Failed to start replay:', error);
+        loadNewModels();
+        return;
+    } finally {
+        replaySeeking = false;
+    }
+
+    uiManager.replayViewer.show(replay, replayPlayer.getMismatches(fighters));
+    replayPlayer.play();
+}
+
+/**
+ * Spawn the replay's fighters fresh and rewind it to its first tick (seeking back does this too)
+ * @param {object} replay - Replay being watched
+ */
+async function beginReplayMatch(replay) {
+    cancelNextRound();
+    await spawnFighters(replay.fighters.map(fighter => fighter.character));
+    // Viewer closed while the fighters were loading
+    if (!replayPlayer.active) {
+        cleanupFighters();
+        return;
+    }
+    if (fighters.length !== 2) {
+        throw new Error('Replay fighters could not be spawned');
+    }
+
+    gameState.setBestOf(replay.rules?.bestOf ?? CONFIG.match.bestOf);
+    // validate() made sure a CPU fighter has its recorded tier
+    const cpu = replay.fighters.find(fighter => fighter.control === 'cpu');
+    prepareMatch(replay.seed, cpu?.difficulty);
+    if (cameraController.isFreeCamera()) {
+        cameraController.setFreeCamera(false);
+        cameraController.setFreeCamera(true, fighters);
+    }
+
+    const overlay = document.getElementById('center-overlay');
+    if (overlay) overlay.innerHTML = '';
+    replayPlayer.rewind();
+    replayRoundHold = 0;
+}
+
+/**
+ * Play one recorded tick through simulateTick, applying the log's round resets and game state
+ * @returns {boolean} False once the replay has ended
+ */
+function stepReplay() {
+    const frame = replayPlayer.nextFrame();
+    if (!frame) return false;
+
+    if (frame.round) {
+        resetFightersForRound();
+        gameState.nextRound();
+        replayRoundHold = 0;
+    }
+    if (frame.state && gameState.getState() !== frame.state) {
+        gameState.setState(frame.state);
     }
+    simulateTick(frame.state, frame);
+    return true;
+}
+
+/**
+ * Jump to a tick of the replay - ticks can't be undone, so seeking back plays again from the start
+ * @param {number} tick - Target tick
+ */
+async function seekReplay(tick) {
+    if (replaySeeking || !replayPlayer.active) return;
+
+    replaySeeking = true;
+    try {
+        if (tick < replayPlayer.tick) {
+            await beginReplayMatch(replayPlayer.replay);
+        }
+        while (replayPlayer.active && replayPlayer.tick < tick && stepReplay()) {
+            // Fast-forward without rendering
+        }
+        // Don't interpolate across the jump
+        fighters.forEach(fighter => fighter.storePreviousTransform());
+    } catch (error) {
+        console.error('Replay seek failed:', error);
+    } finally {
+        replaySeeking = false;
+    }
+}
+
+/**
+ * Replay viewer frame - plays recorded ticks at the chosen speed, then renders like a live match
+ * @param {number} dt - Real frame delta time
+ */
+function updateReplay(dt) {
+    if (fighters.length !== 2) {
+        renderSystem.render(combatSystem.getHitStop());
+        return;
+    }
+
+    let ticks = 0;
+    if (!replayPlayer.playing || replaySeeking) {
+        fixedTimestep.clearAccumulator();
+    } else if (gameState.getState() === 'ROUND_OVER' && replayRoundHold < (CONFIG.match?.roundEndDelay ?? 2.5)) {
+        // Hold the round result on screen like the live match did
+        replayRoundHold += dt * replayPlayer.speed;
+        fixedTimestep.clearAccumulator();
+    } else {
+        ticks = fixedTimestep.advance(dt * replayPlayer.speed);
+    }
+
+    for (let i = 0; i < ticks; i++) {
+        if (!stepReplay() || gameState.getState() === 'ROUND_OVER') break;
+    }
+    if (replayPlayer.isFinished()) {
+        replayPlayer.pause();
+    }
+
+    const state = gameState.getState();
+    const alpha = fixedTimestep.getAlpha();
+    fighters.forEach(fighter => fighter.applyRenderInterpolation(alpha));
+    projectileSystem.updateVisuals(alpha);
+
+    cameraController.update(dt, fighters, state);
+    uiManager.updateHUD(fighters, gameState.getTimer());
+    uiManager.updateDebugPanel(fighters, state, gameState.getTimer());
+    uiManager.replayViewer.update({
+        tick: replayPlayer.tick,
+        ticks: replayPlayer.replay.ticks,
+        playing: replayPlayer.playing,
+        speed: replayPlayer.speed
+    });
+
+    renderSystem.render(combatSystem.getHitStop());
+
+    fighters.forEach(fighter => fighter.restoreSimulationTransform());
+}
+
+/**
+ * Close the replay viewer (loadNewModels takes the game back to the setup screen)
+ */
+function stopReplay() {
+    if (!replayPlayer.active) return;
+
+    replayPlayer.stop();
+    uiManager.replayViewer.hide();
+    cameraController.setFreeCamera(false);
+    gameState.setBestOf(CONFIG.match.bestOf);
 }
 
 function animate() {
@@ -828,17 +1426,25 @@ function animate() {
     const dt = sceneManager.getDeltaTime();
     const state = gameState.getState();
 
+    // Visual-only effects run on real frame time
     combatSystem.update(dt);
     effectsSystem.update(dt);
     previewScene.update();
 
+    if (replayPlayer.active) {
+        updateReplay(dt);
+        return;
+    }
+
     if (state === 'PAUSED') {
+        fixedTimestep.clearAccumulator();
         renderSystem.render(combatSystem.getHitStop());
         return;
     }
 
-    // Freeze frame when game is over - don't update fighters or animations
-    if (state === 'OVER') {
+    // Freeze frame when a round or the match is over - don't update fighters or animations
+    if (state === 'OVER' || state === 'ROUND_OVER') {
+        fixedTimestep.clearAccumulator();
         // Still render the frozen scene
         renderSystem.render(combatSystem.getHitStop());
         return;
@@ -847,28 +1453,42 @@ function animate() {
     if (fighters.length === 2) {
         const keys = inputHandler.getKeys();
 
-        fighters[0].update(dt, fighters[1], state, keys, sceneManager.camera, collisionSystem, inputHandler);
-        fighters[1].update(dt, fighters[0], state, keys, sceneManager.camera, collisionSystem, inputHandler);
-
-        collisionSystem.resolveCollisions(fighters);
+        // Run as many fixed ticks as real time allows, each with the state as it stands on that tick
+        // (a countdown or round can end part way through a frame, like HeadlessMatch.tick)
+        const ticks = fixedTimestep.advance(dt);
+        for (let i = 0; i < ticks; i++) {
+            const currentState = gameState.getState();
+            if (currentState === 'OVER' || currentState === 'ROUND_OVER') break;
+            simulateTick(currentState);
+        }
 
-        const hits = combatSystem.checkCollisions(fighters);
-        handleHitEvents(hits);
+        // Render fighters between the last two ticks for smooth motion at any refresh rate
+        const alpha = fixedTimestep.getAlpha();
+        fighters.forEach(fighter => fighter.applyRenderInterpolation(alpha));
+        projectileSystem.updateVisuals(alpha);
 
-        cameraController.update(dt, fighters, state);
+        const latestState = gameState.getState();
+        cameraController.update(dt, fighters, latestState);
         uiManager.updateHUD(fighters, gameState.getTimer());
-        uiManager.updateDebugPanel(fighters, state, gameState.getTimer());
+        uiManager.updateDebugPanel(fighters, latestState, gameState.getTimer());
         
         // Update key display before clearing justPressed
         const justPressed = inputHandler.getJustPressed();
         uiManager.updateKeyDisplay(keys, justPressed);
         
-        checkVictoryByHealth();
-        
-        // Clear justPressed keys at the end of the frame (edge detection reset for next frame)
-        inputHandler.clearJustPressed();
+        // Clear justPressed only once a tick has had the chance to consume it
+        // (on high refresh displays some frames run no ticks at all)
+        if (ticks > 0) {
+            inputHandler.clearJustPressed();
+        }
+
+        renderSystem.render(combatSystem.getHitStop());
+
+        fighters.forEach(fighter => fighter.restoreSimulationTransform());
+        return;
     }
 
+    fixedTimestep.clearAccumulator();
     renderSystem.render(combatSystem.getHitStop());
 }
 
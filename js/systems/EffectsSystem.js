@@ -8,15 +8,15 @@ export class EffectsSystem {
         this.camera = camera;
     }
 
-    spawnDamage(damage, position, isCritical) {
+    spawnDamage(damage, position, isCritical, isBlocked = false) {
         if (!this.camera || !position || typeof position.clone !== 'function') return;
         const dmgLayer = document.getElementById('dmg-layer');
         if (!dmgLayer) return;
         const dmgEl = document.createElement('div');
         dmgEl.className = 'dmg';
         dmgEl.innerText = damage;
-        dmgEl.style.color = isCritical ? '#ff0000' : '#ffcc00';
-        dmgEl.style.fontSize = isCritical ? '5em' : '3em';
+        dmgEl.style.color = isCritical ? '#ff0000' : (isBlocked ? '#88ccff' : '#ffcc00');
+        dmgEl.style.fontSize = isCritical ? '5em' : (isBlocked ? '2em' : '3em');
 
         // Project to screen space
         const tempV = position.clone();
@@ -1,19 +1,32 @@
+import { CONFIG } from '../config.js';
+
 export class InputHandler {
-    constructor() {
+    /**
+     * @param {object} options - { listen: false for a virtual handler driven through pressKey/releaseKey (e.g. dummy playback) }
+     */
+    constructor(options = {}) {
         this.keys = {};
-        this.justPressed = {}; // Tracks keys that were just pressed this frame (edge detection)
+        this.justPressed = {}; // Tracks keys that were just pressed this frame (key display)
+        // Timestamped button presses [{ key, tick }] oldest first, kept for CONFIG.input.bufferTicks (see consumeKey)
+        this.pressBuffer = [];
+        // Rolling direction history for command inputs: [{ dir, tick }] oldest first, one entry per change
+        this.directionHistory = [];
+        this.tickCount = 0;
         this.onPause = null;
         this.onEscapeSetup = null; // Callback for Escape key in setup screen
-        this.setupEventListeners();
+        this.hotkeys = {}; // Non-gameplay key callbacks (see setHotkey)
+        if (options.listen !== false) {
+            this.setupEventListeners();
+        }
     }
 
     setupEventListeners() {
         window.addEventListener('keydown', (e) => {
-            // Only mark as justPressed if it wasn't already pressed (prevents repeat keydown events)
-            if (!this.keys[e.key]) {
-                this.justPressed[e.key] = true;
+            // Hotkeys fire once per press, not on key repeat
+            if (!this.keys[e.key] && this.hotkeys[e.key]) {
+                this.hotkeys[e.key]();
             }
-            this.keys[e.key] = true;
+            this.pressKey(e.key);
 
             // Escape key handling
             if (e.key === 'Escape') {
@@ -28,8 +41,7 @@ export class InputHandler {
         });
 
         window.addEventListener('keyup', (e) => {
-            this.keys[e.key] = false;
-            this.justPressed[e.key] = false; // Clear justPressed on keyup
+            this.releaseKey(e.key);
         });
 
         window.addEventListener('blur', () => {
@@ -37,6 +49,28 @@ export class InputHandler {
         });
     }
 
+    /**
+     * Register a key press - buffers it unless the key is already held (ignores key repeat)
+     * @param {string} key - Key pressed
+     */
+    pressKey(key) {
+        if (!this.keys[key]) {
+            this.justPressed[key] = true;
+            // Stamped with the next tick, the first one that can act on it
+            this.pressBuffer.push({ key, tick: this.tickCount + 1 });
+        }
+        this.keys[key] = true;
+    }
+
+    /**
+     * Register a key release (buffered presses stay until consumed or expired)
+     * @param {string} key - Key released
+     */
+    releaseKey(key) {
+        this.keys[key] = false;
+        this.justPressed[key] = false; // Clear justPressed on keyup
+    }
+
     isKeyPressed(key) {
         return !!this.keys[key];
     }
@@ -51,22 +85,58 @@ export class InputHandler {
     }
 
     /**
-     * Consume a key press (check and clear) - used for one-time actions like attacks
-     * Each key can only be consumed once per frame
+     * Check if a key has a buffered press waiting to be consumed
+     * @param {string} key - Key to check
+     * @returns {boolean} - True if the key was pressed within the buffer window
+     */
+    isKeyBuffered(key) {
+        return this.pressBuffer.some(press => press.key === key);
+    }
+
+    /**
+     * Tick of the oldest buffered press of a key
+     * @param {string} key - Key to check
+     * @returns {number|null} - Press tick or null if the key has no buffered press
+     */
+    getPressTick(key) {
+        const press = this.pressBuffer.find(press => press.key === key);
+        return press ? press.tick : null;
+    }
+
+    /**
+     * Consume a buffered key press - used for one-time actions like attacks
+     * Presses stay buffered for CONFIG.input.bufferTicks, so one made while the fighter
+     * can't act yet comes out as soon as it can; each press is consumed only once
      * @param {string} key - Key to consume
-     * @returns {boolean} - True if key was just pressed and is now consumed
+     * @returns {boolean} - True if the key had a buffered press and it is now consumed
      */
     consumeKey(key) {
-        if (this.justPressed[key]) {
-            this.justPressed[key] = false; // Consume the key press
-            return true;
-        }
-        return false;
+        const index = this.pressBuffer.findIndex(press => press.key === key);
+        if (index === -1) return false;
+        this.pressBuffer.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Consume a chord: a buffered press of every key, all within `tolerance` ticks of each other
+     * @param {string[]} chord - Keys that make up the chord
+     * @param {number} tolerance - Max ticks between the first and last press
+     * @returns {boolean} - True if the chord was pressed and its presses are now consumed
+     */
+    consumeChord(chord, tolerance = CONFIG.input?.chordTolerance ?? 3) {
+        const presses = chord.map(key => this.pressBuffer.find(press => press.key === key));
+        if (presses.some(press => !press)) return false;
+
+        const ticks = presses.map(press => press.tick);
+        if (Math.max(...ticks) - Math.min(...ticks) > tolerance) return false;
+
+        this.pressBuffer = this.pressBuffer.filter(press => !presses.includes(press));
+        return true;
     }
 
     /**
-     * Clear all justPressed keys - should be called at the start of each frame
-     * This is handled automatically via consumeKey, but can be called manually if needed
+     * Clear all justPressed keys - called once per rendered frame after the key display has read them
+     * Gameplay reads the press buffer instead, so this doesn't drop any presses
      */
     clearJustPressed() {
         this.justPressed = {};
@@ -83,6 +153,69 @@ export class InputHandler {
     clearKeys() {
         this.keys = {};
         this.justPressed = {};
+        this.pressBuffer = [];
+        this.directionHistory = [];
+    }
+
+    /**
+     * Advance the input history by one simulation tick
+     * Records the held direction whenever it changes and drops entries older than CONFIG.input.historyTicks;
+     * button presses not consumed within CONFIG.input.bufferTicks expire
+     */
+    tick() {
+        this.tickCount++;
+
+        const bufferCutoff = this.tickCount - (CONFIG.input?.bufferTicks ?? 6);
+        this.pressBuffer = this.pressBuffer.filter(press => press.tick > bufferCutoff);
+
+        const dir = this.getDirection();
+        const last = this.directionHistory[this.directionHistory.length - 1];
+        if (!last || last.dir !== dir) {
+            this.directionHistory.push({ dir, tick: this.tickCount });
+        }
+
+        // Keep the newest entry even if it's old (direction held for a long time)
+        const cutoff = this.tickCount - (CONFIG.input?.historyTicks ?? 60);
+        while (this.directionHistory.length > 1 && this.directionHistory[1].tick < cutoff) {
+            this.directionHistory.shift();
+        }
+    }
+
+    /**
+     * Get the currently held direction in numpad notation (5 = neutral, 6 = forward, 2 = down)
+     * Controls are already facing-relative (A = back, D = forward)
+     * @returns {number} Numpad direction (1-9)
+     */
+    getDirection() {
+        const keys = this.keys;
+        const up = !!(keys['w'] || keys['W']);
+        const down = !!(keys['s'] || keys['S']);
+        const back = !!(keys['a'] || keys['A']);
+        const forward = !!(keys['d'] || keys['D']);
+
+        // Opposing directions cancel out
+        const vertical = (up && !down) ? 1 : (down && !up) ? -1 : 0;
+        const horizontal = (forward && !back) ? 1 : (back && !forward) ? -1 : 0;
+
+        return 5 + horizontal + vertical * 3;
+    }
+
+    /**
+     * Keys pressed for the first time this tick (used to record inputs)
+     * @returns {string[]} Keys whose buffered press is stamped with the current tick
+     */
+    getNewPresses() {
+        return this.pressBuffer
+            .filter(press => press.tick === this.tickCount)
+            .map(press => press.key);
+    }
+
+    getDirectionHistory() {
+        return this.directionHistory;
+    }
+
+    getTick() {
+        return this.tickCount;
     }
 
     setPauseCallback(callback) {
@@ -92,6 +225,19 @@ export class InputHandler {
     setEscapeSetupCallback(callback) {
         this.onEscapeSetup = callback;
     }
+
+    /**
+     * Bind a non-gameplay key (e.g. training mode reset) - pass null to unbind
+     * @param {string} key - Key as reported by KeyboardEvent.key
+     * @param {Function|null} callback - Called once per press
+     */
+    setHotkey(key, callback) {
+        if (callback) {
+            this.hotkeys[key] = callback;
+        } else {
+            delete this.hotkeys[key];
+        }
+    }
 }
 
 
@@ -9,6 +9,7 @@ import { CONFIG } from '../config.js';
  * - Smooth damping when no input
  * - Rotation smoothing with quaternion slerp
  * - Normalized speed output for locomotion blending
+ * - Jump arcs with gravity (see jump / updateAirborne)
  */
 export class MotionController {
     constructor(config = {}) {
@@ -25,6 +26,12 @@ export class MotionController {
         
         // Current position (updated each frame)
         this.position = new THREE.Vector3();
+
+        // Jump state - horizontal arc is fixed at takeoff, gravity pulls the fighter back down
+        this.airborne = false;
+        this.verticalVelocity = 0;
+        this.gravity = 0;
+        this.jumpVelocity = new THREE.Vector3();
         
         // Temporary vectors for calculations
         this.tempVec = new THREE.Vector3();
@@ -73,11 +80,6 @@ export class MotionController {
         
         // Apply velocity to position
         this.position.addScaledVector(this.velocity, dt);
-        
-        // Keep within bounds (if needed)
-        if (this.position.length() > 20) {
-            this.position.setLength(20);
-        }
     }
     
     /**
@@ -137,10 +139,52 @@ export class MotionController {
     }
     
     /**
-     * Reset velocity
+     * Leave the ground with enough upward velocity to peak at `height`
+     * @param {number} height - Apex height above the ground
+     * @param {THREE.Vector3} arcVelocity - Horizontal velocity for the whole jump (zero for a neutral jump)
+     * @param {number} gravity - Downward acceleration while airborne
+     * @returns {number} Time until landing in seconds
+     */
+    jump(height, arcVelocity, gravity) {
+        this.airborne = true;
+        this.gravity = gravity;
+        this.verticalVelocity = Math.sqrt(2 * gravity * height);
+        this.jumpVelocity.set(arcVelocity.x, 0, arcVelocity.z);
+        this.velocity.copy(this.jumpVelocity);
+        return 2 * this.verticalVelocity / gravity;
+    }
+
+    /**
+     * Advance the jump arc - movement input only nudges the takeoff arc (CONFIG.jump.airControl)
+     * @param {number} dt - Delta time
+     * @param {THREE.Vector3} desiredVelocity - Movement input velocity
+     * @param {THREE.Vector3} currentPosition - Current position
+     * @returns {boolean} True on the step the fighter lands
+     */
+    updateAirborne(dt, desiredVelocity, currentPosition) {
+        this.position.copy(currentPosition);
+
+        this.velocity.copy(this.jumpVelocity).addScaledVector(desiredVelocity, CONFIG.jump.airControl);
+        this.velocity.y = 0;
+        this.position.addScaledVector(this.velocity, dt);
+
+        this.verticalVelocity -= this.gravity * dt;
+        this.position.y += this.verticalVelocity * dt;
+        if (this.position.y > 0 || this.verticalVelocity > 0) return false;
+
+        this.position.y = 0;
+        this.reset();
+        return true;
+    }
+
+    /**
+     * Reset velocity and drop any jump in progress
      */
     reset() {
         this.velocity.set(0, 0, 0);
+        this.airborne = false;
+        this.verticalVelocity = 0;
+        this.jumpVelocity.set(0, 0, 0);
     }
     
     /**
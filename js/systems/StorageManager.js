@@ -9,6 +9,7 @@ export class StorageManager {
         this.APP_VERSION_KEY = 'deepKombat_appVersion';
         this.USER_PREF_KEY = 'deepKombat_userPreferences';
         this.TUTORIAL_COMPLETE_KEY = 'deepKombat_tutorialComplete';
+        this.REPLAYS_KEY = 'deepKombat_replays';
         this.APP_VERSION = '1.0.0';
     }
 
@@ -312,6 +313,43 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Save a match replay to the recent matches list (newest first)
+     * Drops the oldest replays if the list doesn't fit in localStorage
+     * @param {Object} replay - Replay from ReplayRecorder
+     * @param {number} limit - Max replays kept
+     */
+    saveReplay(replay, limit = 10) {
+        let replays = [replay, ...this.loadReplays().filter(saved => saved.id !== replay.id)].slice(0, limit);
+        while (replays.length > 0) {
+            try {
+                localStorage.setItem(this.REPLAYS_KEY, JSON.stringify(replays));
+                return;
+            } catch (error) {
+                if (replays.length === 1) {
+                    console.warn('Failed to save replay:', error);
+                    return;
+                }
+                replays = replays.slice(0, -1);
+            }
+        }
+    }
+
+    /**
+     * Load the recent matches list
+     * @returns {Array} - Replays, newest first (empty if none saved)
+     */
+    loadReplays() {
+        try {
+            const data = localStorage.getItem(this.REPLAYS_KEY);
+            const replays = data ? JSON.parse(data) : [];
+            return Array.isArray(replays) ? replays : [];
+        } catch (error) {
+            console.warn('Failed to load replays:', error);
+            return [];
+        }
+    }
+
     /**
      * Migrate old data format if needed
      * @param {string} fromVersion - Source version
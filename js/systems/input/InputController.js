@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { CONFIG } from '../../config.js';
+import { MotionParser } from './MotionParser.js';
 
 /**
  * InputController - Handles all player input processing
@@ -8,6 +10,71 @@ export class InputController {
     constructor() {
         // Input state tracking
         this.lastProcessedInput = null;
+
+        // Attack buttons (edge-triggered) and the limb they map to
+        this.attackKeys = [
+            ['ArrowLeft', 'leftHand'],
+            ['ArrowUp', 'rightHand'],
+            ['ArrowRight', 'rightLeg'],
+            ['ArrowDown', 'leftLeg']
+        ];
+
+        // Both hand buttons together = throw (or tech while being thrown)
+        this.throwChord = ['ArrowLeft', 'ArrowUp'];
+        // Both leg buttons together = super move
+        this.superChord = ['ArrowRight', 'ArrowDown'];
+        // Chord button whose single attack just came out: { key, tick } - its partner can still upgrade it
+        this.chordOpener = null;
+        // States that can't act yet - presses stay in InputHandler's buffer until they can
+        this.lockedStates = ['ATTACK', 'STUN', 'WALLSPLAT', 'BLOCKSTUN', 'SIDESTEP'];
+        // Held while pressing an attack to spend meter on the EX version
+        this.exModifier = ' ';
+
+        // Command moves from character.json, checked before plain attacks
+        this.motionParser = new MotionParser();
+        this.commandMoves = [];
+    }
+
+    /**
+     * Register a character's command moves
+     * @param {object} moves - `moves` section of character.json keyed by move id
+     */
+    setCommandMoves(moves) {
+        this.commandMoves = [];
+        if (!moves || typeof moves !== 'object') return;
+
+        for (const [id, move] of Object.entries(moves)) {
+            const motion = this.motionParser.parse(move.motion);
+            if (!motion || !move.button) {
+                console.warn(`InputController: Skipping command move "${id}" with invalid motion or button`);
+                continue;
+            }
+            this.commandMoves.push({ id, button: move.button, motion });
+        }
+
+        // Longer and charge motions first so e.g. a half circle beats a quarter circle
+        this.commandMoves.sort((a, b) => {
+            const aLength = a.motion.sequence.length + (a.motion.charge ? 1 : 0);
+            const bLength = b.motion.sequence.length + (b.motion.charge ? 1 : 0);
+            return bLength - aLength;
+        });
+    }
+
+    /**
+     * Find a command move whose motion was just performed with this button
+     * @param {string} button - Attack button pressed ('leftHand', 'rightHand', 'leftLeg', 'rightLeg')
+     * @param {object} inputHandler - InputHandler instance (direction history)
+     * @returns {string|null} Move id or null if no motion matched
+     */
+    matchCommandMove(button, inputHandler) {
+        if (this.commandMoves.length === 0 || !inputHandler?.getDirectionHistory) return null;
+
+        const history = inputHandler.getDirectionHistory();
+        const currentTick = inputHandler.getTick();
+        const match = this.commandMoves.find(move =>
+            move.button === button && this.motionParser.matches(move.motion, history, currentTick)
+        );
+        return match ? match.id : null;
     }
 
     /**
@@ -18,17 +85,59 @@ export class InputController {
      * @param {string} characterState - Current character state
      * @param {THREE.Quaternion} characterQuaternion - Character's rotation
      * @param {number} moveSpeed - Character's movement speed
-     * @returns {object} Input result { movement, attack, jump, crouch, moveDirection }
+     * @returns {object} Input result { movement, attack, ex, throw, super, jump, jumpDirection, sidestep, crouch, block, wakeUp, moveDirection }
+     *                   attack is a limb type or a command move id; jumpDirection is 1 (forward), -1 (back) or 0;
+     *                   sidestep is 1 (right), -1 (left) or 0
      */
     processInput(dt, keys, inputHandler, characterState, characterQuaternion, moveSpeed) {
         const result = {
             movement: new THREE.Vector3(0, 0, 0),
             attack: null,
+            ex: false,
+            throw: false,
+            super: false,
             jump: false,
+            jumpDirection: 0,
+            sidestep: 0,
             crouch: false,
+            block: false,
+            wakeUp: null,
             moveDirection: 0
         };
 
+        // Held by a throw - the only thing we can do is tech it
+        if (characterState === 'THROWN') {
+            result.throw = this.consumeChord(this.throwChord, inputHandler);
+            return result;
+        }
+
+        // On the ground - choose how to get up
+        if (characterState === 'KNOCKDOWN') {
+            result.wakeUp = this.getWakeUpOption(keys, inputHandler);
+            return result;
+        }
+
+        if (characterState === 'THROW' || characterState === 'JUGGLE' || characterState === 'WAKEUP' ||
+            characterState === 'LANDING') {
+            return result;
+        }
+
+        // The partner of a chord button arrived while its attack is starting up - upgrade it (Fighter cancels the attack)
+        if (characterState === 'ATTACK') {
+            const chord = this.consumeChordUpgrade(inputHandler);
+            if (chord) {
+                result[chord] = true;
+                return result;
+            }
+        }
+
+        // Recovering or stunned - leave button presses buffered (attacks queue into combos from
+        // Fighter via consumeBufferedAttack); only keep track of the held guard
+        if (this.lockedStates.includes(characterState)) {
+            result.block = !!keys['Shift'];
+            return result;
+        }
+
         // Handle crouch state exits (temporarily disabled but keep logic)
         if (characterState === 'CROUCH') {
             result.crouch = 'exit'; // Signal to exit crouch
@@ -40,30 +149,57 @@ export class InputController {
             return result;
         }
 
-        // Attack controls - use edge-triggered input
+        // Chords are checked first so their buttons don't come out as single attacks
+        if (this.consumeChord(this.throwChord, inputHandler)) {
+            result.throw = true;
+            return result;
+        }
+        if (this.consumeChord(this.superChord, inputHandler)) {
+            result.super = true;
+            return result;
+        }
+        // Partner of a single press that didn't get to start its attack
+        const chord = this.consumeChordUpgrade(inputHandler);
+        if (chord) {
+            result[chord] = true;
+            return result;
+        }
+
+        // Attack controls - buffered presses, each consumed once, out on the tick they're pressed
+        const press = this.takeBufferedAttack(inputHandler);
+        if (press) {
+            result.attack = press.attack;
+            result.ex = !!keys[this.exModifier];
+            // A chord button may still turn into a throw/super if its partner follows within the tolerance
+            const isChordButton = [this.throwChord, this.superChord].some(buttons => buttons.includes(press.key));
+            this.chordOpener = isChordButton ? { key: press.key, tick: press.tick } : null;
+            return result;
+        }
+
+        // Jump control (W key) - edge-triggered; A/D held at takeoff pick a back/forward arc
+        if (inputHandler && (inputHandler.consumeKey('w') || inputHandler.consumeKey('W'))) {
+            result.jump = true;
+            const back = this.keyDown(keys, 'a');
+            const forward = this.keyDown(keys, 'd');
+            result.jumpDirection = forward === back ? 0 : (forward ? 1 : -1);
+            return result;
+        }
+
+        // Sidestep (tap Q = right, E = left) - holding the key afterwards keeps strafing
         if (inputHandler) {
-            // Use edge-triggered input detection (consumes key press, prevents multiple triggers)
-            if (inputHandler.consumeKey('ArrowLeft')) {
-                result.attack = 'leftHand';
+            if (inputHandler.consumeKey('q') || inputHandler.consumeKey('Q')) {
+                result.sidestep = 1;
                 return result;
             }
-            if (inputHandler.consumeKey('ArrowUp')) {
-                result.attack = 'rightHand';
-                return result;
-            }
-            if (inputHandler.consumeKey('ArrowRight')) {
-                result.attack = 'rightLeg';
-                return result;
-            }
-            if (inputHandler.consumeKey('ArrowDown')) {
-                result.attack = 'leftLeg';
+            if (inputHandler.consumeKey('e') || inputHandler.consumeKey('E')) {
+                result.sidestep = -1;
                 return result;
             }
         }
 
-        // Jump control (W key) - edge-triggered
-        if (inputHandler && (inputHandler.consumeKey('w') || inputHandler.consumeKey('W'))) {
-            result.jump = true;
+        // Block control (Shift key) - hold to guard
+        if (keys['Shift']) {
+            result.block = true;
             return result;
         }
 
@@ -115,22 +251,104 @@ export class InputController {
     }
 
     /**
-     * Get attack type from keys (for combo queuing)
-     * @param {object} keys - Keyboard state object
-     * @returns {string|null} Attack type or null if no attack key pressed
+     * Check for a button chord: both buttons pressed within CONFIG.input.chordTolerance ticks
+     * Consumes the chord's presses so they don't also trigger attacks
+     * @param {string[]} chord - Keys that make up the chord
+     * @param {object} inputHandler - InputHandler instance (press buffer)
+     * @returns {boolean} True if the chord was pressed
      */
-    getAttackType(keys) {
-        if (keys['ArrowLeft']) {
-            return 'leftHand';
-        }
-        if (keys['ArrowUp']) {
-            return 'rightHand';
+    consumeChord(chord, inputHandler) {
+        if (!inputHandler) return false;
+        return inputHandler.consumeChord(chord, CONFIG.input.chordTolerance);
+    }
+
+    /**
+     * Chord whose second button arrived within CONFIG.input.chordTolerance ticks of a single press
+     * that already came out as an attack (see chordOpener); consumes the partner's press
+     * @param {object} inputHandler - InputHandler instance (press buffer)
+     * @returns {string|null} 'throw', 'super' or null
+     */
+    consumeChordUpgrade(inputHandler) {
+        if (!inputHandler || !this.chordOpener) return null;
+
+        const { key, tick } = this.chordOpener;
+        if (inputHandler.getTick() - tick > CONFIG.input.chordTolerance) {
+            this.chordOpener = null;
+            return null;
         }
-        if (keys['ArrowRight']) {
-            return 'rightLeg';
+        const chord = [this.throwChord, this.superChord].find(buttons => buttons.includes(key));
+        const partner = chord.find(button => button !== key);
+        const partnerTick = inputHandler.getPressTick(partner);
+        if (partnerTick === null || Math.abs(partnerTick - tick) > CONFIG.input.chordTolerance) return null;
+
+        inputHandler.consumeKey(partner);
+        this.chordOpener = null;
+        return chord === this.throwChord ? 'throw' : 'super';
+    }
+
+    /**
+     * Whether a buffered press belongs to a chord rather than being a single attack:
+     * its partner was pressed within CONFIG.input.chordTolerance ticks (still buffered, or the chord opener)
+     * @param {string} key - Attack key with a buffered press
+     * @param {object} inputHandler - InputHandler instance (press buffer)
+     * @returns {boolean} True if the press is left for the chord
+     */
+    isChordPress(key, inputHandler) {
+        const chord = [this.throwChord, this.superChord].find(buttons => buttons.includes(key));
+        if (!chord) return false;
+
+        const tolerance = CONFIG.input.chordTolerance;
+        const pressTick = inputHandler.getPressTick(key);
+        if (pressTick === null) return false;
+        const partner = chord.find(button => button !== key);
+        const partnerTick = this.chordOpener?.key === partner
+            ? this.chordOpener.tick
+            : inputHandler.getPressTick(partner);
+        // A chord waits in the buffer for a state that can act on it
+        return partnerTick !== null && Math.abs(partnerTick - pressTick) <= tolerance;
+    }
+
+    /**
+     * Consume the next buffered attack button press (also used by Fighter to queue combos)
+     * @param {object} inputHandler - InputHandler instance (press buffer and direction history)
+     * @returns {string|null} Limb type or command move id, or null if no attack is buffered
+     */
+    consumeBufferedAttack(inputHandler) {
+        return this.takeBufferedAttack(inputHandler)?.attack ?? null;
+    }
+
+    /**
+     * Consume the next buffered attack button press that isn't part of a chord
+     * @param {object} inputHandler - InputHandler instance (press buffer and direction history)
+     * @returns {object|null} { key, tick, attack } - attack is the limb type or command move id
+     */
+    takeBufferedAttack(inputHandler) {
+        if (!inputHandler) return null;
+
+        for (const [key, button] of this.attackKeys) {
+            if (!inputHandler.isKeyBuffered(key) || this.isChordPress(key, inputHandler)) continue;
+            const tick = inputHandler.getPressTick(key);
+            inputHandler.consumeKey(key);
+            // A completed motion turns the button press into a command move
+            return { key, tick, attack: this.matchCommandMove(button, inputHandler) || button };
         }
-        if (keys['ArrowDown']) {
-            return 'leftLeg';
+        return null;
+    }
+
+    /**
+     * Wake-up option from input while knocked down
+     * Back = back roll, down = delayed rise, any attack or up = quick rise
+     * @param {object} keys - Keyboard state object
+     * @param {object} inputHandler - InputHandler instance (for edge detection)
+     * @returns {string|null} 'roll', 'delayed', 'quick' or null for a normal rise
+     */
+    getWakeUpOption(keys, inputHandler) {
+        if (keys['a'] || keys['A']) return 'roll';
+        if (keys['s'] || keys['S']) return 'delayed';
+        if (inputHandler) {
+            const rising = this.attackKeys.some(([key]) => inputHandler.consumeKey(key)) ||
+                inputHandler.consumeKey('w') || inputHandler.consumeKey('W');
+            if (rising) return 'quick';
         }
         return null;
     }
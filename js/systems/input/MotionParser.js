@@ -0,0 +1,187 @@
+import { CONFIG } from '../../config.js';
+import { secondsToTicks } from '../../core/FixedTimestep.js';
+
+/**
+ * MotionParser - Parses and matches command input motions
+ * Directions use numpad notation relative to the fighter's facing:
+ *   7 8 9    up-back    up    up-forward
+ *   4 5 6    back     neutral   forward
+ *   1 2 3    down-back  down  down-forward
+ * Motions in character.json can be written as direction names
+ * (["down", "down-forward", "forward"]), numpad digits ("236") or a
+ * shorthand ("qcf"), or as a charge object ({ "charge": "back", "sequence": ["forward"] }).
+ */
+export class MotionParser {
+    constructor() {
+        this.directionNames = {
+            'down-back': 1, 'db': 1,
+            'down': 2, 'd': 2,
+            'down-forward': 3, 'df': 3,
+            'back': 4, 'b': 4,
+            'neutral': 5, 'n': 5,
+            'forward': 6, 'f': 6,
+            'up-back': 7, 'ub': 7,
+            'up': 8, 'u': 8,
+            'up-forward': 9, 'uf': 9
+        };
+
+        this.shorthands = {
+            qcf: [2, 3, 6],          // Quarter circle forward
+            qcb: [2, 1, 4],          // Quarter circle back
+            dp: [6, 2, 3],           // Dragon punch
+            rdp: [4, 2, 1],          // Reverse dragon punch
+            hcf: [4, 1, 2, 3, 6],    // Half circle forward
+            hcb: [6, 3, 2, 1, 4],    // Half circle back
+            ff: [6, 5, 6],           // Double-tap forward
+            bb: [4, 5, 4]            // Double-tap back
+        };
+
+        // Directions that count as holding a charge direction
+        this.chargeGroups = {
+            4: [1, 4, 7],
+            2: [1, 2, 3],
+            6: [3, 6, 9],
+            8: [7, 8, 9]
+        };
+    }
+
+    /**
+     * Parse a single direction token
+     * @param {string|number} token - Direction name or numpad digit
+     * @returns {number|null} Numpad direction or null if invalid
+     */
+    parseDirection(token) {
+        if (typeof token === 'number') {
+            return token >= 1 && token <= 9 ? token : null;
+        }
+        if (typeof token !== 'string') return null;
+
+        const key = token.trim().toLowerCase();
+        if (this.directionNames[key] !== undefined) return this.directionNames[key];
+        if (/^[1-9]$/.test(key)) return parseInt(key, 10);
+        return null;
+    }
+
+    /**
+     * Parse a motion definition from character.json
+     * @param {string|Array|object} motion - Motion definition
+     * @returns {object|null} { sequence: number[], charge: { directions, ticks }|null } or null if invalid
+     */
+    parse(motion) {
+        if (motion === undefined || motion === null) return null;
+
+        // Charge motion: hold a direction, then complete the sequence
+        if (typeof motion === 'object' && !Array.isArray(motion)) {
+            const chargeDir = this.parseDirection(motion.charge);
+            const sequence = this.parseSequence(motion.sequence ?? []);
+            if (!chargeDir || !sequence) return null;
+
+            const chargeTime = motion.chargeTime ?? CONFIG.input.chargeTime;
+            return {
+                sequence,
+                charge: {
+                    directions: this.chargeGroups[chargeDir] || [chargeDir],
+                    ticks: secondsToTicks(chargeTime)
+                }
+            };
+        }
+
+        const sequence = this.parseSequence(motion);
+        return sequence ? { sequence, charge: null } : null;
+    }
+
+    /**
+     * Parse a direction sequence (array, shorthand or digit string)
+     * @param {string|Array} sequence - Sequence definition
+     * @returns {number[]|null} Numpad directions or null if invalid
+     */
+    parseSequence(sequence) {
+        if (Array.isArray(sequence)) {
+            const parsed = sequence.map(token => this.parseDirection(token));
+            return parsed.includes(null) ? null : parsed;
+        }
+        if (typeof sequence !== 'string') return null;
+
+        const key = sequence.trim().toLowerCase();
+        if (this.shorthands[key]) return [...this.shorthands[key]];
+        if (/^[1-9]+$/.test(key)) return key.split('').map(d => parseInt(d, 10));
+
+        const single = this.parseDirection(key);
+        return single ? [single] : null;
+    }
+
+    /**
+     * Check whether a parsed motion was performed in the input history
+     * Matching is lenient: stray directions between steps are ignored and a
+     * diagonal step may be skipped when its neighbours are present (2,6 counts as 2,3,6).
+     * @param {object} motion - Parsed motion from parse()
+     * @param {Array} history - Direction history [{ dir, tick }] oldest first
+     * @param {number} currentTick - Current input tick
+     * @param {object} options - { windowTicks, bufferTicks }
+     * @returns {boolean} True if the motion matches
+     */
+    matches(motion, history, currentTick, options = {}) {
+        if (!motion || !history || history.length === 0) return false;
+
+        const windowTicks = options.windowTicks ?? CONFIG.input.motionWindowTicks;
+        const bufferTicks = options.bufferTicks ?? CONFIG.input.motionBufferTicks;
+        const sequence = motion.sequence;
+
+        // Only consider entries that were still held inside the motion window
+        const earliestTick = currentTick - windowTicks;
+        const entries = history.filter((entry, i) => {
+            const endTick = i + 1 < history.length ? history[i + 1].tick : currentTick;
+            return endTick >= earliestTick;
+        });
+
+        // Walk backwards so the most recent attempt at the motion is the one matched
+        let step = sequence.length - 1;
+        let lastMatchIndex = -1;
+        let firstMatchIndex = -1;
+        for (let i = entries.length - 1; i >= 0 && step >= 0; i--) {
+            const dir = entries[i].dir;
+            if (dir === sequence[step]) {
+                if (lastMatchIndex === -1) lastMatchIndex = i;
+                firstMatchIndex = i;
+                step--;
+            } else if (lastMatchIndex !== -1 && step > 0 && this.isDiagonal(sequence[step]) && dir === sequence[step - 1]) {
+                // Skipped a diagonal between two matched steps
+                firstMatchIndex = i;
+                step -= 2;
+            }
+        }
+
+        if (step >= 0) return false;
+
+        // The final direction must still be held or have been released only just now
+        const lastEntryEnd = lastMatchIndex + 1 < entries.length ? entries[lastMatchIndex + 1].tick : currentTick;
+        if (currentTick - lastEntryEnd > bufferTicks) return false;
+
+        if (motion.charge) {
+            return this.hasCharge(motion.charge, entries, firstMatchIndex, currentTick, history);
+        }
+
+        return true;
+    }
+
+    /**
+     * Check that a charge direction was held long enough before the motion started
+     */
+    hasCharge(charge, entries, firstMatchIndex, currentTick, history) {
+        // Search the full history so long charges aren't cut off by the motion window
+        const startEntry = entries[Math.max(0, firstMatchIndex)];
+        const startIndex = history.indexOf(startEntry);
+
+        let heldTicks = 0;
+        for (let i = startIndex - 1; i >= 0; i--) {
+            if (!charge.directions.includes(history[i].dir)) break;
+            const endTick = i + 1 < history.length ? history[i + 1].tick : currentTick;
+            heldTicks += endTick - history[i].tick;
+        }
+        return heldTicks >= charge.ticks;
+    }
+
+    isDiagonal(dir) {
+        return dir === 1 || dir === 3 || dir === 7 || dir === 9;
+    }
+}
@@ -1,6 +1,17 @@
+import { DEFAULT_CHARACTER_STATS } from '../config.js';
+import { SeededRandom } from '../core/SeededRandom.js';
+
 export class CharacterSelector {
-    constructor(characterManager, previewScene, storageManager = null, imagePreloader = null) {
+    /**
+     * @param {object} characterManager - CharacterManager instance
+     * @param {object} previewScene - PreviewScene instance
+     * @param {object} storageManager - StorageManager instance (optional)
+     * @param {object} imagePreloader - ImagePreloader instance (optional)
+     * @param {object} random - SeededRandom for random select (seeded from ?seed= when given)
+     */
+    constructor(characterManager, previewScene, storageManager = null, imagePreloader = null, random = new SeededRandom()) {
         this.characterManager = characterManager;
+        this.random = random;
         this.previewScene = previewScene;
         this.storage = storageManager;
         this.imagePreloader = imagePreloader;
@@ -1316,6 +1327,7 @@ export class CharacterSelector {
      */
     updateStartButton() {
         const startBtn = document.getElementById('btn-start');
+        const trainingBtn = document.getElementById('btn-training');
         const gridContainer = document.getElementById('character-grid-container');
         const chooseFighterText = document.getElementById('choose-fighter-text');
         const pressStartText = document.getElementById('press-start-text');
@@ -1346,6 +1358,7 @@ export class CharacterSelector {
             }
             startBtn.style.display = 'block';
             startBtn.disabled = false;
+            if (trainingBtn) trainingBtn.style.display = 'block';
         } else {
             // Show grid and "Choose Your Fighter" text, hide button
             gridContainer.style.display = 'flex';
@@ -1354,6 +1367,7 @@ export class CharacterSelector {
                 chooseFighterText.style.visibility = 'visible';
             }
             startBtn.style.display = 'none';
+            if (trainingBtn) trainingBtn.style.display = 'none';
         }
     }
 
@@ -1528,6 +1542,7 @@ export class CharacterSelector {
         const nameDisplay = document.querySelector('.character-name-p1');
         const recordDisplay = document.querySelector('.character-record');
         const difficultyDisplay = document.querySelector('.character-difficulty');
+        const weightDisplay = document.querySelector('.character-weight');
 
         if (nameDisplay) {
             nameDisplay.textContent = character.name || 'Unknown';
@@ -1545,6 +1560,12 @@ export class CharacterSelector {
             difficultyDisplay.textContent = character.displayInfo.difficulty || 'Beginner';
         }
 
+        if (weightDisplay) {
+            const weight = character.stats?.weight || DEFAULT_CHARACTER_STATS.weight;
+            const weightClass = weight >= 1.2 ? 'Heavy' : weight <= 0.9 ? 'Light' : 'Medium';
+            weightDisplay.textContent = `Weight ${weight.toFixed(1)} ${weightClass}`;
+        }
+
         // Show the info panel when character data is available
         if (infoPanel && character) {
             infoPanel.classList.add('loaded');
@@ -1746,8 +1767,7 @@ export class CharacterSelector {
             return;
         }
 
-        const randomIndex = Math.floor(Math.random() * availableCharacters.length);
-        const randomCharacter = availableCharacters[randomIndex];
+        const randomCharacter = this.random.pick(availableCharacters);
 
         this.selectCharacter(randomCharacter);
     }
@@ -5,6 +5,7 @@ export class DebugPanel {
         this.visible = false;
         this.showParams = false;
         this.showTimer = false;
+        this.lastHits = {}; // Latest hit event per attacker id, for the frame advantage readout
     }
 
     init() {
@@ -27,8 +28,57 @@ export class DebugPanel {
         }
     }
 
+    /**
+     * Remember a hit for the frame-data view
+     * @param {object} event - Hit event from FighterCombatSystem.resolveHit
+     */
+    recordHit(event) {
+        this.lastHits[event.attacker.id] = {
+            atkType: event.atkType,
+            blocked: event.blocked,
+            advantage: event.advantage
+        };
+    }
+
+    /**
+     * Frame-data line for one fighter: current attack frame and phase, stun left and last hit advantage
+     * @param {object} fighter - Fighter to describe
+     * @returns {string} HTML line
+     */
+    formatFrameData(fighter) {
+        const label = fighter.id.toUpperCase();
+        const state = fighter.stateManager?.getCurrentState() || fighter.state;
+        let text = `${label}: ${state}`;
+
+        if (state === 'ATTACK' && fighter.atkType) {
+            const frames = fighter.getFrameData(fighter.atkType);
+            const frame = fighter.attackTicks;
+            const phase = frame < frames.startup ? 'startup'
+                : frame < frames.startup + frames.active ? 'active' : 'recovery';
+            text += ` ${fighter.atkType} f${frame}/${frames.total} ${phase}` +
+                ` (${frames.startup}/${frames.active}/${frames.recovery}` +
+                ` ${this.formatAdvantage(frames.onHit)} hit ${this.formatAdvantage(frames.onBlock)} block)`;
+        } else if (state === 'STUN' || state === 'WALLSPLAT' || state === 'BLOCKSTUN') {
+            text += ` ${fighter.stunTicks}f left`;
+        }
+
+        const lastHit = this.lastHits[fighter.id];
+        if (lastHit && lastHit.advantage !== null) {
+            text += ` | last ${lastHit.atkType} ${this.formatAdvantage(lastHit.advantage)} on ${lastHit.blocked ? 'block' : 'hit'}`;
+        }
+        return `<div>${text}</div>`;
+    }
+
+    /**
+     * @param {number} frames - Frame advantage
+     * @returns {string} Signed advantage (e.g. "+3", "-5")
+     */
+    formatAdvantage(frames) {
+        return frames > 0 ? `+${frames}` : `${frames}`;
+    }
+
     update(fighters, gameState, timer) {
-        if (!this.visible || !this.showParams) return;
+        if (!this.visible || (!this.showParams && !this.showTimer)) return;
 
         const panel = document.getElementById('debug-panel');
         if (!panel) return;
@@ -43,14 +93,18 @@ export class DebugPanel {
             const [p1, p2] = fighters;
             if (this.showParams) {
                 html += `
-                    <div style="color:#0f0">P1: HP=${Math.round(p1.hp)} ST=${Math.round(p1.st)} STATE=${p1.state}</div>
-                    <div style="color:#f00">P2: HP=${Math.round(p2.hp)} ST=${Math.round(p2.st)} STATE=${p2.state}</div>
+                    <div style="color:#0f0">P1: HP=${Math.round(p1.hp)} ST=${Math.round(p1.st)} METER=${Math.round(p1.meter)} STATE=${p1.state}</div>
+                    <div style="color:#f00">P2: HP=${Math.round(p2.hp)} ST=${Math.round(p2.st)} METER=${Math.round(p2.meter)} STATE=${p2.state}</div>
                     <div style="color:#ff0">TIMER=${timer}</div>
                     <div style="color:#0ff">DIST=${p1.mesh.position.distanceTo(p2.mesh.position).toFixed(2)}</div>
                 `;
             }
 
             if (this.showTimer) {
+                html += '<br><strong>FRAME DATA</strong> (startup/active/recovery, advantage)<br>';
+                html += this.formatFrameData(p1);
+                html += this.formatFrameData(p2);
+
                 html += '<br><strong>ANIMATION DATA</strong><br>';
                 if (p1.currAct) html += `<div>P1: ${p1.currAct.getClip().name} (${p1.currAct.time.toFixed(2)}/${p1.currAct.getClip().duration.toFixed(2)})</div>`;
                 if (p2.currAct) html += `<div>P2: ${p2.currAct.getClip().name} (${p2.currAct.time.toFixed(2)}/${p2.currAct.getClip().duration.toFixed(2)})</div>`;
@@ -60,6 +114,7 @@ export class DebugPanel {
                 html += '<br><strong>CONFIG</strong><br>';
                 html += `<div>Light: ${CONFIG.combat.light.dmg}dmg/${CONFIG.combat.light.cost}st</div>`;
                 html += `<div>Heavy: ${CONFIG.combat.heavy.dmg}dmg/${CONFIG.combat.heavy.cost}st</div>`;
+                html += `<div>Meter: EX ${CONFIG.combat.meter.exCost} / Super ${CONFIG.combat.meter.superCost}</div>`;
             }
         }
 
@@ -70,7 +125,7 @@ export class DebugPanel {
         this.showParams = options.params || false;
         this.showTimer = options.timer || false;
 
-        if (this.showParams) {
+        if (this.showParams || this.showTimer) {
             this.show();
         } else {
             this.hide();
@@ -50,6 +50,107 @@ export class HUD {
             const stPercent = fighter.maxSt > 0 ? Math.max(0, (fighter.st / fighter.maxSt) * 100) : 0;
             stEl.style.width = stPercent + '%';
         }
+
+        // Update super meter bar (glows once a super is affordable)
+        const meterEl = document.getElementById(fighter.id + '-meter');
+        if (meterEl) {
+            const meterPercent = fighter.maxMeter > 0 ? Math.max(0, (fighter.meter / fighter.maxMeter) * 100) : 0;
+            meterEl.style.width = meterPercent + '%';
+            meterEl.classList.toggle('ready', fighter.meter >= fighter.getSuperCost());
+        }
+    }
+
+    /**
+     * Render round-win pips under each fighter's name
+     * @param {object} roundWins - Round wins per fighter { p1, p2 }
+     * @param {number} roundsToWin - Round wins needed to take the match
+     */
+    updateRoundPips(roundWins, roundsToWin) {
+        ['p1', 'p2'].forEach(id => {
+            const pipsEl = document.getElementById(id + '-round-pips');
+            if (!pipsEl) return;
+
+            // Single-round matches don't need pips
+            if (roundsToWin <= 1) {
+                pipsEl.innerHTML = '';
+                return;
+            }
+
+            const wins = roundWins?.[id] || 0;
+            let html = '';
+            for (let i = 0; i < roundsToWin; i++) {
+                html += `<span class="round-pip${i < wins ? ' won' : ''}"></span>`;
+            }
+            pipsEl.innerHTML = html;
+        });
+    }
+
+    /**
+     * Flash a hit callout ("COUNTER", "PUNISH") on the attacking fighter's side
+     * @param {string} fighterId - 'p1' or 'p2'
+     * @param {string} text - Callout text
+     */
+    showCallout(fighterId, text) {
+        const calloutEl = document.getElementById(fighterId + '-callout');
+        if (!calloutEl) return;
+
+        calloutEl.textContent = text;
+        // Restart the pop animation if a callout is already showing
+        calloutEl.classList.remove('show');
+        void calloutEl.offsetWidth;
+        calloutEl.classList.add('show');
+    }
+
+    /**
+     * Show or bump the combo counter on the attacking fighter's side
+     * @param {string} fighterId - 'p1' or 'p2'
+     * @param {number} hits - Hits in the combo so far
+     * @param {number} damage - Total combo damage so far
+     */
+    showCombo(fighterId, hits, damage) {
+        const comboEl = document.getElementById(fighterId + '-combo');
+        if (!comboEl) return;
+
+        comboEl.innerHTML = `<div class="combo-hits">${hits}<span>HITS</span></div>` +
+            `<div class="combo-damage">${Math.round(damage)} DMG</div>`;
+        // Restart the pop animation for every new hit
+        comboEl.classList.remove('pop', 'fade');
+        void comboEl.offsetWidth;
+        comboEl.classList.add('pop');
+    }
+
+    /**
+     * Fade out the combo counter once the combo is dropped
+     * @param {string} fighterId - 'p1' or 'p2'
+     */
+    endCombo(fighterId) {
+        const comboEl = document.getElementById(fighterId + '-combo');
+        if (!comboEl || !comboEl.classList.contains('pop')) return;
+
+        comboEl.classList.remove('pop');
+        comboEl.classList.add('fade');
+    }
+
+    /**
+     * Training mode status line under the timer
+     * @param {string|null} text - Status text, or null to hide it
+     */
+    setTrainingStatus(text) {
+        const statusEl = document.getElementById('training-status');
+        if (!statusEl) return;
+
+        statusEl.textContent = text || '';
+        statusEl.style.display = text ? 'block' : 'none';
+    }
+
+    clearCombos() {
+        ['p1-combo', 'p2-combo'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.classList.remove('pop', 'fade');
+                el.innerHTML = '';
+            }
+        });
     }
 
     reset() {
@@ -59,6 +160,15 @@ export class HUD {
             timerEl.textContent = '99';
         }
 
+        this.clearCombos();
+        ['p1-callout', 'p2-callout'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.classList.remove('show');
+                el.textContent = '';
+            }
+        });
+
         // Reset HP and stamina bars
         ['p1-hp', 'p1-st', 'p2-hp', 'p2-st'].forEach(id => {
             const el = document.getElementById(id);
@@ -66,6 +176,15 @@ export class HUD {
                 el.style.width = '100%';
             }
         });
+
+        // Meter starts empty
+        ['p1-meter', 'p2-meter'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.style.width = '0%';
+                el.classList.remove('ready');
+            }
+        });
     }
 }
 
@@ -1,3 +1,5 @@
+import { parseSeed } from '../core/SeededRandom.js';
+
 export class PauseMenu {
     constructor() {
         this.visible = false;
@@ -13,6 +15,9 @@ export class PauseMenu {
             keys: false
         };
         this.onDebugOptionChange = null;
+        this.onCycleDummy = null;  // Training mode: next dummy behaviour
+        this.onCycleRefill = null; // Training mode: next refill mode
+        this.onSeedRestart = null; // Callback (seed|null) - restart the fight with this seed (null = new seed every match)
     }
 
     init(onResume, onRestart, onMainMenu) {
@@ -23,6 +28,7 @@ export class PauseMenu {
         // Setup button event listeners
         this.setupButtons();
         this.setupDebugOptions();
+        this.setupSeedInput();
     }
 
     setupButtons() {
@@ -31,6 +37,8 @@ export class PauseMenu {
         const debugOptionsBtn = document.getElementById('btn-debug-options');
         const backFromDebugBtn = document.getElementById('btn-back-from-debug');
         const mainMenuBtn = document.getElementById('btn-main-menu');
+        const dummyBtn = document.getElementById('btn-training-dummy');
+        const refillBtn = document.getElementById('btn-training-refill');
 
         if (resumeBtn) {
             resumeBtn.addEventListener('click', (e) => {
@@ -74,6 +82,39 @@ export class PauseMenu {
                 if (this.onMainMenu) this.onMainMenu();
             });
         }
+
+        if (dummyBtn) {
+            dummyBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (this.onCycleDummy) this.onCycleDummy();
+            });
+        }
+
+        if (refillBtn) {
+            refillBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (this.onCycleRefill) this.onCycleRefill();
+            });
+        }
+    }
+
+    /**
+     * Show the training mode settings in the pause menu, or hide them outside training
+     * @param {object|null} settings - { dummy, refill } current training settings, or null to hide
+     */
+    setTrainingOptions(settings) {
+        const container = document.getElementById('pause-training-options');
+        if (!container) return;
+
+        container.style.display = settings ? 'block' : 'none';
+        if (!settings) return;
+
+        const dummyBtn = document.getElementById('btn-training-dummy');
+        const refillBtn = document.getElementById('btn-training-refill');
+        if (dummyBtn) dummyBtn.textContent = `Dummy: ${settings.dummy}`;
+        if (refillBtn) refillBtn.textContent = `Refill: ${settings.refill}`;
     }
 
     setupDebugOptions() {
@@ -93,6 +134,40 @@ export class PauseMenu {
         });
     }
 
+    setupSeedInput() {
+        const input = document.getElementById('debug-seed');
+        const restartBtn = document.getElementById('btn-debug-seed');
+        if (!input || !restartBtn) return;
+
+        restartBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const text = input.value.trim();
+            const seed = parseSeed(text);
+            if (text !== '' && seed === null) {
+                console.warn(`PauseMenu: "${text}" is not a valid seed (0 - 4294967295)`);
+                input.classList.add('invalid');
+                return;
+            }
+            input.classList.remove('invalid');
+            this.hide();
+            if (this.onSeedRestart) this.onSeedRestart(seed);
+        });
+    }
+
+    /**
+     * Show the current match's seed (restarting with it replays the match's AI rolls)
+     * @param {number|null} seed - Match seed
+     */
+    setSeed(seed) {
+        const input = document.getElementById('debug-seed');
+        if (input) {
+            input.value = seed === null ? '' : String(seed);
+            input.classList.remove('invalid');
+        }
+    }
+
     show() {
         const pauseMenu = document.getElementById('pause-menu');
         if (pauseMenu) {
@@ -0,0 +1,172 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * ReplayMenu - Recent matches list on the setup screen
+ * Lists the replays kept by StorageManager with watch/export buttons, and imports replay JSON files
+ */
+export class ReplayMenu {
+    constructor() {
+        this.replays = [];
+        this.onWatch = null;  // Callback (replay) to play a replay
+        this.onImport = null; // Callback (replay) with a parsed replay file
+        this.onClose = null;
+    }
+
+    init() {
+        const closeBtn = document.getElementById('btn-replay-close');
+        const importBtn = document.getElementById('btn-replay-import');
+        const fileInput = document.getElementById('replay-import-file');
+
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                this.hide();
+                if (this.onClose) this.onClose();
+            });
+        }
+
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files?.[0];
+                fileInput.value = '';
+                if (file) {
+                    await this.importFile(file);
+                }
+            });
+        }
+    }
+
+    /**
+     * Open the menu with the recent matches
+     * @param {Array} replays - Replays, newest first
+     */
+    show(replays) {
+        const menu = document.getElementById('replay-menu');
+        if (!menu) return;
+
+        this.setReplays(replays);
+        this.setStatus('');
+        menu.style.display = 'flex';
+    }
+
+    hide() {
+        const menu = document.getElementById('replay-menu');
+        if (menu) {
+            menu.style.display = 'none';
+        }
+    }
+
+    /**
+     * Refresh the list
+     * @param {Array} replays - Replays, newest first
+     */
+    setReplays(replays) {
+        this.replays = replays;
+        const list = document.getElementById('replay-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (replays.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'replay-empty';
+            empty.textContent = 'No matches recorded yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        replays.forEach(replay => {
+            const row = document.createElement('div');
+            row.className = 'replay-row';
+
+            // Names come from imported files too, so they only ever go in as text
+            const label = document.createElement('span');
+            label.className = 'replay-label';
+            label.textContent = this.describe(replay);
+            row.appendChild(label);
+
+            const watchBtn = document.createElement('button');
+            watchBtn.className = 'clickable';
+            watchBtn.textContent = 'Watch';
+            watchBtn.addEventListener('click', () => {
+                if (this.onWatch) this.onWatch(replay);
+            });
+            row.appendChild(watchBtn);
+
+            const exportBtn = document.createElement('button');
+            exportBtn.className = 'clickable';
+            exportBtn.textContent = 'Export';
+            exportBtn.addEventListener('click', () => this.downloadReplay(replay));
+            row.appendChild(exportBtn);
+
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Show a message under the list (import errors, etc.)
+     * @param {string} text - Message, empty to clear
+     */
+    setStatus(text) {
+        const status = document.getElementById('replay-menu-status');
+        if (status) {
+            status.textContent = text;
+        }
+    }
+
+    /**
+     * One-line summary ("2026-10-18 14:03  TRUMP vs BRANDON  TRUMP WINS  1:42")
+     * @param {object} replay - Replay
+     * @returns {string} Summary
+     */
+    describe(replay) {
+        const recordedAt = new Date(replay.recordedAt);
+        const date = Number.isNaN(recordedAt.getTime())
+            ? '----'
+            : `${recordedAt.toLocaleDateString()} ${recordedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+        const [p1, p2] = replay.fighters || [];
+        const names = `${(p1?.name || '?').toUpperCase()} vs ${(p2?.name || '?').toUpperCase()}`;
+
+        const winner = replay.fighters?.find(fighter => fighter.id === replay.result?.winner);
+        const result = winner ? `${winner.name.toUpperCase()} WINS` : 'DRAW';
+
+        const tickRate = replay.rules?.tickRate || CONFIG.simulation.tickRate;
+        const seconds = Math.floor((replay.ticks || 0) / tickRate);
+        const duration = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+        return `${date}  ${names}  ${result}  ${duration}`;
+    }
+
+    /**
+     * Save a replay as a .json file
+     * @param {object} replay - Replay to export
+     */
+    downloadReplay(replay) {
+        if (!replay) return;
+
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        const names = (replay.fighters || []).map(fighter => fighter.character).join('-vs-');
+        link.href = url;
+        link.download = `replay-${names}-${replay.id}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Read a replay file picked by the user and hand it to onImport
+     * @param {File} file - Selected .json file
+     */
+    async importFile(file) {
+        try {
+            const replay = JSON.parse(await file.text());
+            if (this.onImport) this.onImport(replay);
+        } catch (error) {
+            console.warn('Failed to import replay:', error);
+            this.setStatus('Could not read replay file');
+        }
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * ReplayViewer - Playback bar shown while a replay runs
+ * Play/pause, seek, speed, free camera, export and exit; main.js owns the ReplayPlayer and
+ * reacts to the callbacks
+ */
+export class ReplayViewer {
+    constructor() {
+        this.tickRate = 60;
+        this.seeking = false; // Seek slider being dragged - don't move it under the mouse
+        this.onTogglePlay = null;
+        this.onSeek = null;        // Callback (tick)
+        this.onCycleSpeed = null;
+        this.onToggleCamera = null;
+        this.onExport = null;
+        this.onExit = null;
+    }
+
+    init() {
+        const buttons = {
+            'btn-replay-play': () => this.onTogglePlay,
+            'btn-replay-speed': () => this.onCycleSpeed,
+            'btn-replay-camera': () => this.onToggleCamera,
+            'btn-replay-export': () => this.onExport,
+            'btn-replay-exit': () => this.onExit
+        };
+        Object.entries(buttons).forEach(([id, getCallback]) => {
+            const btn = document.getElementById(id);
+            if (!btn) return;
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const callback = getCallback();
+                if (callback) callback();
+            });
+        });
+
+        const seek = document.getElementById('replay-seek');
+        if (seek) {
+            seek.addEventListener('input', () => {
+                this.seeking = true;
+            });
+            seek.addEventListener('change', () => {
+                this.seeking = false;
+                if (this.onSeek) this.onSeek(parseInt(seek.value, 10));
+            });
+        }
+    }
+
+    /**
+     * Show the bar for a replay
+     * @param {object} replay - Replay being played
+     * @param {string[]} mismatches - What changed since it was recorded (see ReplayPlayer.getMismatches)
+     */
+    show(replay, mismatches = []) {
+        const viewer = document.getElementById('replay-viewer');
+        if (!viewer) return;
+
+        this.tickRate = replay.rules?.tickRate || this.tickRate;
+        const seek = document.getElementById('replay-seek');
+        if (seek) {
+            seek.max = String(replay.ticks);
+            seek.value = '0';
+        }
+
+        const title = document.getElementById('replay-title');
+        if (title) {
+            const names = replay.fighters.map(fighter => fighter.name.toUpperCase()).join(' vs ');
+            title.textContent = `REPLAY  ${names}`;
+        }
+
+        const warning = document.getElementById('replay-warning');
+        if (warning) {
+            warning.textContent = mismatches.length > 0
+                ? `Recorded with different ${mismatches.join(', ')} - playback may drift`
+                : '';
+        }
+
+        this.setCamera(false);
+        viewer.style.display = 'flex';
+    }
+
+    hide() {
+        const viewer = document.getElementById('replay-viewer');
+        if (viewer) {
+            viewer.style.display = 'none';
+        }
+    }
+
+    /**
+     * Refresh the controls (once per rendered frame)
+     * @param {object} status - { tick, ticks, playing, speed }
+     */
+    update({ tick, ticks, playing, speed }) {
+        const playBtn = document.getElementById('btn-replay-play');
+        if (playBtn) playBtn.textContent = playing ? 'Pause' : 'Play';
+
+        const speedBtn = document.getElementById('btn-replay-speed');
+        if (speedBtn) speedBtn.textContent = `${speed}x`;
+
+        const seek = document.getElementById('replay-seek');
+        if (seek && !this.seeking) seek.value = String(tick);
+
+        const time = document.getElementById('replay-time');
+        if (time) {
+            time.textContent = `${(tick / this.tickRate).toFixed(1)} / ${(ticks / this.tickRate).toFixed(1)}`;
+        }
+    }
+
+    /**
+     * @param {boolean} free - Whether the free camera is on
+     */
+    setCamera(free) {
+        const cameraBtn = document.getElementById('btn-replay-camera');
+        if (cameraBtn) cameraBtn.textContent = `Free Cam: ${free ? 'on' : 'off'}`;
+    }
+}
@@ -1,8 +1,17 @@
+import { CONFIG } from '../config.js';
+
 // Placeholder for SetupScreen - will be enhanced with character system integration
 export class SetupScreen {
     constructor() {
         this.onStartGame = null;
+        this.onStartTraining = null;
+        this.onShowReplays = null;
+        this.onDifficultyChange = null; // Callback (difficulty) when the CPU tier is cycled
         this.startBtn = null;
+        this.trainingBtn = null;
+        this.replaysBtn = null;
+        this.difficultyBtn = null;
+        this.difficulty = CONFIG.ai.difficulty;
     }
 
     init(onStartGame = null) {
@@ -26,6 +35,65 @@ export class SetupScreen {
                 }
             });
         }
+
+        this.trainingBtn = document.getElementById('btn-training');
+        if (this.trainingBtn) {
+            this.trainingBtn.addEventListener('click', () => {
+                if (this.onStartTraining) {
+                    this.onStartTraining();
+                } else {
+                    console.warn('onStartTraining callback not set');
+                }
+            });
+        }
+
+        this.replaysBtn = document.getElementById('btn-replays');
+        if (this.replaysBtn) {
+            this.replaysBtn.addEventListener('click', () => {
+                if (this.onShowReplays) {
+                    this.onShowReplays();
+                } else {
+                    console.warn('onShowReplays callback not set');
+                }
+            });
+        }
+
+        this.difficultyBtn = document.getElementById('btn-difficulty');
+        if (this.difficultyBtn) {
+            this.difficultyBtn.addEventListener('click', () => {
+                this.cycleDifficulty();
+            });
+        }
+        this.setDifficulty(this.difficulty);
+    }
+
+    /**
+     * Show a CPU difficulty tier on the button (doesn't notify onDifficultyChange)
+     * @param {string} difficulty - Key of CONFIG.ai.difficulties
+     */
+    setDifficulty(difficulty) {
+        const tier = CONFIG.ai.difficulties[difficulty];
+        if (!tier) return;
+
+        this.difficulty = difficulty;
+        if (this.difficultyBtn) {
+            this.difficultyBtn.textContent = `CPU: ${tier.name.toUpperCase()}`;
+            this.difficultyBtn.dataset.difficulty = difficulty;
+        }
+    }
+
+    /**
+     * Step to the next CPU difficulty tier (wraps from the hardest back to the easiest)
+     * @returns {string} New difficulty
+     */
+    cycleDifficulty() {
+        const tiers = Object.keys(CONFIG.ai.difficulties);
+        const next = tiers[(tiers.indexOf(this.difficulty) + 1) % tiers.length];
+        this.setDifficulty(next);
+        if (this.onDifficultyChange) {
+            this.onDifficultyChange(next);
+        }
+        return next;
     }
 
     show() {
@@ -2,6 +2,7 @@ import { HUD } from './HUD.js';
 import { PauseMenu } from './PauseMenu.js';
 import { DebugPanel } from './DebugPanel.js';
 import { KeyDisplay } from './KeyDisplay.js';
+import { ReplayViewer } from './ReplayViewer.js';
 
 export class UIManager {
     constructor() {
@@ -9,6 +10,7 @@ export class UIManager {
         this.pauseMenu = new PauseMenu();
         this.debugPanel = new DebugPanel();
         this.keyDisplay = new KeyDisplay();
+        this.replayViewer = new ReplayViewer();
         this.onPauseToggle = null;
         this.onRestartFight = null;
         this.onMainMenu = null;
@@ -21,12 +23,37 @@ export class UIManager {
         this.pauseMenu.init(this.handlePauseToggle.bind(this), this.handleRestartFight.bind(this), this.handleMainMenu.bind(this));
         this.debugPanel.init();
         this.keyDisplay.init();
+        this.replayViewer.init();
     }
 
     updateHUD(fighters, timer) {
         this.hud.update(fighters, timer);
     }
 
+    updateRoundPips(roundWins, roundsToWin) {
+        this.hud.updateRoundPips(roundWins, roundsToWin);
+    }
+
+    showHitCallout(fighterId, text) {
+        this.hud.showCallout(fighterId, text);
+    }
+
+    showCombo(fighterId, hits, damage) {
+        this.hud.showCombo(fighterId, hits, damage);
+    }
+
+    endCombo(fighterId) {
+        this.hud.endCombo(fighterId);
+    }
+
+    clearCombos() {
+        this.hud.clearCombos();
+    }
+
+    setTrainingStatus(text) {
+        this.hud.setTrainingStatus(text);
+    }
+
     showHUD() {
         this.hud.show();
     }
@@ -47,6 +74,10 @@ export class UIManager {
         this.debugPanel.update(fighters, gameState, timer);
     }
 
+    recordDebugHit(event) {
+        this.debugPanel.recordHit(event);
+    }
+
     showDebugPanel() {
         this.debugPanel.show();
     }
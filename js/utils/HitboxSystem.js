@@ -1,5 +1,4 @@
 import * as THREE from 'three';
-import { CONFIG } from '../config.js';
 import { BoneDiscovery } from './BoneDiscovery.js';
 
 export class HitboxSystem {
@@ -45,8 +44,7 @@ export class HitboxSystem {
         const baseTorso = fighter.baseHurtRadii?.torso ?? fighter.hurtSpheres.torso.radius;
 
         fighter.hurtSpheres.head.radius = (fighter.state === 'CROUCH' || fighter.state === 'CROUCH_EXITING') ? 0 : baseHead;
-        const torsoDisabled = fighter.state === 'JUMP' && fighter.jumpInvulnerabilityTimer > 0;
-        fighter.hurtSpheres.torso.radius = torsoDisabled ? 0 : baseTorso;
+        fighter.hurtSpheres.torso.radius = baseTorso;
     }
 
     static updateAttackSpheres(fighter) {
@@ -56,14 +54,8 @@ export class HitboxSystem {
         if (fighter.state === 'ATTACK' && currAct && fighter.atkType) {
             const clip = currAct.getClip();
             if (clip && clip.duration > 0) {
-                // Calculate normalized time (0 to 1) through the animation
-                // Three.js handles timeScale automatically - time is already in clip time space
-                const ratio = Math.min(1.0, Math.max(0.0, currAct.time / clip.duration));
-                const stats = fighter.getCombatStats ? fighter.getCombatStats(fighter.atkType) : CONFIG.combat[fighter.atkType];
-                const windowRange = stats?.window || [0, 0];
-
-                // Only active during hit window
-                if (stats && ratio >= windowRange[0] && ratio <= windowRange[1]) {
+                // Only active during the attack's active frames
+                if (fighter.isAttackActive()) {
                     this.disableAttackSpheres(fighter); // Reset before enabling only active limbs
                     if (fighter.atkGroup === 'hands' && fighter.attackSpheres.hands && fighter.attackSpheres.hands.length >= 4) {
                         this.updateHandSpheres(fighter, fighter.activeAttackIndices);